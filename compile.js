@@ -8,8 +8,9 @@
  *    - 入口文件生成（generateServerEntry）
  *    - 依赖管理（mergeDependencies → 返回完整 package.json）
  * 3. 编译模板所有文件（compile）
- * 4. 批量编译主流程（compileAllTemplates）
- * 5. 导出接口与执行编译
+ * 4. 增量构建缓存（内容哈希、依赖关系、过期输出清理）
+ * 5. 批量编译主流程（runBuild、watchAndRebuild、compileAllTemplates）
+ * 6. 导出接口与执行编译
  *
  * 核心功能：
  * - 完整的模板编译流水线：模板替换→包含处理→变量替换→文件输出
@@ -22,17 +23,33 @@
  * - 路由功能检测：扫描用户功能文件中的setupRoutes函数
  * - 模块缓存清理：确保路由加载时使用最新代码
  * - Express版本管理：优先使用模板依赖，默认^5.2.1
+ * - 增量构建：按内容哈希与依赖关系只重新编译变化的模板,package.json 未变化时跳过依赖安装
+ * - 纯静态导出：只输出页面与静态资源,检测依赖自定义路由或运行时查询参数的模板
+ * - 站点文件：生成 robots.txt,配置站点地址时生成 sitemap.xml 及 RSS/Atom 订阅源
+ * - 链接检查：输出完成后检查页面中的失效链接、缺失资源、无效锚点及根路径重定向循环,严格模式下存在问题时构建失败
  */
 import {
-	path, fsPromises, CWD, getAvailableTemplates, validateTemplateFile, renderTemplate, processIncludes, processVariables,
-	setCompilationMode, getIncludedFiles, loadUserFeatures, findEntryFile, templatesDir, staticDir, customizeDir, defaultPort
+	path, fsPromises, CWD, getAvailableTemplates, validateTemplateFile, renderTemplate, processIncludes, processComponents, processVariables,
+	setCompilationMode, setStrictMode, getIncludedFiles, loadUserFeatures, loadPageData, isDynamicTemplate, expandDynamicPages,
+	findEntryFile, trackDependencies, templatesDir, templatesAbsDir, staticDir, customizeDir, defaultPort
 } from './services/templateService.js';
+import {
+	localesDir, loadLocales, setDefaultLocale, getDefaultLocale, getLocales, createTranslator, localizePath, localeVariables, localizeHtml
+} from './services/i18nService.js';
+import { hashedAssetRegex, minifyHtml, fingerprintAssets, rewriteAssetUrls } from './services/optimizeService.js';
+import { sitemapFile, robotsFile, rssFile, atomFile, feedDirectiveRegex, extractPageMeta, buildSitemap, buildRobots, buildRss, buildAtom } from './services/seoService.js';
+import { checkLinks, formatLinkReport } from './services/linkCheckService.js';
+import { relativizeStaticUrls, localScriptPaths, createQueryProbe, scanUserRoutes, findRouteReferences, notFoundPage } from './services/staticExportService.js';
 import PK from './package.json' with { type: 'json' };
 import util from 'util';
+import chokidar from 'chokidar';
+import { existsSync } from 'fs';
+import { createHash } from 'crypto';
 import { exec } from 'child_process';
 import { fileURLToPath, pathToFileURL } from 'url';
 
 let cachedPages = []; // 缓存模板列表
+const buildTargets = ['server', 'static']; // 构建目标: 服务端部署 / 纯静态托管
 const execPromise = util.promisify(exec),
 
 	// ==================== 1.递归目录复制工具 ====================
@@ -140,12 +157,15 @@ const execPromise = util.promisify(exec),
 	 * 生成服务端入口文件内容（ESM 格式）
 	 * @param {boolean} hasUserRoutes - 是否存在用户自定义路由
 	 * @param {string} entryFile - 入口文件名（如 index.html）
+	 * @param {string[]} [locales=[]] - 可用语言列表（默认语言在首位）,非空时加载语言包并识别请求语言（req.locale / req.t）
+	 * @param {boolean} [optimize=false] - 优化构建: 带内容指纹的静态资源使用长期不可变缓存响应头
 	 * @returns {Promise<string>} server.js 文件内容
 	 */
-	generateServerEntry = async (hasUserRoutes, entryFile) => {
-		const imports = `import express from 'express';
+	generateServerEntry = async (hasUserRoutes, entryFile, locales = [], optimize = false) => {
+		const [defaultLocale, ...prefixedLocales] = locales, imports = `import express from 'express';
 			import path from 'path';
-			import { fileURLToPath, pathToFileURL } from 'url';
+			import { fileURLToPath, pathToFileURL } from 'url';${locales.length ? `
+			import { loadLocales, setDefaultLocale, i18nMiddleware } from './i18n.js';` : ''}
 			const __filename = fileURLToPath(import.meta.url), __dirname = path.dirname(__filename),
 			app = express(),port = process.env.PORT || ${defaultPort}`,
 			corsAndSecurity = `
@@ -163,8 +183,15 @@ const execPromise = util.promisify(exec),
 			        return res.status(204).end();
 			    }
 			    next();
-			}),	app.set('trust proxy', false);`,
-			staticMiddleware = `app.use('/static', express.static(path.join(__dirname, '${staticDir}')));
+			}),	app.set('trust proxy', false);${locales.length ? `
+			setDefaultLocale('${defaultLocale}'), await loadLocales(path.join(__dirname, '${localesDir}'));
+			app.use(i18nMiddleware());` : ''}`,
+			staticOptions = optimize ? `, {
+			    // 带内容指纹的资源(名称.哈希.扩展名)内容不会变化,可长期缓存
+			    setHeaders: (res, filePath) => ${hashedAssetRegex}.test(filePath) && res.setHeader('Cache-Control', 'public, max-age=31536000, immutable')
+			}` : '',
+			staticMiddleware = `app.use('/static', express.static(path.join(__dirname, '${staticDir}')${staticOptions}));${prefixedLocales.map(locale => `
+			app.use('/${locale}/static', express.static(path.join(__dirname, '${staticDir}')${staticOptions}));`).join('')}
 			app.use(express.static(path.join(__dirname, '${templatesDir}')));`,
 			defaultRootRoute = `app.get('/', (req, res) => res.redirect('/${entryFile}'));`;
 
@@ -245,105 +272,580 @@ const execPromise = util.promisify(exec),
 	},
 
 	// ==================== 3.编译模板文件 ====================
+	/**
+	 * 整理页面收录与订阅元数据: 标题、描述、日期优先取自 Markdown 头部数据或动态页面集合项,否则取自渲染结果;
+	 * 含 <!-- @feed --> 标记(模板文件或渲染结果中,如布局、包含文件)或头部数据 feed: true 的默认语言页面作为订阅源文章
+	 * @param {string} html - 渲染后的 HTML
+	 * @param {string} templateFile - 模板文件
+	 * @param {Object} variables - 页面变量（Markdown 头部数据、动态页面集合项等）
+	 * @param {boolean} isDefaultLocale - 是否为默认语言页面
+	 * @param {boolean} feedTemplate - 模板文件本身是否含订阅标记(继承模板区块外的标记不会出现在渲染结果中)
+	 * @returns {{title?: string, description?: string, date?: string, noindex?: boolean, feed?: boolean}} 页面元数据（省略空字段）
+	 */
+	_pageMeta = (html, templateFile, variables, isDefaultLocale, feedTemplate) => {
+		const extracted = extractPageMeta(html),
+			source = (isDynamicTemplate(templateFile) ? Object.values(variables).find(value => value !== variables.params) : variables) ?? {},
+			date = source.date ? new Date(source.date) : null;
+		return Object.fromEntries(Object.entries({
+			title: String(source.title ?? extracted.title), description: String(source.description ?? extracted.description),
+			date: date && !isNaN(date) ? date.toISOString() : null, noindex: extracted.noindex,
+			feed: isDefaultLocale && (feedTemplate || extracted.feed || source.feed === true)
+		}).filter(([, value]) => value));
+	},
+
 	/**
 	 * @param {string[]} cachedPages - 所有待编译文件（相对于 templatesDir 的路径）
 	 * @param {string} outputDir - 输出根目录（例如 'dist'）
+	 * @param {Object<string, string>|null} [manifest=null] - 资源清单（优化构建）,提供时改写页面中的静态资源引用为指纹路径并压缩 HTML
 	 *
 	 * 处理阶段：
-	 * 1. 展平编译(模板继承,包含指令解析,变量占位符替换)
-	 * 2. 获取所有包含文件并跳过
-	 * 3. 文件输出到 outputDir/templatesDir/ 下，保持原相对路径结构
+	 * 1. 展平编译(模板继承,包含指令解析,组件内联,页面数据加载,变量占位符替换,等待异步用户函数)
+	 * 2. 获取所有包含文件(含组件)并跳过
+	 * 3. 动态页面模板([参数].html)按数据集合展开,每个集合项输出一个页面;分页模板每页输出一个页面(第 2 页起为 目录/page/n.html)
+	 * 4. 文件输出到 outputDir/templatesDir/ 下，保持原相对路径结构
+	 * 5. 存在语言包时每个页面按语言分别输出,非默认语言位于 outputDir/templatesDir/<语言>/ 下
+	 * 6. 优化构建时改写静态资源引用并压缩 HTML
+	 * 7. 增量构建时跳过依赖未变化的模板(沿用上次输出),并记录每个模板的依赖哈希与输出文件
+	 * 8. 纯静态导出时页面输出到 outputDir/ 根目录,改写 ./static/ 相对引用,并对读取查询参数或请求自定义路由的模板输出警告
+	 * 9. 记录每个输出页面的标题、描述、日期及订阅标记,供生成 sitemap.xml 与订阅源
+	 * @param {{previous: Object|null, pages: Object}|null} [buildCache=null] - 增量构建缓存: previous 为上次的模板记录,
+	 * 编译结果写入 pages（模板 → { dependencies: 依赖哈希, outputs: 输出文件, meta: 输出文件 → 页面元数据, warnings?: 静态导出警告 }）
+	 * @param {{routes: Array<Object>}|null} [staticExport=null] - 纯静态导出配置,routes 为 customize 中注册的自定义路由
+	 * @returns {Promise<Error[]>} 编译失败的错误列表
 	 */
-	compile = async (cachedPages, outputDir) => {
+	compile = async (cachedPages, outputDir, manifest = null, buildCache = null, staticExport = null) => {
+		const failures = [], fail = (page, error) => {
+			console.error(`❌ 编译 ${page} 时出错: ${error.message}`);
+			if (error.frame) console.error(error.frame); // 模板错误附带出错位置代码片段
+			failures.push(error);
+		}, fresh = new Set(), knownIncluded = new Set(), warnings = new Map(), scripts = new Map(),
+			pagesDir = staticExport ? '' : templatesDir,
+			readScript = file => { // 读取页面引用的静态脚本（同一脚本只读取一次）
+				if (!scripts.has(file)) scripts.set(file, file.startsWith(`${staticDir}/`) ? fsPromises.readFile(path.join(CWD, file), 'utf8').catch(() => '') : '');
+				return scripts.get(file);
+			};
+
+		// 依赖未变化的模板沿用上次输出;其依赖中的布局、包含文件同样不作为页面输出
 		for (const templateFile of cachedPages) {
-			try {
-				let rendered = await renderTemplate(templateFile);
-				rendered = await processIncludes(rendered, templateFile);
-				rendered = processVariables(rendered, { currentUrl: `/${templateFile}`, query: {} });
-
-				const includedFiles = getIncludedFiles(); // 获取所有包含文件
-				if (includedFiles.has(templateFile)) continue; // 跳过被包含的文件
-
-				const outputPath = path.join(CWD, outputDir, templatesDir, templateFile);
-				await fsPromises.mkdir(path.dirname(outputPath), { recursive: true });
-				await fsPromises.writeFile(outputPath, rendered);
-				console.log(`✅ ${templateFile} ->已编译: ${path.join(outputDir, templatesDir, templateFile)}`);
-			} catch (error) {
-				console.error(`❌ 编译 ${templateFile} 时出错: ${error.message}`);
-			}
+			const entry = buildCache?.previous?.[templateFile];
+			if (!entry || !await isEntryFresh(entry, outputDir)) continue;
+			fresh.add(templateFile), buildCache.pages[templateFile] = entry;
+			if (entry.warnings) warnings.set(templateFile, new Set(entry.warnings));
+			for (const dependency of Object.keys(entry.dependencies)) if (dependency !== templateFile) knownIncluded.add(dependency);
+		}
+		if (fresh.size) console.log(`⏭️ 增量构建: ${fresh.size} 个模板及其依赖未变化,沿用上次输出`);
+
+		for (const templateFile of cachedPages) {
+			if (fresh.has(templateFile)) continue;
+			const failureCount = failures.length, outputs = [], meta = {}, templateWarnings = new Set();
+			const { dependencies } = await trackDependencies(async () => {
+				let pages;
+				try {
+					pages = await expandDynamicPages(templateFile);
+					if (isDynamicTemplate(templateFile)) console.log(`📚 ${templateFile} ->动态页面: ${pages.length} 个`);
+					else if (pages.length > 1) console.log(`📚 ${templateFile} ->分页: ${pages.length} 页`);
+				} catch (error) {
+					return fail(templateFile, error);
+				}
+
+				const locales = getLocales().length ? getLocales() : [getDefaultLocale()],
+					feedTemplate = feedDirectiveRegex.test(await fsPromises.readFile(path.join(templatesAbsDir, templateFile), 'utf8'));
+				for (const { page, variables } of pages) for (const locale of locales) {
+					const localizedPage = localizePath(page, locale).slice(1), url = `/${localizedPage}`,
+						probe = staticExport ? createQueryProbe() : null, query = probe?.query ?? {}; // 静态导出时记录读取的查询参数
+					try {
+						let rendered = await renderTemplate(templateFile);
+						rendered = await processIncludes(rendered, templateFile);
+						rendered = await processComponents(rendered); // 编译期内联组件
+						const pageData = await loadPageData(page, { url, query, locale }); // 输出前完成页面数据加载
+						rendered = await processVariables(rendered, { ...localeVariables(locale, page), ...variables, ...pageData, currentUrl: url, query, currentUser: null }); // 编译输出为预渲染页面,不含登录用户
+
+						const includedFiles = getIncludedFiles(); // 获取所有包含文件
+						if (includedFiles.has(templateFile) || knownIncluded.has(templateFile)) continue; // 跳过被包含的文件
+
+						const outputPath = path.join(outputDir, pagesDir, localizedPage);
+						await fsPromises.mkdir(path.dirname(outputPath), { recursive: true });
+						rendered = localizeHtml(rendered, page, locale);
+						const output = path.posix.join(pagesDir, localizedPage);
+						meta[output] = _pageMeta(rendered, templateFile, variables, locale === getDefaultLocale(), feedTemplate);
+						if (staticExport) {
+							rendered = relativizeStaticUrls(rendered, localizedPage, staticDir);
+							const scriptTexts = await Promise.all(localScriptPaths(rendered, localizedPage).map(readScript)),
+								routeRefs = findRouteReferences([rendered, ...scriptTexts].join('\n'), staticExport.routes);
+							if (probe.used.size) templateWarnings.add(`读取了运行时查询参数 ${[...probe.used].map(key => `query.${key}`).join('、')},静态托管时始终为空`);
+							if (routeRefs.length) templateWarnings.add(`请求了自定义路由 ${routeRefs.join('、')},静态托管时不可用`);
+						}
+						if (manifest) rendered = minifyHtml(rewriteAssetUrls(rendered, localizedPage, manifest));
+						await fsPromises.writeFile(outputPath, rendered), outputs.push(output);
+						console.log(`✅ ${localizedPage} ->已编译: ${path.relative(CWD, outputPath)}`);
+					} catch (error) {
+						fail(localizedPage, error);
+					}
+				}
+			});
+			if (templateWarnings.size) warnings.set(templateFile, templateWarnings);
+			// 编译失败的模板不记录,下次构建重新编译
+			if (buildCache && failures.length === failureCount) buildCache.pages[templateFile] = {
+				dependencies: await hashDependencies(dependencies), outputs, meta, ...(templateWarnings.size && { warnings: [...templateWarnings] })
+			};
+		}
+		for (const [templateFile, messages] of warnings) for (const message of messages) console.warn(`⚠️ 纯静态导出: ${templateFile} ${message}`);
+		return failures;
+	},
+
+	/**
+	 * 严格模式编译失败报告: 汇总所有模板中的出错位置（同一位置的错误只列出一次）
+	 * @param {Error[]} failures - 编译失败的错误列表
+	 */
+	reportStrictFailures = failures => {
+		const messages = [...new Set(failures.flatMap(error => error.errors ?? [error]).map(error => error.message))];
+		console.error(`\n❌ 严格模式编译失败,共 ${messages.length} 处错误:`);
+		messages.forEach(message => console.error(`  - ${message}`));
+	};
+
+// ==================== 4.增量构建缓存 ====================
+const buildCacheFile = '.build-cache.json', buildCacheVersion = 1,
+	/**
+	 * 计算文件内容哈希
+	 * @param {string} filePath - 文件绝对路径
+	 * @returns {Promise<string|null>} 哈希值,文件不存在时为 null
+	 */
+	_hashFile = async filePath => {
+		try {
+			return createHash('sha1').update(await fsPromises.readFile(filePath)).digest('hex');
+		} catch {
+			return null;
+		}
+	},
+
+	/**
+	 * 计算依赖项哈希: 以 / 结尾的目录(文件夹集合)按文件列表计算,其余按文件内容计算
+	 * @param {string} dependency - 相对于模板目录的依赖路径
+	 * @returns {Promise<string|null>} 哈希值,不存在时为 null
+	 */
+	_hashDependency = async dependency => {
+		const absolutePath = path.join(templatesAbsDir, dependency);
+		if (!dependency.endsWith('/')) return _hashFile(absolutePath);
+		try {
+			return createHash('sha1').update((await fsPromises.readdir(absolutePath)).sort().join('\n')).digest('hex');
+		} catch {
+			return null;
+		}
+	},
+
+	/**
+	 * 计算目录树哈希（相对路径及文件内容,跳过隐藏文件）
+	 * @param {string} dir - 目录绝对路径
+	 * @param {Hash} [hash] - 累加的哈希对象
+	 * @returns {Promise<Hash>} 哈希对象
+	 */
+	_hashTree = async (dir, hash = createHash('sha1')) => {
+		let entries = [];
+		try {
+			entries = (await fsPromises.readdir(dir, { withFileTypes: true })).sort((a, b) => a.name.localeCompare(b.name));
+		} catch (error) {
+			if (error.code !== 'ENOENT') throw error;
+		}
+		for (const entry of entries) {
+			if (entry.name.startsWith('.') || entry.name === 'node_modules') continue;
+			const entryPath = path.join(dir, entry.name);
+			hash.update(`\n${path.relative(CWD, entryPath)}\n`);
+			if (entry.isDirectory()) await _hashTree(entryPath, hash);
+			else hash.update(await fsPromises.readFile(entryPath));
+		}
+		return hash;
+	},
+
+	/**
+	 * 计算影响所有页面的构建输入哈希: 工具版本、构建选项、customize 目录(用户函数、变量、数据文件)、语言包,
+	 * 优化构建及纯静态导出时还包括静态资源(资源指纹写入页面、页面脚本用于检测自定义路由);任一变化时全部模板重新编译
+	 * @param {Object} buildOptions - 影响输出的构建选项
+	 * @returns {Promise<string>} 哈希值
+	 */
+	hashBuildInputs = async buildOptions => {
+		const hash = createHash('sha1').update(JSON.stringify({ version: PK.version, ...buildOptions })),
+			dirs = [customizeDir, localesDir, ...(buildOptions.optimize || buildOptions.target === 'static' ? [staticDir] : [])];
+		for (const dir of dirs) await _hashTree(path.join(CWD, dir), hash);
+		return hash.digest('hex');
+	},
+
+	/**
+	 * 计算模板依赖文件的哈希表
+	 * @param {Set<string>} dependencies - 依赖路径集合（相对于模板目录）
+	 * @returns {Promise<Object<string, string|null>>} 依赖路径 → 哈希
+	 */
+	hashDependencies = async dependencies => {
+		const result = {};
+		for (const dependency of [...dependencies].sort()) result[dependency] = await _hashDependency(dependency);
+		return result;
+	},
+
+	/**
+	 * 判断模板记录是否仍然有效: 所有依赖哈希未变化且上次的输出文件都存在
+	 * @param {{dependencies: Object, outputs: string[]}} entry - 模板记录
+	 * @param {string} outputDir - 输出目录
+	 * @returns {Promise<boolean>}
+	 */
+	isEntryFresh = async (entry, outputDir) => {
+		for (const [dependency, hash] of Object.entries(entry.dependencies)) if (await _hashDependency(dependency) !== hash) return false;
+		return entry.outputs.every(output => existsSync(path.join(outputDir, output)));
+	},
+
+	/**
+	 * 读取上次构建缓存
+	 * @param {string} outputDir - 输出目录
+	 * @returns {Promise<{version: number, inputs: string, pages: Object}|null>} 缓存内容,不存在或版本不符时为 null
+	 */
+	readBuildCache = async outputDir => {
+		try {
+			const cache = JSON.parse(await fsPromises.readFile(path.join(outputDir, buildCacheFile), 'utf8'));
+			return cache?.version === buildCacheVersion && cache.pages ? cache : null;
+		} catch {
+			return null;
+		}
+	},
+
+	/**
+	 * 删除上次构建输出、本次已不再生成的页面文件(模板被删除或动态页面集合项减少)
+	 * @param {Object} previousPages - 上次的模板记录
+	 * @param {Object} pages - 本次保留的模板记录
+	 * @param {string} outputDir - 输出目录
+	 */
+	removeStaleOutputs = async (previousPages, pages, outputDir) => {
+		const current = new Set(Object.values(pages).flatMap(entry => entry.outputs));
+		for (const output of Object.values(previousPages).flatMap(entry => entry.outputs)) {
+			if (current.has(output)) continue;
+			await fsPromises.rm(path.join(outputDir, output), { force: true }), console.log(`🗑️ 已删除过期页面: ${output}`);
+		}
+	},
+
+	/**
+	 * 清理输出目录: 服务端构建保留依赖安装结果(node_modules、package.json、package-lock.json)以便比较后跳过安装,
+	 * 增量构建时另外保留页面目录及构建缓存;纯静态导出的页面位于输出根目录,增量构建时保留上次输出页面所在的顶层条目及构建缓存;
+	 * 其余内容(静态资源、用户功能、语言包等)重新输出
+	 * @param {string} outputDir - 输出目录
+	 * @param {Object} options
+	 * @param {string} options.target - 构建目标 server / static
+	 * @param {boolean} options.incremental - 是否为增量构建
+	 * @param {Object|null} options.previousPages - 可沿用的上次模板记录
+	 */
+	cleanOutputDir = async (outputDir, { target, incremental, previousPages }) => {
+		const keep = target === 'static'
+			? previousPages ? [buildCacheFile, ...Object.values(previousPages).flatMap(entry => entry.outputs.map(output => output.split('/')[0]))] : []
+			: ['node_modules', 'package.json', 'package-lock.json', ...(incremental ? [templatesDir, buildCacheFile] : [])];
+		await fsPromises.mkdir(outputDir, { recursive: true });
+		for (const entry of await fsPromises.readdir(outputDir)) {
+			if (!keep.includes(entry)) await fsPromises.rm(path.join(outputDir, entry), { recursive: true, force: true });
 		}
 	};
 
-// ==================== 4.批量编译主流程 ====================
+// ==================== 5.批量编译主流程 ====================
 /**
- * 全量模板编译与打包
- * >查看定义:@see {@link compileAllTemplates}
- * @param {string|Object} [options] - 配置项,可以是字符串（输出目录）或对象（支持 outputDir 字段）
- * @param {string} [options.outputDir='dist'] - 自定义打包输出目录
- *
- * 核心流程：
- * 1. 初始化编译环境（模式标识->缓存清理->验证模板->获取编译文件）
- * 2. 预加载用户自定义变量
- * 3. 创建打包目录,异步编译所有模板文件
- * 4. 路由检测,根据有无路由准备不同的依赖对象,生成入口文件内容、原子写入文件
- * 5. 复制资源、自动安装依赖、恢复非编译模式
- *
- * 特殊处理：
- * - 通过编译模式切换包含文件收集行为
- * - 自动过滤片段文件避免重复输出
- * - 有路由时合并用户依赖，无路由时仅包含 express
- * - 自动安装依赖确保运行环境完整
+ * 生成站点文件: robots.txt、sitemap.xml 及订阅源(rss.xml、atom.xml),与页面位于同一目录(站点根目录)
+ * sitemap 的 lastmod 取页面依赖文件(模板、布局、包含文件、组件、集合文件)的最后修改时间,404 及 noindex 页面不收录;
+ * 订阅源文章按日期倒序,日期取自头部数据 date,否则同 lastmod;未配置站点地址时只生成 robots.txt
+ * @param {string} outputDir - 输出目录
+ * @param {string} pagesDir - 页面目录（相对于输出目录）
+ * @param {Object} pages - 本次构建的模板记录
+ * @param {string|null} siteUrl - 站点地址
  */
-const compileAllTemplates = async (options = {}) => {
-	if (typeof options === 'string') options = { outputDir: options };
-	const outputDir = options.outputDir || 'dist';
+const writeSiteFiles = async (outputDir, pagesDir, pages, siteUrl) => {
+	const siteDir = path.join(outputDir, pagesDir), mtimes = new Map(), sitemapPages = [], items = [],
+		lastModified = async dependencies => {
+			let latest = null;
+			for (const dependency of Object.keys(dependencies)) {
+				if (dependency.endsWith('/')) continue; // 集合目录按其中的文件计算
+				if (!mtimes.has(dependency)) mtimes.set(dependency, await fsPromises.stat(path.join(templatesAbsDir, dependency)).then(stat => stat.mtime, () => null));
+				const mtime = mtimes.get(dependency);
+				if (mtime && (!latest || mtime > latest)) latest = mtime;
+			}
+			return latest;
+		};
+	await fsPromises.mkdir(siteDir, { recursive: true });
+	await fsPromises.writeFile(path.join(siteDir, robotsFile), buildRobots(siteUrl));
+	if (!siteUrl) {
+		for (const file of [sitemapFile, rssFile, atomFile]) await fsPromises.rm(path.join(siteDir, file), { force: true });
+		return console.log(`🤖 已生成 ${robotsFile}(未配置站点地址 siteUrl,跳过 ${sitemapFile} 及订阅源)`);
+	}
+
+	for (const entry of Object.values(pages)) {
+		const lastmod = await lastModified(entry.dependencies);
+		for (const output of entry.outputs) {
+			const page = path.posix.relative(pagesDir, output), meta = entry.meta?.[output] ?? {};
+			if (meta.noindex || page === '404.html') continue;
+			sitemapPages.push({ page, lastmod });
+			if (meta.feed) items.push({ page, title: meta.title || page, description: meta.description, date: meta.date ? new Date(meta.date) : lastmod ?? new Date() });
+		}
+	}
+	sitemapPages.sort((a, b) => a.page.localeCompare(b.page)), items.sort((a, b) => b.date - a.date);
+	await fsPromises.writeFile(path.join(siteDir, sitemapFile), buildSitemap(siteUrl, sitemapPages));
+	console.log(`🗺️ 已生成 ${robotsFile}、${sitemapFile}(${sitemapPages.length} 个页面)`);
+
+	if (!items.length) {
+		for (const file of [rssFile, atomFile]) await fsPromises.rm(path.join(siteDir, file), { force: true });
+		return;
+	}
+	// 订阅源标题、描述取自入口页面
+	const entryOutput = path.posix.join(pagesDir, await findEntryFile(cachedPages)),
+		entryMeta = Object.values(pages).find(entry => entry.outputs.includes(entryOutput))?.meta?.[entryOutput] ?? {},
+		feed = { siteUrl, title: entryMeta.title || new URL(siteUrl).hostname, description: entryMeta.description, language: getDefaultLocale(), items };
+	await Promise.all([
+		fsPromises.writeFile(path.join(siteDir, rssFile), buildRss(feed)),
+		fsPromises.writeFile(path.join(siteDir, atomFile), buildAtom(feed))
+	]);
+	console.log(`📰 已生成订阅源 ${rssFile}、${atomFile}(${items.length} 篇文章)`);
+};
+
+/**
+ * 检查输出站点中的链接: 解析全部页面,检查 <a href>、<link href>、<img src>、<script src> 的站内目标及片段锚点是否存在,
+ * 跟随根路径重定向及页面定时跳转检测循环;按部署方式解析地址(server: /static、/<语言>/static 映射到静态资源目录,
+ * 页面目录按 express.static 规则解析,根路径无 index.html 时重定向到入口页面,自定义 GET 路由视为存在;static: 按输出目录中的文件解析)
+ * @param {string} outputDir - 输出目录
+ * @param {Object} options
+ * @param {string} options.target - 构建目标 server / static
+ * @param {boolean} options.strict - 严格模式: 存在问题时构建失败
+ * @param {boolean} [options.userRoutes=false] - 服务端入口是否加载自定义路由
+ * @returns {Promise<boolean>} 是否通过检查(非严格模式下始终通过)
+ */
+const checkOutputLinks = async (outputDir, { target, strict, userRoutes = false }) => {
+	const isStatic = target === 'static', siteDir = path.join(outputDir, isStatic ? '' : templatesDir), pages = [],
+		routes = !userRoutes ? [] : (await scanUserRoutes(path.join(CWD, customizeDir))).filter(route => ['GET', 'ALL'].includes(route.method)),
+		entryFile = await findEntryFile(cachedPages), staticPrefixes = ['', ...getLocales().slice(1)].map(locale => `${locale ? `/${locale}` : ''}/${staticDir}/`),
+		fileStat = file => fsPromises.stat(file).catch(() => null),
+		collectPages = async dir => {
+			for (const entry of await fsPromises.readdir(path.join(siteDir, dir), { withFileTypes: true })) {
+				const relative = path.posix.join(dir, entry.name);
+				if (entry.isDirectory()) {
+					if (!(isStatic && !dir && [staticDir, 'node_modules'].includes(entry.name))) await collectPages(relative);
+				} else if (entry.name.endsWith('.html')) pages.push(relative);
+			}
+		},
+		resolve = async pathname => {
+			if (routes.some(route => route.pattern.test(pathname))) return { file: true };
+			const staticPrefix = isStatic ? null : staticPrefixes.find(prefix => pathname.startsWith(prefix)),
+				baseDir = staticPrefix ? path.join(outputDir, staticDir) : siteDir, relative = staticPrefix ? pathname.slice(staticPrefix.length) : pathname.slice(1);
+			let file = path.join(baseDir, relative), stat = await fileStat(file);
+			if (stat?.isDirectory() && !staticPrefix) file = path.join(file, 'index.html'), stat = await fileStat(file); // 目录按 index.html 解析
+			if (stat?.isFile()) return file.endsWith('.html') && !staticPrefix ? { page: path.relative(siteDir, file).split(path.sep).join('/') } : { file: true };
+			return pathname === '/' && !isStatic ? { redirect: `/${entryFile}` } : null; // 服务端默认根路由
+		};
+	await collectPages('');
+	const report = await checkLinks({ pages, readPage: page => fsPromises.readFile(path.join(siteDir, page), 'utf8'), resolve }),
+		lines = formatLinkReport(report);
+	if (!report.issues.length) return console.log(lines[0]), true;
+	if (strict) {
+		console.error(['❌ 链接检查未通过(严格模式):', ...lines].join('\n')), process.exitCode = 1;
+		return false;
+	}
+	console.warn(`⚠️ ${lines.join('\n')}`);
+	return true;
+};
+
+/**
+ * 纯静态导出收尾: 复制静态资源,模板目录中没有 404.html 时生成默认 404 页面;不生成服务端入口与 package.json,不安装依赖
+ * @param {string} outputDir - 输出目录
+ * @param {boolean} optimize - 是否为优化构建(静态资源已在编译前输出,404 页面同样压缩)
+ * @param {Object} linkCheck - 链接检查配置 { enabled, strict }
+ * @returns {Promise<boolean>} 构建是否成功
+ */
+const exportStatic = async (outputDir, optimize, linkCheck) => {
+	if (!optimize) await copyDir(staticDir, path.join(outputDir, staticDir));
+	const notFoundPath = path.join(outputDir, '404.html');
+	if (!existsSync(notFoundPath)) {
+		const entryFile = await findEntryFile(cachedPages), html = notFoundPage({
+			lang: getDefaultLocale(), home: entryFile === 'index.html' ? '/' : `/${entryFile}`, t: createTranslator(getDefaultLocale())
+		});
+		await fsPromises.writeFile(notFoundPath, optimize ? minifyHtml(html) : html), console.log('✅ 已生成默认 404 页面: 404.html');
+	}
+	console.log('✅ 资源打包完成');
+	if (linkCheck.enabled && !await checkOutputLinks(outputDir, { target: 'static', strict: linkCheck.strict })) return setCompilationMode(false), setStrictMode(false), false;
+	console.log(`\n📄 纯静态导出完成(无服务端入口),可将 ${path.relative(CWD, outputDir) || '.'} 目录部署到 GitHub Pages、CDN 等静态托管平台`), setCompilationMode(false), setStrictMode(false);
+	return true;
+};
 
+/**
+ * 执行一次构建（完整或增量）
+ * @param {Object} config - 已解析的构建配置 { outputDir, strict, optimize, defaultLocale, incremental, target, siteUrl, checkLinks }
+ * @param {boolean} [rebuild=false] - 是否为监听模式下的重新构建(强制重新加载 customize 模块)
+ * @returns {Promise<boolean>} 构建是否成功
+ */
+const runBuild = async ({ outputDir, strict, optimize, defaultLocale, incremental, target, siteUrl, checkLinks }, rebuild = false) => {
 	try {
 		// 1.设置编译模式并清空包含文件记录
-		setCompilationMode(true), cachedPages = await getAvailableTemplates();
+		setCompilationMode(true), setStrictMode(strict), cachedPages = await getAvailableTemplates();
 		for (const file of cachedPages) await validateTemplateFile(file); // 模板验证
 
 		// 2.加载用户自定义功能（编译模式）
-		await loadUserFeatures(null, true), console.log(`ℹ️ 变量已从${customizeDir}目录加载`);
+		await loadUserFeatures(null, true, rebuild), console.log(`ℹ️ 变量已从${customizeDir}目录加载`);
+		setDefaultLocale(defaultLocale), await loadLocales(path.join(CWD, localesDir));
 
-		// 3.创建打包目录
-		await fsPromises.rm(outputDir, { recursive: true, force: true });
-		await fsPromises.mkdir(outputDir, { recursive: true }), console.log(`📁 已创建输出目录: ${outputDir}`);
-		await compile(cachedPages, outputDir), console.log(`\n🎉 编译文件完成!`);
+		// 3.准备输出目录,读取构建缓存（构建输入变化时全部模板重新编译,仍按上次记录清理过期页面）
+		const inputs = await hashBuildInputs({ optimize, defaultLocale, target }), cache = incremental ? await readBuildCache(outputDir) : null,
+			buildCache = { previous: cache?.inputs === inputs ? cache.pages : null, pages: {} }, isStatic = target === 'static';
+		if (incremental && cache && !buildCache.previous) console.log('🔄 customize、语言包或构建选项已变化,全部模板重新编译');
+		await cleanOutputDir(outputDir, { target, incremental, previousPages: buildCache.previous });
+		console.log(`📁 已准备输出目录: ${path.relative(CWD, outputDir) || '.'}${incremental ? '（增量构建）' : ''}${isStatic ? '（纯静态导出）' : ''}`);
+
+		let manifest = null;
+		if (optimize) {
+			manifest = await fingerprintAssets(path.join(CWD, staticDir), path.join(outputDir, staticDir), staticDir);
+			await fsPromises.writeFile(path.join(outputDir, 'asset-manifest.json'), JSON.stringify(manifest, null, 2));
+			console.log(`🗜️ 优化构建: 已压缩并生成 ${Object.keys(manifest).length} 个静态资源指纹(asset-manifest.json)`);
+		}
+		const staticExport = isStatic ? { routes: await scanUserRoutes(path.join(CWD, customizeDir)) } : null,
+			failures = await compile(cachedPages, outputDir, manifest, buildCache, staticExport);
+		// 编译失败的模板保留上次输出,已删除模板及不再生成的页面从输出目录移除
+		if (cache) await removeStaleOutputs(cache.pages, {
+			...Object.fromEntries(Object.entries(cache.pages).filter(([file]) => cachedPages.includes(file))), ...buildCache.pages
+		}, outputDir);
+		await fsPromises.writeFile(path.join(outputDir, buildCacheFile), JSON.stringify({ version: buildCacheVersion, inputs, pages: buildCache.pages }));
+		if (strict && failures.length > 0) {
+			reportStrictFailures(failures), process.exitCode = 1, setCompilationMode(false), setStrictMode(false);
+			return false;
+		}
+		console.log(`\n🎉 编译文件完成!`);
+		await writeSiteFiles(outputDir, isStatic ? '' : templatesDir, buildCache.pages, siteUrl);
+		if (isStatic) return await exportStatic(outputDir, optimize, { enabled: checkLinks, strict });
 
 		// 4. 检测是否存在用户路由,生成package.json内容,获取入口文件生成 server.js 内容，并原子写入磁盘
 		const hasUserRoutes = await checkUserRoutesExist(), pkgContent = await mergeDependencies(hasUserRoutes),
-			entryFile = await findEntryFile(cachedPages), serverContent = await generateServerEntry(hasUserRoutes, entryFile);
+			entryFile = await findEntryFile(cachedPages), serverContent = await generateServerEntry(hasUserRoutes, entryFile, getLocales(), optimize),
+			pkgPath = path.join(outputDir, 'package.json'), previousPkg = await fsPromises.readFile(pkgPath, 'utf8').catch(() => null);
 
 		await Promise.all([
 			fsPromises.writeFile(path.join(outputDir, 'server.js'), serverContent),
-			fsPromises.writeFile(path.join(outputDir, 'package.json'), pkgContent)
+			fsPromises.writeFile(pkgPath, pkgContent)
 		]);
 
 		// 5. 复制静态资源与用户功能目录
-		await copyDir(staticDir, path.join(outputDir, staticDir));
+		if (!optimize) await copyDir(staticDir, path.join(outputDir, staticDir)); // 优化构建时已在编译前输出
 		await copyDir(customizeDir, path.join(outputDir, customizeDir));
+		if (getLocales().length) {
+			// 语言包及国际化服务(无第三方依赖)供生产服务器识别请求语言
+			await copyDir(localesDir, path.join(outputDir, localesDir));
+			await fsPromises.copyFile(fileURLToPath(new URL('./services/i18nService.js', import.meta.url)), path.join(outputDir, 'i18n.js'));
+		}
 		try {
 			await fsPromises.copyFile(path.join(CWD, '.env'), path.join(outputDir, '.env'));
 		} catch (err) {
 			if (err.code !== 'ENOENT') console.error(`⚠️ 复制 .env 文件失败: ${err.message}`);
 		}
-		console.log('✅ 资源打包完成'), await installDependencies(outputDir);
+		console.log('✅ 资源打包完成');
+		if (checkLinks && !await checkOutputLinks(outputDir, { target, strict, userRoutes: hasUserRoutes })) return setCompilationMode(false), setStrictMode(false), false;
+		// package.json 未变化且已安装过依赖时跳过 npm install
+		if (previousPkg === pkgContent && existsSync(path.join(outputDir, 'node_modules'))) console.log('⏭️ package.json 未变化,跳过依赖安装');
+		else await installDependencies(outputDir);
 
 		if (hasUserRoutes) console.log('\n🚀 检测到自定义路由,已创建完整服务端入口文件');
 		else console.log('\n📄 已生成静态文件服务器（无用户路由）');
 
-		console.log(`👉 启动服务器命令: cd ${outputDir} && node server.js`), setCompilationMode(false); // 设置编译模式为假
+		console.log(`👉 启动服务器命令: cd ${path.relative(CWD, outputDir) || '.'} && node server.js`), setCompilationMode(false), setStrictMode(false); // 恢复非编译模式
+		return true;
 	} catch (error) {
 		console.error('❌ 编译流程出错:', error.message);
-		setCompilationMode(false);
+		if (strict) process.exitCode = 1;
+		setCompilationMode(false), setStrictMode(false);
+		return false;
 	}
+},
+
+	/**
+	 * 监听模板、静态资源、用户功能及语言包目录,变更后以增量构建重新输出到磁盘
+	 * 连续变更合并为一次构建,构建进行中发生的变更在本次完成后再构建一次
+	 * @param {Object} config - 已解析的构建配置
+	 * @returns {import('chokidar').FSWatcher} 文件监听器
+	 */
+	watchAndRebuild = config => {
+		const watchDirs = [templatesDir, staticDir, customizeDir, localesDir].map(dir => path.join(CWD, dir)).filter(dir => existsSync(dir));
+		let timer = null, building = false, pending = false;
+
+		const rebuild = async () => {
+			if (building) return void (pending = true);
+			building = true, console.log('\n🔁 检测到文件变更,开始增量构建...');
+			await runBuild({ ...config, incremental: true }, true);
+			building = false, console.log(`👀 继续监听文件变更(按 Ctrl+C 退出)`);
+			if (pending) pending = false, rebuild();
+		};
+
+		console.log(`👀 监听模式已启用(监听目录->${watchDirs.map(dir => path.relative(CWD, dir)).join(',')}),按 Ctrl+C 退出`);
+		return chokidar.watch(watchDirs, {
+			ignored: file => /(^|[\/\\])\../.test(file) || file.startsWith(config.outputDir), persistent: true, ignoreInitial: true
+		}).on('all', (event, file) => {
+			if (!['add', 'change', 'unlink', 'addDir', 'unlinkDir'].includes(event)) return;
+			console.log(`📝 ${event}: ${path.relative(CWD, file)}`), clearTimeout(timer), timer = setTimeout(rebuild, 200);
+		}).on('error', error => console.error('❌ 文件监听错误:', error));
+	};
+
+/**
+ * 全量模板编译与打包
+ * >查看定义:@see {@link compileAllTemplates}
+ * @param {string|Object} [options] - 配置项,可以是字符串（输出目录）或对象（支持 outputDir 字段）
+ * @param {string} [options.outputDir='dist'] - 自定义打包输出目录
+ * @param {boolean} [options.strict=false] - 严格模式: 未定义变量、未知函数及表达式错误导致编译失败(退出码非零),
+ * 也可通过命令行参数 --strict/--no-strict 或环境变量 STRICT 指定(优先级: 命令行 > 函数参数 > 环境变量)
+ * @param {boolean} [options.optimize=false] - 优化构建: 压缩 HTML/CSS/JS,静态资源生成内容指纹副本(如 index.3fa9c2e1.css)并改写页面引用,
+ * 输出 asset-manifest.json 资源清单;也可通过命令行参数 --optimize/--no-optimize 或环境变量 OPTIMIZE 指定(优先级同上)
+ * @param {string} [options.defaultLocale='zh-CN'] - 默认语言,存在 locales 语言包时按语言分别输出页面(默认语言无路径前缀),
+ * 也可通过命令行参数 --locale 或环境变量 DEFAULT_LOCALE 指定(优先级同上)
+ * @param {boolean} [options.incremental=true] - 增量构建: 按构建缓存只重新编译依赖(模板、布局、包含文件、组件、集合文件)变化的模板,
+ * customize 目录、语言包或构建选项变化时全部重新编译;设为 false 时清空输出目录完整构建,
+ * 也可通过命令行参数 --incremental/--no-incremental 或环境变量 INCREMENTAL 指定(优先级同上)
+ * @param {boolean} [options.watch=false] - 监听模式: 首次构建后持续监听源文件,变更时自动增量构建,
+ * 也可通过命令行参数 --watch 或环境变量 WATCH 指定(优先级同上)
+ * @param {'server'|'static'} [options.target='server'] - 构建目标: server 生成 Express 服务端入口与 package.json 并安装依赖;
+ * static 为纯静态导出,页面直接输出到 outputDir 根目录(适用于 GitHub Pages、CDN),改写嵌套页面的 ./static/ 相对引用、生成 404.html,
+ * 并警告依赖自定义路由或运行时查询参数的模板;也可通过命令行参数 --target 或环境变量 BUILD_TARGET 指定(优先级同上)
+ * @param {string} [options.siteUrl] - 站点地址(如 https://example.com 或 https://user.github.io/repo),用于生成 sitemap.xml、
+ * robots.txt 中的 Sitemap 声明及 RSS/Atom 订阅源中的绝对链接;未配置时只生成 robots.txt,
+ * 也可通过命令行参数 --site-url 或环境变量 SITE_URL 指定(优先级同上)
+ * @param {boolean} [options.checkLinks=true] - 链接检查: 输出完成后检查页面中的失效链接、缺失资源(含 /static/img/*)、无效片段锚点及根路径重定向循环,
+ * 输出检查报告;严格模式下存在问题时构建失败(退出码非零),也可通过命令行参数 --check-links/--no-check-links 或环境变量 CHECK_LINKS 指定(优先级同上)
+ * @returns {Promise<boolean>} 首次构建是否成功
+ *
+ * 核心流程：
+ * 1. 初始化编译环境（模式标识->缓存清理->验证模板->获取编译文件）
+ * 2. 预加载用户自定义变量及语言包
+ * 3. 准备打包目录并读取构建缓存,优化构建时先生成静态资源指纹与资源清单,编译依赖变化的模板文件,生成 robots.txt、sitemap.xml 及订阅源
+ * 4. 路由检测,根据有无路由准备不同的依赖对象,生成入口文件内容、原子写入文件
+ * 5. 复制资源、检查输出站点的链接、依赖变化时自动安装依赖、恢复非编译模式
+ * 6. 监听模式下持续增量构建
+ *
+ * 特殊处理：
+ * - 通过编译模式切换包含文件收集行为
+ * - 自动过滤片段文件避免重复输出
+ * - 有路由时合并用户依赖，无路由时仅包含 express
+ * - 自动安装依赖确保运行环境完整,package.json 未变化时跳过安装
+ */
+const compileAllTemplates = async (options = {}) => {
+	if (typeof options === 'string') options = { outputDir: options };
+	const args = process.argv.slice(2), localeArgIndex = args.indexOf('--locale'), targetArgIndex = args.indexOf('--target'), siteUrlArgIndex = args.indexOf('--site-url'), config = {
+		outputDir: path.resolve(CWD, options.outputDir || 'dist'), // 解析为绝对路径,页面、静态资源及构建缓存均输出到同一目录
+		strict: args.includes('--strict') || !args.includes('--no-strict') && (options.strict ?? process.env.STRICT === 'true'),
+		optimize: args.includes('--optimize') || !args.includes('--no-optimize') && (options.optimize ?? process.env.OPTIMIZE === 'true'),
+		defaultLocale: (localeArgIndex !== -1 && args[localeArgIndex + 1]) || options.defaultLocale || process.env.DEFAULT_LOCALE || 'zh-CN',
+		incremental: args.includes('--incremental') || !args.includes('--no-incremental') && (options.incremental ?? process.env.INCREMENTAL !== 'false'),
+		target: (targetArgIndex !== -1 && args[targetArgIndex + 1]) || options.target || process.env.BUILD_TARGET || 'server',
+		siteUrl: (siteUrlArgIndex !== -1 && args[siteUrlArgIndex + 1]) || options.siteUrl || process.env.SITE_URL || null,
+		checkLinks: args.includes('--check-links') || !args.includes('--no-check-links') && (options.checkLinks ?? process.env.CHECK_LINKS !== 'false')
+	}, watch = args.includes('--watch') || (options.watch ?? process.env.WATCH === 'true');
+	if (!buildTargets.includes(config.target)) {
+		console.error(`❌ 未知的构建目标: ${config.target}(可选: ${buildTargets.join('、')})`), process.exitCode = 1;
+		return false;
+	}
+	if (config.siteUrl && !/^https?:\/\/[^/]/.test(config.siteUrl)) {
+		console.error(`❌ 站点地址无效: ${config.siteUrl}(需以 http:// 或 https:// 开头)`), process.exitCode = 1;
+		return false;
+	}
+
+	const success = await runBuild(config);
+	if (watch) watchAndRebuild(config);
+	return success;
 };
 
-// ==================== 5.导出接口与执行编译 ====================
+// ==================== 6.导出接口与执行编译 ====================
 export { compileAllTemplates };
 
 if (process.argv[1] === fileURLToPath(import.meta.url)) {
-	const customDir = process.argv[2];
+	const customDir = process.argv.slice(2).find((arg, i, args) => !arg.startsWith('--') && !['--locale', '--target', '--site-url'].includes(args[i - 1])); // 忽略 --strict 等开关参数及 --locale、--target、--site-url 的值
 	compileAllTemplates(customDir);
-}
\ No newline at end of file
+}
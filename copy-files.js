@@ -7,7 +7,7 @@ import { fileURLToPath } from 'url';
 // 获取 __dirname (仅用于迁移)
 const __filename = fileURLToPath(import.meta.url), __dirname = path.dirname(__filename),
     // 常量定义(直接覆盖文件列表和复制列表)
-    alwaysOverwriteFiles = ['f-README.md', 'f-CHANGELOG.md'], filesToCopy = ['templates', 'customize', 'static', '.env',
+    alwaysOverwriteFiles = ['f-README.md', 'f-CHANGELOG.md'], filesToCopy = ['templates', 'customize', 'locales', 'static', '.env',
         'dev.js', 'build.js', 'restoreDefaults.js', 'f-README.md', 'f-CHANGELOG.md'],
 
     // 日志函数
@@ -28,7 +28,7 @@ const __filename = fileURLToPath(import.meta.url), __dirname = path.dirname(__fi
           --skip-dirs          （默认）
 
         可选参数(2选1):
-          --account            启用登录模式（会复制 templates/account 和 customize/account.js）
+          --account            启用登录模式（会复制 templates/account、customize/account.js 和 customize/userStore）
           --no-account         禁用登录模式，跳过复制上述文件/目录（默认）
         可选参数:
           --verbose            详细模式,显示操作信息
@@ -77,8 +77,9 @@ const __filename = fileURLToPath(import.meta.url), __dirname = path.dirname(__fi
     copyFileOrDir = async (src, dest, isRootItem = true, config) => {
         if (!config.account) {
             const accountDir = path.join(config.packageDir, 'templates', 'account'),
-                accountFile = path.join(config.packageDir, 'customize', 'account.js');
-            if (src === accountDir || src === accountFile) return log(`跳过account相关:${path.basename(src)}`, config);
+                accountFile = path.join(config.packageDir, 'customize', 'account.js'),
+                userStoreDir = path.join(config.packageDir, 'customize', 'userStore');
+            if ([accountDir, accountFile, userStoreDir].includes(src)) return log(`跳过account相关:${path.basename(src)}`, config);
         }
 
         try {
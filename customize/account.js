@@ -9,18 +9,19 @@ import {
     generateRegistrationOptions, verifyRegistrationResponse, generateAuthenticationOptions, verifyAuthenticationResponse
 } from 'flun-webauthn-server';
 import { fromBuffer, toBuffer } from 'flun-webauthn-server/helpers';
-import { randomBytes } from 'crypto';
+import { randomBytes, createHash } from 'crypto';
 import { hashSync, hash, compare } from 'bcrypt';
 import { toDataURL } from 'qrcode';
 import { EventEmitter } from 'events';
 import session from 'express-session';
 import { rateLimit } from 'express-rate-limit';
 import { generateSecret, verify, generateURI } from 'otplib';
-import { fileURLToPath } from 'url';
+import { createUserStore } from './userStore/index.js';
+import { roleDefinitions, toCurrentUser, requireRole } from './lib/access.js';
 
-const __filename = fileURLToPath(import.meta.url), __dirname = path.dirname(__filename), CWD = process.cwd(),
-    pageDir = 'templates', accountDir = 'account', usersFile = path.join(__dirname, 'users.json'), pendingRegistrations = new Map(),
+const CWD = process.cwd(), pageDir = 'templates', accountDir = 'account', pendingRegistrations = new Map(),
     recentPasswordResets = new Map(), mailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/, Store = session.Store;
+let userStore = null, userStoreReady = null; // 用户存储(按 .env 中的 USER_STORE 选择 JSON 文件、SQLite 或 MySQL)及其初始化任务
 
 // 邮件发送配置检查
 if (!env.MAIL_HOST || !env.MAIL_USER || !env.MAIL_PASS)
@@ -34,15 +35,7 @@ const transporter = createTransport({
     auth: { user: env.MAIL_USER, pass: env.MAIL_PASS }
 }),
     // ========== 辅助函数 ==========
-    readUsers = () => {
-        try {
-            if (!fs.existsSync(usersFile)) return [];
-            const data = fs.readFileSync(usersFile, 'utf8');
-            return JSON.parse(data);
-        } catch (err) { return []; }
-    },
-    writeUsers = users => fs.writeFileSync(usersFile, JSON.stringify(users, null, 2)),
-    createUserObject = (username, email, hashedPassword, emailVerified = false) => {
+    createUserObject = (username, email, hashedPassword, emailVerified = false, roles = ['user']) => {
         const now = Date.now();
         return {
             id: now,
@@ -53,16 +46,15 @@ const transporter = createTransport({
             backupCodes: [],
             webauthnCredentials: [], webauthnEnabled: false,
             createdAt: now, updatedAt: now, passwordChangedAt: now,
-            pendingEmail: null, pendingEmailToken: null, pendingEmailExpires: null
+            pendingEmail: null, pendingEmailToken: null, pendingEmailExpires: null,
+            roles, permissions: []
         };
     },
-    initAdminUser = () => {
-        const users = readUsers();
-        if (users.length <= 0) {
-            const adminPassword = env.PWD || 'admin', hashedPassword = hashSync(adminPassword, 10),
-                adminUser = createUserObject('admin', null, hashedPassword);
-            users.push(adminUser), writeUsers(users);
-        }
+    initAdminUser = async () => {
+        if (await userStore.count() > 0) return;
+        const adminPassword = env.PWD || 'admin', hashedPassword = hashSync(adminPassword, 10),
+            adminUser = createUserObject('admin', null, hashedPassword, false, ['admin']);
+        await userStore.create(adminUser);
     },
     sendEmail = async (to, subject, html) => {
         if (transporter) await transporter.sendMail({ from: `"Your App" <${env.MAIL_USER}>`, to, subject, html });
@@ -70,13 +62,11 @@ const transporter = createTransport({
     },
     validateEmail = email => mailRegex.test(email), generateToken = () => randomBytes(32).toString('hex'),
     hasAllFields = (body, fields) => fields.every(f => body[f]),
-    getCurrentUser = req => {
-        const users = readUsers(), user = users.find(u => u.id === req.session.userId);
-        if (!user) return null;
-        return { user, users };
-    },
-    findUserByToken = (users, token, tokenField, expiresField) =>
-        users.find(u => u[tokenField] === token && u[expiresField] > Date.now()),
+    getCurrentUser = async req => req.session.userId ? await userStore.findById(req.session.userId) : null,
+    // 登录成功后写入会话,同时记录 IP 及浏览器信息供登录设备列表显示
+    startUserSession = (req, user) => Object.assign(req.session, {
+        userId: user.id, username: user.username, loginTime: Date.now(), ip: getClientIp(req), userAgent: req.get('user-agent') ?? ''
+    }),
     clearPendingFields = user => {
         user.pendingEmail = null, user.pendingEmailToken = null, user.pendingEmailExpires = null;
     },
@@ -91,10 +81,15 @@ const transporter = createTransport({
     validatePasswordLength = password => password && password.length >= 6,
     hashPassword = async password => await hash(password, 10),
     verifyPassword = async (plain, hash) => await compare(plain, hash),
-    isUsernameTaken = (users, username, excludeUserId = null) =>
-        users.some(u => u.id !== excludeUserId && u.username === username),
-    isEmailTaken = (users, email, excludeUserId = null) => users.some(u => u.id !== excludeUserId && u.email === email),
-    touchAndSaveUser = (users, user) => { user.updatedAt = Date.now(), writeUsers(users); },
+    isUsernameTaken = async (username, excludeUserId = null) => {
+        const user = await userStore.findOne({ username });
+        return !!user && user.id !== excludeUserId;
+    },
+    isEmailTaken = async (email, excludeUserId = null) => {
+        const user = await userStore.findOne({ email });
+        return !!user && user.id !== excludeUserId;
+    },
+    touchAndSaveUser = user => (user.updatedAt = Date.now(), userStore.update(user)),
     verifyTotp = async (secret, token) => (await verify({ secret, token, window: 1 })).valid,
     getAppBaseUrl = req => env.APP_URL || `http://${req.headers.host}`,
     sendVerificationEmail = async (req, email, token, type) => {
@@ -119,8 +114,9 @@ const transporter = createTransport({
         const html = `<p>点击👉 <a href="${baseUrl}/${link}token=${token}">验证链接</a> 完成验证；此链接一小时内有效！</p>`;
         await sendEmail(email, subject, html);
     },
-    sendSecurityAlertEmail = async (req, user, actionType) => {
-        const clientIp = getClientIp(req), now = new Date().toLocaleString('zh-CN');
+    sendSecurityAlertEmail = async (req, user, actionType, detail = '') => {
+        if (!user.email) return; // 未设置邮箱(如初始管理员账户)时无法通知
+        const clientIp = getClientIp(req), now = new Date().toLocaleString('zh-CN'), byAdmin = actionType.startsWith('admin_');
         let subject, actionDescription;
         switch (actionType) {
             case 'password_change':
@@ -131,13 +127,42 @@ const transporter = createTransport({
                 subject = '添加验证硬件通知';
                 actionDescription = '添加了一台新的硬件验证设备';
                 break;
+            case 'admin_roles_changed':
+                subject = '账户角色变更通知';
+                actionDescription = `将角色修改为 ${detail}`;
+                break;
+            case 'admin_disabled':
+                subject = '账户禁用通知';
+                actionDescription = '禁用了账户';
+                break;
+            case 'admin_enabled':
+                subject = '账户启用通知';
+                actionDescription = '重新启用了账户';
+                break;
+            case 'admin_password_reset':
+                subject = '密码重置通知';
+                actionDescription = '重置了密码,请通过重置邮件中的链接设置新密码';
+                break;
+            case 'admin_2fa_disabled':
+                subject = '关闭双因素认证通知';
+                actionDescription = '关闭了双因素认证(2FA)';
+                break;
+            case 'admin_webauthn_disabled':
+                subject = '移除验证硬件通知';
+                actionDescription = '移除了全部硬件验证设备';
+                break;
+            case 'admin_deleted':
+                subject = '账户删除通知';
+                actionDescription = '删除了账户';
+                break;
             default: return;
         }
 
         const html = `
             <p>您好!</p>
-            <p>您的账户(${user.username})于 <strong>${now}</strong>在 <strong>${clientIp}</strong> 成功${actionDescription};</p>
-            <p>如果是您本人操作,请忽略此邮件,否则请立即处理;</p>
+            <p>您的账户(${user.username})于 <strong>${now}</strong>在 <strong>${clientIp}</strong> ${byAdmin
+                ? `被管理员(${req.currentUser.username})` : '成功'}${actionDescription};</p>
+            <p>${byAdmin ? '如有疑问,请联系网站管理员;' : '如果是您本人操作,请忽略此邮件,否则请立即处理;'}</p>
             <p style="margin-left:65%;">此致<br/>&emsp;&nbsp;安全中心</p>
         `;
         await sendEmail(user.email, subject, html);
@@ -159,6 +184,7 @@ const transporter = createTransport({
 
 // ========== 路由设置 ==========
 export const accountRouter = app => {
+    app.locals.accountEnabled = true; // 供 lib/access.js 的 requireRole 等中间件判断是否启用登录系统
     // ========== 1. 配置 session ==========
     class SimpleFileStore extends Store {
         constructor(sessionsDir) {
@@ -202,12 +228,32 @@ export const accountRouter = app => {
                 cb(null);
             } catch (e) { cb(e); }
         }
+
+        // 异步列出未过期的会话(不阻塞事件循环),lastSeenAt 为文件修改时间(每次请求时由 touch 更新)
+        async list() {
+            const now = Date.now(), sessions = [];
+            for (const f of await fs.promises.readdir(this.sessionsDir)) {
+                if (!f.endsWith('.json')) continue;
+                try {
+                    const file = path.join(this.sessionsDir, f), session = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+                    if (session.cookie?.expires && new Date(session.cookie.expires).getTime() <= now) continue;
+                    sessions.push({ sid: f.slice(0, -5), session, lastSeenAt: (await fs.promises.stat(file)).mtimeMs });
+                } catch (_) { }
+            }
+            return sessions;
+        }
     }
 
     const sessionsDir = path.join(CWD, 'sessions');
     if (!fs.existsSync(sessionsDir)) fs.mkdirSync(sessionsDir, { recursive: true });
 
-    const sessionStore = new SimpleFileStore(sessionsDir), oneHour = 3600000, fifteenMin = 900000;
+    const sessionStore = new SimpleFileStore(sessionsDir), oneHour = 3600000, fifteenMin = 900000,
+        // 会话对外标识(不暴露会话 ID 本身)
+        sessionKey = sid => createHash('sha256').update(sid).digest('hex').slice(0, 16),
+        getUserSessions = async userId => (await sessionStore.list()).filter(({ session }) => session.userId === userId),
+        revokeSessions = sessions => Promise.all(sessions.map(({ sid }) => new Promise(resolve => sessionStore.destroy(sid, resolve)))),
+        revokeUserSessions = async (userId, keepSid = null) =>
+            revokeSessions((await getUserSessions(userId)).filter(({ sid }) => sid !== keepSid));
 
     // 定期清理超过 30 天的 session 文件(每天执行一次)
     setInterval(() => {
@@ -229,14 +275,31 @@ export const accountRouter = app => {
         cookie: { secure: false, httpOnly: true, sameSite: 'lax', maxAge: 30 * 24 * oneHour }
     }));
 
-    app.use(express.json(), express.urlencoded({ extended: true })), initAdminUser();
+    // 初始化用户存储(执行未应用的迁移,无用户时创建管理员),请求在存储就绪后处理
+    userStoreReady ??= (async () => {
+        const store = await createUserStore(env), executed = await store.init();
+        userStore = store, await initAdminUser();
+        console.log(`✅ 用户存储已就绪(${store.driver}${executed.length ? `,已执行迁移: ${executed.join('、')}` : ''})`);
+    })();
+    userStoreReady.catch(err => console.error('❌ 用户存储初始化失败:', err.message));
+    app.use(express.json(), express.urlencoded({ extended: true }), async (req, res, next) => (await userStoreReady, next()));
+
+    // 接口消息国际化: 服务器提供 req.t 时,JSON 响应的 message 按请求语言翻译(以中文原文作为翻译键,语言包见 locales/)
+    // 消息中的 {字段} 参数取自响应的同名字段,如 { message: '已退出其它 {count} 个设备的登录', count: 2 }
+    app.use((req, res, next) => {
+        const json = res.json.bind(res), format = typeof req.t === 'function' ? req.t
+            : (message, params) => message.replace(/\{(\w+)\}/g, (match, name) => params[name] ?? match);
+        res.json = body => json(typeof body?.message === 'string' ? { ...body, message: format(body.message, body) } : body);
+        next();
+    });
 
     // 2. 全局登录保护中间件
     const publicPage = ['/login', '/register', '/forgot-password', '/reset-password', '/verify-email', '/2fa'],
         publicPaths = [...publicPage, '/api/login', '/api/register', '/api/verify-email', '/api/forgot-password',
             '/api/reset-password', '/api/verify-new-email', '/api/check-email-verified', '/api/check-password-reset',
             '/api/verify-2fa', '/api/webauthn/login/begin', '/api/webauthn/login/complete', '/static', '/favicon.ico'];
-    app.use((req, res, next) => {
+    app.use(async (req, res, next) => {
+        req.currentUser = null; // 当前用户信息(id、用户名、角色、权限),供 requireRole 等中间件及模板变量 currentUser 使用
         if (publicPaths.some(p => req.path.startsWith(p))) return next();
         if (!req.session.userId) {
             if (req.path.startsWith('/api/')) return res.status(401).json({ message: '请先登录' });
@@ -244,7 +307,7 @@ export const accountRouter = app => {
         }
 
         // 检查密码是否在本次登录后被修改
-        const { user } = getCurrentUser(req);
+        const user = await getCurrentUser(req);
         if (user?.passwordChangedAt) {
             const sessionLoginTime = req.session.loginTime || 0;
             if (user.passwordChangedAt > sessionLoginTime) {
@@ -255,6 +318,16 @@ export const accountRouter = app => {
                 return;
             }
         }
+        // 检查账户是否已被管理员删除或禁用
+        if (!user || user.disabled) {
+            req.session.destroy(() => {
+                if (req.path.startsWith('/api/'))
+                    return user ? res.status(403).json({ message: '账户已被禁用,请联系管理员' }) : res.status(401).json({ message: '请先登录' });
+                return res.redirect('/login');
+            });
+            return;
+        }
+        req.currentUser = toCurrentUser(user);
         next();
     });
 
@@ -269,17 +342,23 @@ export const accountRouter = app => {
 
     // 定义安全限制和所有页面(公共页面 + 受保护页面)
     const authLimiter = rateLimit({ windowMs: fifteenMin, max: 50, message: { message: '尝试次数过多，请稍后再试' } }),
-        allPages = [...publicPage, '/profile'];
+        allPages = [...publicPage, '/profile', '/admin'];
     allPages.forEach(page => {
-        app.get(page, (req, res) => {
+        app.get(page, async (req, res) => {
             res.set('Cache-Control', 'no-store, no-cache, must-revalidate, private');
             res.set('Pragma', 'no-cache'), res.set('Expires', '0');
             if ((page === '/login' || page === '/2fa') && req.session.userId) {
-                const { user } = getCurrentUser(req), reset = recentPasswordResets.get(user.email);
+                const user = await getCurrentUser(req), reset = recentPasswordResets.get(user?.email);
                 if (!reset || reset <= Date.now()) return res.redirect('/');
             }
-
-            res.sendFile(path.join(CWD, pageDir, accountDir, `.${page}.html`));
+            if (page === '/admin' && !req.currentUser?.roles.includes('admin')) return res.redirect('/profile');
+
+            // 开发服务器按请求语言实时渲染页面({{t('键')}} 等模板标签);生产服务器发送编译输出的页面,非默认语言位于 templates/<语言>/account/
+            const file = `${accountDir}${page}.html`, html = await app.locals.renderPage?.(file, req);
+            if (html) return res.type('html').send(html);
+            const defaultFile = path.join(CWD, pageDir, file);
+            if (!req.locale) return res.sendFile(defaultFile);
+            res.sendFile(path.join(CWD, pageDir, req.locale, file), err => err && !res.headersSent && res.sendFile(defaultFile));
         });
     });
 
@@ -291,9 +370,8 @@ export const accountRouter = app => {
         if (!validateEmail(email)) return res.status(400).json({ message: '邮箱格式不正确' });
         if (!validatePasswordLength(password)) return res.status(400).json({ message: '密码至少6位' });
 
-        const users = readUsers();
-        if (isUsernameTaken(users, username)) return res.status(409).json({ message: '用户名已存在' });
-        if (isEmailTaken(users, email)) return res.status(409).json({ message: '邮箱已被注册' });
+        if (await isUsernameTaken(username)) return res.status(409).json({ message: '用户名已存在' });
+        if (await isEmailTaken(email)) return res.status(409).json({ message: '邮箱已被注册' });
 
         const hashedPassword = await hashPassword(password), verificationToken = generateToken();
         pendingRegistrations.set(verificationToken, {
@@ -312,15 +390,17 @@ export const accountRouter = app => {
         const { expires, username, email, password } = pending;
         if (expires < Date.now()) return pendingRegistrations.delete(token), res.status(400).json({ message: '链接已过期' });
 
-        const users = readUsers(), newUser = createUserObject(username, email, password, true);
-        users.push(newUser), writeUsers(users), pendingRegistrations.delete(token);
+        // 链接有效期内用户名或邮箱可能已被其他注册占用
+        if (await isUsernameTaken(username) || await isEmailTaken(email))
+            return pendingRegistrations.delete(token), res.status(409).json({ message: '用户名或邮箱已被注册' });
+        await userStore.create(createUserObject(username, email, password, true)), pendingRegistrations.delete(token);
         res.json({ success: true, message: '邮箱验证成功' });
     });
 
-    app.get('/api/check-email-verified', authLimiter, (req, res) => {
+    app.get('/api/check-email-verified', authLimiter, async (req, res) => {
         const { email } = req.query;
         if (!email) return res.status(400).json({ message: '缺少邮箱参数' });
-        const users = readUsers(), user = users.find(u => u.email === email);
+        const user = await userStore.findOne({ email });
         res.json({ verified: user?.emailVerified || false });
     });
 
@@ -328,18 +408,18 @@ export const accountRouter = app => {
         const { username, password } = req.body;
         if (!username || !password) return res.status(400).json({ message: '用户名/邮箱和密码不能为空' });
 
-        const users = readUsers(), user = users.find(u => u.username === username || u.email === username);
+        const user = await userStore.findByLogin(username);
         if (!user) return res.status(401).json({ message: '用户名/邮箱或密码错误' });
 
         const valid = await verifyPassword(password, user.password);
         if (!valid) return res.status(401).json({ message: '用户名/邮箱或密码错误' });
+        if (user.disabled) return res.status(403).json({ message: '账户已被禁用,请联系管理员' });
         if (!user.emailVerified) return res.status(403).json({ message: '请先验证邮箱', needsVerification: true });
         if (user.webauthnEnabled && user.webauthnCredentials.length > 0)
             return req.session.tempUserId = user.id, res.json({ requireWebAuthn: true });
         if (user.twoFactorEnabled) return req.session.tempUserId = user.id, res.json({ require2FA: true });
 
-        req.session.userId = user.id, req.session.username = user.username, req.session.loginTime = Date.now();
-        recentPasswordResets.delete(user.email), res.json({ success: true, message: '登录成功' });
+        startUserSession(req, user), recentPasswordResets.delete(user.email), res.json({ success: true, message: '登录成功' });
     });
 
     app.post('/api/verify-2fa', authLimiter, async (req, res) => {
@@ -349,7 +429,8 @@ export const accountRouter = app => {
         const tempUserId = req.session.tempUserId;
         if (!tempUserId) return res.status(401).json({ message: '请先完成第一步登录' });
 
-        const users = readUsers(), user = users.find(u => u.id === tempUserId);
+        const user = await userStore.findById(tempUserId);
+        if (user?.disabled) return res.status(403).json({ message: '账户已被禁用,请联系管理员' });
         if (!user?.twoFactorEnabled) return res.status(400).json({ message: '用户未启用2FA' });
 
         const { twoFactorSecret, backupCodes } = user, verified = await verifyTotp(twoFactorSecret, token);
@@ -358,14 +439,13 @@ export const accountRouter = app => {
             for (let i = 0; i < backupCodes.length; i++) {
                 const match = await verifyPassword(token, backupCodes[i]);
                 if (match) {
-                    backupValid = true, backupCodes.splice(i, 1), touchAndSaveUser(users, user);
+                    backupValid = true, backupCodes.splice(i, 1), await touchAndSaveUser(user);
                     break;
                 }
             }
 
         if (verified || backupValid) {
-            delete req.session.tempUserId, req.session.userId = user.id, req.session.username = user.username;
-            req.session.loginTime = Date.now(), recentPasswordResets.delete(user.email);
+            delete req.session.tempUserId, startUserSession(req, user), recentPasswordResets.delete(user.email);
             res.json({ success: true, message: '2FA验证成功' });
         }
         else res.status(401).json({ message: '验证码无效' });
@@ -382,12 +462,12 @@ export const accountRouter = app => {
         const { email } = req.body;
         if (!email) return res.status(400).json({ message: '邮箱必填' });
 
-        const users = readUsers(), user = users.find(u => u.email === email);
+        const user = await userStore.findOne({ email });
         if (!user) return res.json({ success: true, message: '如果邮箱存在,你将收到一封重置邮件' });
 
         const resetToken = generateToken();
         user.passwordResetToken = resetToken, user.passwordResetExpires = Date.now() + oneHour;
-        touchAndSaveUser(users, user), await sendVerificationEmail(req, email, resetToken, 'reset');
+        await touchAndSaveUser(user), await sendVerificationEmail(req, email, resetToken, 'reset');
         res.json({ success: true, message: '请查收重置邮件,重置后将自动跳转!' });
     });
 
@@ -396,12 +476,12 @@ export const accountRouter = app => {
         if (!token || !newPassword) return res.status(400).json({ message: '缺少参数' });
         if (!validatePasswordLength(newPassword)) return res.status(400).json({ message: '密码至少6位' });
 
-        const users = readUsers(), user = findUserByToken(users, token, 'passwordResetToken', 'passwordResetExpires');
+        const user = await userStore.findByToken('passwordResetToken', token);
         if (!user) return res.status(400).json({ message: '令牌无效或已过期' });
 
         const now = Date.now();
         user.password = await hashPassword(newPassword), user.passwordChangedAt = now, user.passwordResetToken = null;
-        user.passwordResetExpires = null, touchAndSaveUser(users, user);
+        user.passwordResetExpires = null, await touchAndSaveUser(user);
         recentPasswordResets.set(user.email, Date.now() + fifteenMin), res.json({ success: true, message: '密码已重置' });
     });
 
@@ -409,15 +489,15 @@ export const accountRouter = app => {
         const { token } = req.query;
         if (!token) return res.status(400).json({ message: '缺少令牌' });
 
-        const users = readUsers(), user = findUserByToken(users, token, 'pendingEmailToken', 'pendingEmailExpires');
+        const user = await userStore.findByToken('pendingEmailToken', token);
         if (!user) return res.status(400).json({ message: '链接无效或已过期' });
 
-        const emailTaken = isEmailTaken(users, user.pendingEmail, user.id);
+        const emailTaken = await isEmailTaken(user.pendingEmail, user.id);
         if (emailTaken)
-            return clearPendingFields(user), writeUsers(users), res.status(409).json({ message: '该邮箱已被使用,请检查修改' });
+            return clearPendingFields(user), await userStore.update(user), res.status(409).json({ message: '该邮箱已被使用,请检查修改' });
 
         user.email = user.pendingEmail, user.emailVerified = true, clearPendingFields(user);
-        touchAndSaveUser(users, user), res.json({ success: true, message: '新邮箱验证成功' });
+        await touchAndSaveUser(user), res.json({ success: true, message: '新邮箱验证成功' });
     });
 
     app.get('/api/check-password-reset', authLimiter, (req, res) => {
@@ -428,14 +508,14 @@ export const accountRouter = app => {
     });
 
     // ========== 需要登录的认证 API ==========
-    app.get('/api/user', (req, res) => {
-        const result = getCurrentUser(req);
-        if (!result) return res.status(404).json({ message: '用户不存在' });
+    app.get('/api/user', async (req, res) => {
+        const user = await getCurrentUser(req);
+        if (!user) return res.status(404).json({ message: '用户不存在' });
         const { id, username, email, emailVerified, twoFactorEnabled, createdAt, pendingEmail, webauthnEnabled,
-            webauthnCredentials } = result.user;
+            webauthnCredentials } = user, { roles, permissions } = toCurrentUser(user);
         res.json({
             id, username, email, emailVerified, twoFactorEnabled, createdAt, pendingEmail, webauthnEnabled,
-            webauthnCredentials
+            webauthnCredentials, roles, permissions
         });
     });
 
@@ -443,14 +523,13 @@ export const accountRouter = app => {
         const { password } = req.body;
         if (!password) return res.status(400).json({ message: '密码不能为空' });
 
-        const result = getCurrentUser(req);
-        if (!result) return res.status(404).json({ message: '用户不存在' });
+        const user = await getCurrentUser(req);
+        if (!user) return res.status(404).json({ message: '用户不存在' });
 
-        const { user, users } = result, valid = await verifyPassword(password, user.password);
+        const valid = await verifyPassword(password, user.password);
         if (!valid) return res.status(401).json({ message: '密码错误' });
 
-        const userIndex = users.findIndex(u => u.id === user.id);
-        users.splice(userIndex, 1), writeUsers(users);
+        await userStore.delete(user.id);
         req.session.destroy(err => {
             if (err) console.error('销毁 session 失败:', err);
             res.json({ success: true, message: '账户已永久注销' });
@@ -463,92 +542,114 @@ export const accountRouter = app => {
             return res.status(400).json({ message: '所有字段必填' });
         if (!validateEmail(newEmail)) return res.status(400).json({ message: '邮箱格式不正确' });
 
-        const result = getCurrentUser(req);
-        if (!result) return res.status(404).json({ message: '用户不存在' });
-        const { user, users } = result, valid = await verifyPassword(currentPassword, user.password);
+        const user = await getCurrentUser(req);
+        if (!user) return res.status(404).json({ message: '用户不存在' });
+        const valid = await verifyPassword(currentPassword, user.password);
         if (!valid) return res.status(401).json({ message: '当前密码错误' });
-        if (isUsernameTaken(users, newUsername, user.id)) return res.status(409).json({ message: '用户名已存在' });
-        if (isEmailTaken(users, newEmail, user.id)) return res.status(409).json({ message: '邮箱已被注册' });
+        if (await isUsernameTaken(newUsername, user.id)) return res.status(409).json({ message: '用户名已存在' });
+        if (await isEmailTaken(newEmail, user.id)) return res.status(409).json({ message: '邮箱已被注册' });
 
         const emailChanged = newEmail !== user.email;
         if (emailChanged) {
             const token = generateToken();
             user.pendingEmail = newEmail, user.pendingEmailToken = token, user.pendingEmailExpires = Date.now() + oneHour;
-            user.username = newUsername, touchAndSaveUser(users, user);
+            user.username = newUsername, await touchAndSaveUser(user);
             await sendVerificationEmail(req, newEmail, token, 'change-email');
             res.json({ success: true, message: '资料修改已提交,请查收新邮箱,并完成验证更新', emailChanged: true });
         }
-        else user.username = newUsername, touchAndSaveUser(users, user), res.json({ success: true, message: '资料修改成功' });
+        else user.username = newUsername, await touchAndSaveUser(user), res.json({ success: true, message: '资料修改成功' });
     });
 
+    // signOutEverywhere 为 true 时注销包括本设备在内的所有登录,否则本设备保持登录、其它设备注销
     app.post('/api/change-password', async (req, res) => {
-        const { currentPassword, newPassword } = req.body;
+        const { currentPassword, newPassword, signOutEverywhere = true } = req.body;
         if (!currentPassword || !newPassword) return res.status(400).json({ message: '当前密码和新密码不能为空' });
         if (!validatePasswordLength(newPassword)) return res.status(400).json({ message: '新密码至少6位' });
 
-        const result = getCurrentUser(req);
-        if (!result) return res.status(404).json({ message: '用户不存在' });
+        const user = await getCurrentUser(req);
+        if (!user) return res.status(404).json({ message: '用户不存在' });
 
-        const { user, users } = result;
         if (!(await verifyPassword(currentPassword, user.password))) return res.status(401).json({ message: '当前密码错误' });
         if (await verifyPassword(newPassword, user.password)) return res.status(400).json({ message: '新旧密码不能相同' });
 
         const now = Date.now();
-        user.password = await hashPassword(newPassword), user.passwordChangedAt = now, touchAndSaveUser(users, user);
-        await sendSecurityAlertEmail(req, user, 'password_change'), res.json({ success: true, message: '密码已修改' });
+        user.password = await hashPassword(newPassword), user.passwordChangedAt = now, await touchAndSaveUser(user);
+        await sendSecurityAlertEmail(req, user, 'password_change');
+        if (signOutEverywhere) return await revokeUserSessions(user.id), res.json({ success: true, message: '密码已修改,请重新登录' });
+        req.session.loginTime = now, await revokeUserSessions(user.id, req.sessionID);
+        res.json({ success: true, message: '密码已修改,其它设备已退出登录' });
+    });
+
+    // ========== 登录设备(会话)管理 ==========
+    app.get('/api/sessions', async (req, res) => {
+        const sessions = (await getUserSessions(req.session.userId)).map(({ sid, session, lastSeenAt }) => ({
+            id: sessionKey(sid), ip: session.ip ?? null, userAgent: session.userAgent ?? null,
+            createdAt: session.loginTime ?? null, lastSeenAt, current: sid === req.sessionID
+        }));
+        res.json({ sessions: sessions.sort((a, b) => b.current - a.current || b.lastSeenAt - a.lastSeenAt) });
+    });
+
+    app.delete('/api/sessions/:id', async (req, res) => {
+        const target = (await getUserSessions(req.session.userId)).find(({ sid }) => sessionKey(sid) === req.params.id);
+        if (!target) return res.status(404).json({ message: '会话不存在或已过期' });
+        if (target.sid === req.sessionID) return res.status(400).json({ message: '请使用退出登录结束当前会话' });
+        await revokeSessions([target]), res.json({ success: true, message: '已退出该设备的登录' });
+    });
+
+    app.post('/api/sessions/revoke-others', async (req, res) => {
+        const others = (await getUserSessions(req.session.userId)).filter(({ sid }) => sid !== req.sessionID);
+        await revokeSessions(others), res.json({ success: true, message: '已退出其它 {count} 个设备的登录', count: others.length });
     });
 
     app.post('/api/enable-2fa', async (req, res) => {
-        const result = getCurrentUser(req);
-        if (!result) return res.status(404).json({ message: '用户不存在' });
+        const user = await getCurrentUser(req);
+        if (!user) return res.status(404).json({ message: '用户不存在' });
 
-        const { user, users } = result, secret = generateSecret({ length: 32 }), otpauth_url = generateURI({
+        const secret = generateSecret({ length: 32 }), otpauth_url = generateURI({
             issuer: 'YourApp', label: user.username, secret,
         }), qrCodeUrl = await toDataURL(otpauth_url);
 
-        user.twoFactorSecret = secret, touchAndSaveUser(users, user), res.json({ secret, qrCode: qrCodeUrl });
+        user.twoFactorSecret = secret, await touchAndSaveUser(user), res.json({ secret, qrCode: qrCodeUrl });
     });
 
     app.post('/api/confirm-2fa', async (req, res) => {
         const { token } = req.body;
         if (!token) return res.status(400).json({ message: '验证码必填' });
 
-        const result = getCurrentUser(req);
-        if (!result) return res.status(404).json({ message: '用户不存在' });
+        const user = await getCurrentUser(req);
+        if (!user) return res.status(404).json({ message: '用户不存在' });
 
-        const { user, users } = result, verified = await verifyTotp(user.twoFactorSecret, token);
+        const verified = await verifyTotp(user.twoFactorSecret, token);
         if (!verified) return res.status(400).json({ message: '验证码错误' });
 
         const { plainCodes, hashedCodes } = generateBackupCodes();
-        user.backupCodes = hashedCodes, user.twoFactorEnabled = true, touchAndSaveUser(users, user);
+        user.backupCodes = hashedCodes, user.twoFactorEnabled = true, await touchAndSaveUser(user);
         res.json({ success: true, backupCodes: plainCodes, message: '2FA 已启用' });
     });
 
     app.post('/api/disable-2fa', async (req, res) => {
-        const result = getCurrentUser(req);
-        if (!result) return res.status(404).json({ message: '用户不存在' });
+        const user = await getCurrentUser(req);
+        if (!user) return res.status(404).json({ message: '用户不存在' });
 
-        const { user, users } = result;
         user.twoFactorEnabled = false, user.twoFactorSecret = null, user.backupCodes = [];
-        touchAndSaveUser(users, user), res.json({ success: true });
+        await touchAndSaveUser(user), res.json({ success: true });
     });
 
     app.post('/api/regenerate-backup-codes', async (req, res) => {
-        const result = getCurrentUser(req);
-        if (!result) return res.status(404).json({ message: '用户不存在' });
-        const { user, users } = result;
+        const user = await getCurrentUser(req);
+        if (!user) return res.status(404).json({ message: '用户不存在' });
         if (!user.twoFactorEnabled) return res.status(400).json({ message: '2FA未启用' });
 
         const { plainCodes, hashedCodes } = generateBackupCodes();
-        user.backupCodes = hashedCodes, touchAndSaveUser(users, user), res.json({ backupCodes: plainCodes });
+        user.backupCodes = hashedCodes, await touchAndSaveUser(user), res.json({ backupCodes: plainCodes });
     });
 
     // ========== WebAuthn 硬件验证 API ==========
     app.post('/api/webauthn/register/begin', authLimiter, async (req, res) => {
         try {
-            const result = getCurrentUser(req);
-            if (!result) return res.status(401).json({ message: '未登录' });
-            const { id, username, webauthnCredentials } = result.user, rpID = getRpId(req),
+            const user = await getCurrentUser(req);
+            if (!user) return res.status(401).json({ message: '未登录' });
+            const { id, username, webauthnCredentials } = user, rpID = getRpId(req),
                 options = await generateRegistrationOptions({
                     rpName: 'Your App',
                     rpID, userID: Buffer.from(String(id)),
@@ -569,8 +670,8 @@ export const accountRouter = app => {
 
     // 完成注册,保存凭证,并发送邮件通知
     app.post('/api/webauthn/register/complete', authLimiter, async (req, res) => {
-        const { attestationResponse } = req.body, result = getCurrentUser(req);
-        if (!result) return res.status(401).json({ message: '未登录' });
+        const { attestationResponse } = req.body, user = await getCurrentUser(req);
+        if (!user) return res.status(401).json({ message: '未登录' });
 
         const challenge = req.session.webauthnRegisterChallenge;
         if (!challenge) return res.status(400).json({ message: '缺少注册挑战' });
@@ -602,18 +703,18 @@ export const accountRouter = app => {
                 deviceName: clientIp, createdAt: Date.now()
             };
 
-        result.user.webauthnCredentials.push(newCredential);
-        if (!result.user.webauthnEnabled) result.user.webauthnEnabled = true;
-        touchAndSaveUser(result.users, result.user), delete req.session.webauthnRegisterChallenge;
-        await sendSecurityAlertEmail(req, result.user, 'webauthn_added');
-        res.json({ success: true, credentials: result.user.webauthnCredentials });
+        user.webauthnCredentials.push(newCredential);
+        if (!user.webauthnEnabled) user.webauthnEnabled = true;
+        await touchAndSaveUser(user), delete req.session.webauthnRegisterChallenge;
+        await sendSecurityAlertEmail(req, user, 'webauthn_added');
+        res.json({ success: true, credentials: user.webauthnCredentials });
     });
 
     // 获取用户凭证列表
-    app.get('/api/webauthn/credentials', (req, res) => {
-        const result = getCurrentUser(req);
-        if (!result) return res.status(401).json({ message: '未登录' });
-        res.json({ credentials: result.user.webauthnCredentials, enabled: result.user.webauthnEnabled });
+    app.get('/api/webauthn/credentials', async (req, res) => {
+        const user = await getCurrentUser(req);
+        if (!user) return res.status(401).json({ message: '未登录' });
+        res.json({ credentials: user.webauthnCredentials, enabled: user.webauthnEnabled });
     });
 
     // 删除某个硬件凭证
@@ -621,28 +722,27 @@ export const accountRouter = app => {
         const { credentialId } = req.body;
         if (!credentialId) return res.status(400).json({ message: '缺少凭证ID' });
 
-        const result = getCurrentUser(req);
-        if (!result) return res.status(401).json({ message: '未登录' });
-        if (!result.user) return res.status(500).json({ message: '用户数据异常' });
+        const user = await getCurrentUser(req);
+        if (!user) return res.status(401).json({ message: '未登录' });
 
-        const credentials = result.user.webauthnCredentials ?? [], index = credentials.findIndex(c => c.id === credentialId);
+        const credentials = user.webauthnCredentials ?? [], index = credentials.findIndex(c => c.id === credentialId);
         if (index === -1) return res.status(404).json({ message: '凭证不存在' });
 
         credentials.splice(index, 1);
-        if (credentials.length === 0) result.user.webauthnEnabled = false;
-        result.user.webauthnCredentials = credentials;
-        touchAndSaveUser(result.users, result.user), res.json({ success: true, message: '设备已删除' });
+        if (credentials.length === 0) user.webauthnEnabled = false;
+        user.webauthnCredentials = credentials;
+        await touchAndSaveUser(user), res.json({ success: true, message: '设备已删除' });
     });
 
     // 切换硬件验证启用状态
     app.post('/api/webauthn/toggle', authLimiter, async (req, res) => {
-        const result = getCurrentUser(req);
-        if (!result) return res.status(401).json({ message: '未登录' });
-        if (!result.user.webauthnEnabled && result.user.webauthnCredentials.length === 0)
+        const user = await getCurrentUser(req);
+        if (!user) return res.status(401).json({ message: '未登录' });
+        if (!user.webauthnEnabled && user.webauthnCredentials.length === 0)
             return res.status(400).json({ message: '没有可用的硬件凭证,请先添加设备' });
 
-        result.user.webauthnEnabled = !result.user.webauthnEnabled, touchAndSaveUser(result.users, result.user);
-        res.json({ success: true, enabled: result.user.webauthnEnabled });
+        user.webauthnEnabled = !user.webauthnEnabled, await touchAndSaveUser(user);
+        res.json({ success: true, enabled: user.webauthnEnabled });
     });
 
     // 开始硬件验证登录（生成断言选项）
@@ -650,7 +750,8 @@ export const accountRouter = app => {
         try {
             const { username } = req.body;
             if (!username) return res.status(400).json({ message: '缺少用户名' });
-            const users = readUsers(), user = users.find(u => u.username === username || u.email === username);
+            const user = await userStore.findByLogin(username);
+            if (user?.disabled) return res.status(403).json({ message: '账户已被禁用,请联系管理员' });
             if (!user || !user.webauthnEnabled || user.webauthnCredentials.length === 0)
                 return res.status(400).json({ message: '未启用硬件验证或无凭证' });
 
@@ -681,7 +782,7 @@ export const accountRouter = app => {
             if (!webauthnLoginChallenge || !webauthnLoginUserId || !webauthnRpID || !webauthnOrigin)
                 return res.status(400).json({ message: '会话无效或已过期' });
 
-            const users = readUsers(), user = users.find(u => u.id === webauthnLoginUserId);
+            const user = await userStore.findById(webauthnLoginUserId);
             if (!user) return res.status(404).json({ message: '用户不存在' });
 
             let credential = user.webauthnCredentials.find(c => c.id === assertionResponse.id);
@@ -705,14 +806,108 @@ export const accountRouter = app => {
                 }), { verified, authenticationInfo } = verification;
             if (!verified) return res.status(400).json({ message: '签名验证失败' });
 
-            credential.counter = authenticationInfo.newCounter, touchAndSaveUser(users, user);
+            credential.counter = authenticationInfo.newCounter, await touchAndSaveUser(user);
             ['webauthnLoginChallenge', 'webauthnLoginUserId', 'webauthnRpID', 'webauthnOrigin']
                 .forEach(key => delete req.session[key]);
-            req.session.userId = user.id, req.session.username = user.username, req.session.loginTime = Date.now();
-            recentPasswordResets.delete(user.email), res.json({ success: true });
+            startUserSession(req, user), recentPasswordResets.delete(user.email), res.json({ success: true });
         } catch (err) {
             return res.status(400).json({ message: err.message });
         }
     });
+
+    // ========== 管理员 API(需要 admin 角色) ==========
+    const requireAdmin = requireRole('admin'), maxPageSize = 100,
+        // 用户管理列表中的用户信息(不含密码、令牌等敏感字段)
+        toAdminUser = user => ({
+            id: user.id, username: user.username, email: user.email, emailVerified: user.emailVerified,
+            pendingEmail: user.pendingEmail, roles: user.roles?.length ? user.roles : ['user'], disabled: !!user.disabled,
+            twoFactorEnabled: user.twoFactorEnabled, webauthnEnabled: user.webauthnEnabled,
+            webauthnDevices: user.webauthnCredentials?.length ?? 0, createdAt: user.createdAt, updatedAt: user.updatedAt
+        }),
+        // 查找操作目标用户,不存在时返回 404;notSelf 为 true 时禁止对当前登录的管理员自己执行(避免将自己锁在门外)
+        findTargetUser = async (req, res, notSelf = false) => {
+            const user = await userStore.findById(Number(req.params.id));
+            if (!user) return res.status(404).json({ message: '用户不存在' }), null;
+            if (notSelf && user.id === req.currentUser.id)
+                return res.status(400).json({ message: '不能对当前登录的管理员账户执行此操作' }), null;
+            return user;
+        },
+        // 记录发送给用户的邮件失败原因(邮件发送失败不影响管理员操作结果)
+        logMailError = (user, kind = '安全通知') => err => console.error(`❌ ${kind}邮件发送失败(${user.username}):`, err.message),
+        // 保存管理员的修改并通知受影响的用户
+        saveAndNotify = async (req, user, actionType, detail) => {
+            await touchAndSaveUser(user);
+            await sendSecurityAlertEmail(req, user, actionType, detail).catch(logMailError(user));
+        };
+
+    // 用户列表: ?q=搜索用户名或邮箱&page=页码&pageSize=每页数量
+    app.get('/api/admin/users', requireAdmin, async (req, res) => {
+        const page = Math.max(1, parseInt(req.query.page) || 1),
+            pageSize = Math.min(maxPageSize, Math.max(1, parseInt(req.query.pageSize) || 20)),
+            { users, total } = await userStore.search({ query: String(req.query.q ?? ''), offset: (page - 1) * pageSize, limit: pageSize });
+        res.json({ users: users.map(toAdminUser), total, page, pageSize, roles: Object.keys(roleDefinitions) });
+    });
+
+    app.post('/api/admin/users/:id/roles', requireAdmin, async (req, res) => {
+        const { roles } = req.body;
+        if (!Array.isArray(roles) || roles.length === 0) return res.status(400).json({ message: '请至少选择一个角色' });
+        if (!roles.every(role => Object.hasOwn(roleDefinitions, role))) return res.status(400).json({ message: '包含未知的角色' });
+
+        const user = await findTargetUser(req, res, !roles.includes('admin'));
+        if (!user) return;
+        user.roles = [...new Set(roles)], await saveAndNotify(req, user, 'admin_roles_changed', user.roles.join('、'));
+        res.json({ success: true, message: '角色已更新', user: toAdminUser(user) });
+    });
+
+    app.post('/api/admin/users/:id/disable', requireAdmin, async (req, res) => {
+        const disabled = req.body.disabled !== false, user = await findTargetUser(req, res, true);
+        if (!user) return;
+        user.disabled = disabled, await saveAndNotify(req, user, disabled ? 'admin_disabled' : 'admin_enabled');
+        if (disabled) await revokeUserSessions(user.id);
+        res.json({ success: true, message: disabled ? '账户已禁用' : '账户已启用', user: toAdminUser(user) });
+    });
+
+    // 强制重置密码: 原密码立即失效并注销该用户的所有登录,向用户邮箱发送重置链接
+    app.post('/api/admin/users/:id/reset-password', requireAdmin, async (req, res) => {
+        const user = await findTargetUser(req, res, true);
+        if (!user) return;
+        if (!user.email) return res.status(400).json({ message: '该用户未设置邮箱,无法发送重置邮件' });
+
+        const resetToken = generateToken(), now = Date.now();
+        user.password = await hashPassword(generateToken()), user.passwordChangedAt = now;
+        user.passwordResetToken = resetToken, user.passwordResetExpires = now + oneHour;
+        // 保存后立即注销,重置邮件发送失败时原密码已失效的用户也不会保持登录
+        await saveAndNotify(req, user, 'admin_password_reset'), await revokeUserSessions(user.id);
+        const mailSent = await sendVerificationEmail(req, user.email, resetToken, 'reset')
+            .then(() => true, err => (logMailError(user, '密码重置')(err), false));
+        res.json({
+            success: true, mailSent, user: toAdminUser(user),
+            message: mailSent ? '已重置密码并发送重置邮件' : '已重置密码并注销该用户的所有登录,但重置邮件发送失败,请稍后重试'
+        });
+    });
+
+    app.post('/api/admin/users/:id/disable-2fa', requireAdmin, async (req, res) => {
+        const user = await findTargetUser(req, res);
+        if (!user) return;
+        user.twoFactorEnabled = false, user.twoFactorSecret = null, user.backupCodes = [];
+        await saveAndNotify(req, user, 'admin_2fa_disabled');
+        res.json({ success: true, message: '已关闭双因素认证', user: toAdminUser(user) });
+    });
+
+    app.post('/api/admin/users/:id/disable-webauthn', requireAdmin, async (req, res) => {
+        const user = await findTargetUser(req, res);
+        if (!user) return;
+        user.webauthnCredentials = [], user.webauthnEnabled = false;
+        await saveAndNotify(req, user, 'admin_webauthn_disabled');
+        res.json({ success: true, message: '已移除全部硬件验证设备', user: toAdminUser(user) });
+    });
+
+    app.delete('/api/admin/users/:id', requireAdmin, async (req, res) => {
+        const user = await findTargetUser(req, res, true);
+        if (!user) return;
+        await userStore.delete(user.id), await revokeUserSessions(user.id);
+        await sendSecurityAlertEmail(req, user, 'admin_deleted').catch(logMailError(user));
+        res.json({ success: true, message: '用户已删除' });
+    });
     console.log('✅ 认证路由已加载（account.js）');
 }
\ No newline at end of file
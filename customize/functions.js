@@ -44,5 +44,13 @@ export default {
 			const dateObj = new Date(date);
 			return isNaN(dateObj.getTime()) ? '无效日期' : dateObj.toLocaleDateString('zh-CN');
 		}
+	},
+
+	// 自定义过滤器示例,模板中使用: {{product.stock | stockLabel}}
+	filters: {
+		// 库存状态
+		stockLabel: stock => {
+			return stock > 0 ? `有货 (${stock}件)` : '缺货';
+		}
 	}
 };
\ No newline at end of file
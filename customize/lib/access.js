@@ -0,0 +1,78 @@
+// /customize/lib/access.js
+// 角色与权限：角色定义(可继承其它角色)、用户有效角色及权限计算,以及供 setupRoutes 模块使用的 requireRole / requirePermission 中间件
+// 用户对象的 roles 为角色名数组(未设置时视为 user),permissions 为额外授予的权限;未启用登录系统时中间件不做限制
+
+// 生成访问控制中间件:未启用登录系统时放行,未登录返回 401,check 不通过返回 403
+const guard = check => (req, res, next) => {
+    if (!req.app.locals.accountEnabled) return next();
+    if (!req.currentUser) return res.status(401).json({ message: '请先登录' });
+    if (!check(req.currentUser)) return res.status(403).json({ message: '没有执行此操作的权限' });
+    next();
+};
+
+/**
+ * 角色定义:角色名 → { inherits: 继承的角色, permissions: 权限 };'*' 表示全部权限
+ * 可按需增加角色或调整权限,用户的 roles 中引用的未知角色会被忽略
+ */
+export const roleDefinitions = {
+    user: { inherits: [], permissions: [] },
+    editor: { inherits: ['user'], permissions: ['styles:edit', 'css:edit'] },
+    admin: { inherits: ['editor'], permissions: ['*'] }
+},
+
+    /**
+     * 计算用户的有效角色(含继承的角色)
+     * @param {Object} user - 用户对象
+     * @returns {string[]} 有效角色
+     */
+    getUserRoles = user => {
+        const roles = new Set(), expand = role => {
+            if (roles.has(role) || !Object.hasOwn(roleDefinitions, role)) return;
+            roles.add(role), roleDefinitions[role].inherits.forEach(expand);
+        };
+        (user.roles?.length ? user.roles : ['user']).forEach(expand);
+        return [...roles];
+    },
+
+    /**
+     * 计算用户的有效权限(角色权限及用户额外授予的权限)
+     * @param {Object} user - 用户对象
+     * @returns {string[]} 有效权限
+     */
+    getUserPermissions = user => [...new Set([
+        ...getUserRoles(user).flatMap(role => roleDefinitions[role].permissions), ...(user.permissions ?? [])
+    ])],
+
+    /**
+     * 判断用户是否拥有全部指定权限
+     * @param {{permissions: string[]}} currentUser - 当前用户(req.currentUser)
+     * @param {...string} permissions - 权限
+     * @returns {boolean} 是否拥有
+     */
+    hasPermission = (currentUser, ...permissions) => !!currentUser &&
+        (currentUser.permissions.includes('*') || permissions.every(permission => currentUser.permissions.includes(permission))),
+
+    /**
+     * 生成请求及模板中使用的当前用户信息(不含密码等敏感字段)
+     * @param {Object} user - 用户对象
+     * @returns {{id: number, username: string, roles: string[], permissions: string[]}} 当前用户信息
+     */
+    toCurrentUser = user => ({
+        id: user.id, username: user.username, roles: getUserRoles(user), permissions: getUserPermissions(user)
+    }),
+
+    /**
+     * 要求当前用户拥有任一指定角色(含继承的角色,如 admin 继承 editor)
+     * @example app.post('/api/css', requireRole('editor'), handler)
+     * @param {...string} roles - 角色
+     * @returns {import('express').RequestHandler} 中间件
+     */
+    requireRole = (...roles) => guard(currentUser => roles.some(role => currentUser.roles.includes(role))),
+
+    /**
+     * 要求当前用户拥有全部指定权限
+     * @example app.post('/api/topImg', requirePermission('styles:edit'), handler)
+     * @param {...string} permissions - 权限
+     * @returns {import('express').RequestHandler} 中间件
+     */
+    requirePermission = (...permissions) => guard(currentUser => hasPermission(currentUser, ...permissions));
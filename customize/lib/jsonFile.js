@@ -0,0 +1,100 @@
+// /customize/lib/jsonFile.js
+// JSON 文件读写：同一文件的读写按调用顺序排队执行,写入先写临时文件再重命名替换(不会留下写了一半的文件),
+// 写入成功后同时保存备份 .<文件名>.bak,文件损坏(如被手动改坏)时自动从备份恢复
+import fs from 'fs';
+import path from 'path';
+import { randomBytes } from 'crypto';
+
+// 文件路径 → 该文件的任务队列(同一进程内所有实例共享,避免两个实例交替写入同一文件)
+const queues = new Map(),
+
+    // 按文件排队执行任务,任务失败不影响后续任务
+    enqueue = (file, task) => {
+        const result = (queues.get(file) ?? Promise.resolve()).then(task), tail = result.catch(() => { });
+        queues.set(file, tail);
+        tail.then(() => queues.get(file) === tail && queues.delete(file));
+        return result;
+    },
+
+    // 备份文件与损坏文件的保存路径(以 . 开头,开发服务器的热重载会忽略)
+    siblingPath = (file, suffix) => path.join(path.dirname(file), `.${path.basename(file)}.${suffix}`),
+
+    /**
+     * 原子写入:写入同目录临时文件并刷入磁盘后重命名替换目标文件
+     * @param {string} file - 目标文件
+     * @param {string} content - 文件内容
+     * @param {boolean} [backup=true] - 替换成功后是否将内容另存为备份 .<文件名>.bak(备份同样原子写入)
+     */
+    writeAtomic = async (file, content, backup = true) => {
+        const tmpFile = siblingPath(file, `${process.pid}-${randomBytes(4).toString('hex')}.tmp`);
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        try {
+            const handle = await fs.promises.open(tmpFile, 'w');
+            try {
+                await handle.writeFile(content, 'utf8'), await handle.sync();
+            } finally {
+                await handle.close();
+            }
+            await fs.promises.rename(tmpFile, file);
+        } catch (err) {
+            await fs.promises.rm(tmpFile, { force: true });
+            throw err;
+        }
+        if (backup) await writeAtomic(siblingPath(file, 'bak'), content, false);
+    },
+
+    /**
+     * 读取并解析 JSON 文件;解析失败时将损坏文件另存为 .<文件名>.corrupt,并用备份恢复
+     * @param {string} file - 文件路径
+     * @param {*} fallback - 文件不存在时返回的值
+     * @returns {Promise<*>} 解析结果
+     */
+    readJson = async (file, fallback) => {
+        let content;
+        try {
+            content = await fs.promises.readFile(file, 'utf8');
+        } catch (err) {
+            if (err.code === 'ENOENT') return structuredClone(fallback);
+            throw new Error(`读取 JSON 文件失败(${file}): ${err.message}`);
+        }
+        try {
+            return JSON.parse(content);
+        } catch (parseError) {
+            const backupFile = siblingPath(file, 'bak'), corruptFile = siblingPath(file, 'corrupt');
+            let backupContent, data;
+            try {
+                backupContent = await fs.promises.readFile(backupFile, 'utf8'), data = JSON.parse(backupContent);
+            } catch {
+                throw new Error(`JSON 文件已损坏且没有可用备份(${file}): ${parseError.message}`);
+            }
+            await fs.promises.writeFile(corruptFile, content), await writeAtomic(file, backupContent, false);
+            console.warn(`⚠️ ${file} 已损坏,已从备份恢复(损坏的文件另存为 ${corruptFile})`);
+            return data;
+        }
+    };
+
+/**
+ * 创建 JSON 文件读写器
+ * 读写仅在当前进程内排队,多个进程同时写入同一文件时请改用数据库存储
+ * @param {string} file - JSON 文件路径
+ * @param {Object} [options]
+ * @param {*} [options.fallback={}] - 文件不存在时的初始值
+ * @returns {{file: string, read: () => Promise<*>, write: (data: *) => Promise<void>,
+ * update: (change: (data: *) => *) => Promise<*>, flush: () => Promise<void>}} 读写器;
+ * update 读取最新内容交给 change 修改(可异步)后写回,返回 change 的结果
+ */
+export const createJsonFile = (file, { fallback = {} } = {}) => {
+    file = path.resolve(file);
+    const write = data => writeAtomic(file, JSON.stringify(data, null, 2));
+
+    return {
+        file,
+        read: () => enqueue(file, () => readJson(file, fallback)),
+        write: data => enqueue(file, () => write(data)),
+        update: change => enqueue(file, async () => {
+            const data = await readJson(file, fallback), result = await change(data);
+            return await write(data), result;
+        }),
+        flush: async () => { await queues.get(file); }
+    };
+};
@@ -3,9 +3,11 @@ import express from 'express';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { createJsonFile } from './lib/jsonFile.js';
+import { requirePermission } from './lib/access.js';
 
 const __filename = fileURLToPath(import.meta.url), __dirname = path.dirname(__filename),
-	dataFile = path.join(__dirname, 'data.json'), imgDir = path.join(__dirname, '../static/img');
+	dataFile = createJsonFile(path.join(__dirname, 'data.json')), imgDir = path.join(__dirname, '../static/img');
 
 /** @type {(app: import('express').Express) => void} */
 let accountRouter;
@@ -17,7 +19,7 @@ try {
 	({ accountRouter } = await import('./account.js'));
 } catch { }
 
-// 非认证路由：元素样式、CSS编辑、图片管理、自定义API等
+// 非认证路由：元素样式、CSS编辑、图片管理、自定义API等(启用登录系统时,修改样式及 CSS 需要 editor 角色的权限)
 export default {
 	setupRoutes: app => {
 		if (!accountRouter) {
@@ -29,18 +31,12 @@ export default {
 		app.use(express.json(), express.urlencoded({ extended: true }));
 
 		// ============ 元素样式 API ============
-		let data;
-		try {
-			data = JSON.parse(fs.readFileSync(dataFile, 'utf8'));
-		} catch (e) {
-			data = {};
-		}
-
+		// data.json 通过 lib/jsonFile.js 排队读写并原子替换,同时保存多个元素样式时不会互相覆盖
 		const elements = ['topImg', 'themeImg', 'longPic', 'cssEditor', 'preview'],
 			getElementStyle = (elementKey) => {
-				return (req, res) => {
+				return async (req, res) => {
 					try {
-						res.json(data[elementKey] || {});
+						res.json((await dataFile.read())[elementKey] || {});
 					} catch (error) {
 						console.error(`读取${elementKey}样式失败:`, error);
 						res.status(500).json({ error: '服务器错误' });
@@ -48,13 +44,14 @@ export default {
 				};
 			},
 			updateElementStyle = (elementKey) => {
-				return (req, res) => {
+				return async (req, res) => {
 					try {
 						const devViewSize = Object.keys(req.body)[0];
 						if (!devViewSize) return res.status(400).json({ error: '缺少设备标识' });
-						if (!data[elementKey]) data[elementKey] = {};
-						data[elementKey][devViewSize] = req.body[devViewSize];
-						fs.writeFileSync(dataFile, JSON.stringify(data, null, 2));
+						await dataFile.update(data => {
+							if (!data[elementKey]) data[elementKey] = {};
+							data[elementKey][devViewSize] = req.body[devViewSize];
+						});
 						res.json({ success: true, message: `${elementKey}已更新`, deviceId: devViewSize });
 					} catch (error) {
 						console.error(`更新${elementKey}失败:`, error);
@@ -65,7 +62,7 @@ export default {
 
 		elements.forEach(element => {
 			app.get(`/api/${element}`, getElementStyle(element));
-			app.post(`/api/${element}`, updateElementStyle(element));
+			app.post(`/api/${element}`, requirePermission('styles:edit'), updateElementStyle(element));
 		});
 		console.log('✅ 元素样式路由已加载');
 
@@ -87,7 +84,7 @@ export default {
 			}
 		});
 
-		app.post('/api/css', (req, res) => {
+		app.post('/api/css', requirePermission('css:edit'), (req, res) => {
 			const { fileDir, content } = req.body;
 			if (!fileDir || content === undefined) return res.status(400).json({ error: '缺少参数' });
 			if (!fileDir.endsWith('.css')) return res.status(403).json({ error: '只允许操作 CSS 文件' });
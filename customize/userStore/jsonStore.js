@@ -0,0 +1,64 @@
+// /customize/userStore/jsonStore.js
+// JSON 文件用户存储：全部用户保存在一个 JSON 数组文件中(默认 customize/users.json),适合单进程、用户量较少的站点
+import { createJsonFile } from '../lib/jsonFile.js';
+import { tokenExpiryFields, assertTokenField } from './schema.js';
+
+/**
+ * 创建 JSON 文件用户存储
+ * 读写通过 lib/jsonFile.js 按调用顺序排队执行并原子替换文件,避免并发请求的 读取-修改-写入 互相覆盖,
+ * 文件损坏时自动从 .users.json.bak 备份恢复
+ * @param {Object} options
+ * @param {string} options.file - JSON 文件路径
+ * @returns {import('./index.js').UserStore} 用户存储
+ */
+export const createJsonUserStore = ({ file }) => {
+    const usersFile = createJsonFile(file, { fallback: [] }),
+        find = async predicate => (await usersFile.read()).find(predicate) ?? null,
+
+        // 与 SQL 迁移脚本 002_add_user_roles 对应:启用角色前保存的用户(没有 roles 字段)设为 user 角色,初始管理员账户设为 admin 角色;
+        // 迁移后的用户都有 roles 字段,因此只执行一次,之后在控制台中清空的角色(roles: [])不会被恢复
+        isLegacyUser = user => !Object.hasOwn(user, 'roles'),
+        migrateRoles = async () => {
+            if (!(await usersFile.read()).some(isLegacyUser)) return [];
+            return usersFile.update(users => {
+                users.filter(isLegacyUser).forEach(user => {
+                    user.roles = [user.username === 'admin' ? 'admin' : 'user'], user.permissions ??= [];
+                });
+                return ['002_add_user_roles'];
+            });
+        };
+
+    return {
+        driver: 'json',
+        init: migrateRoles,
+        list: () => usersFile.read(),
+        count: async () => (await usersFile.read()).length,
+        findById: id => find(u => u.id === id),
+        findOne: criteria => find(u => Object.entries(criteria).every(([field, value]) => u[field] === value)),
+        findByLogin: login => find(u => u.username === login || u.email === login),
+        findByToken: async (field, token) => {
+            assertTokenField(field);
+            if (!token) return null;
+            const expiresField = tokenExpiryFields[field];
+            return find(u => u[field] === token && (!expiresField || u[expiresField] > Date.now()));
+        },
+        search: async ({ query = '', offset = 0, limit = 20 } = {}) => {
+            const keyword = query.trim().toLowerCase(), matched = (await usersFile.read())
+                .filter(u => !keyword || [u.username, u.email].some(value => value?.toLowerCase().includes(keyword)))
+                .sort((a, b) => a.createdAt - b.createdAt || a.id - b.id);
+            return { users: matched.slice(offset, offset + limit), total: matched.length };
+        },
+        create: user => usersFile.update(users => (users.push(user), user)),
+        update: user => usersFile.update(users => {
+            const index = users.findIndex(u => u.id === user.id);
+            if (index !== -1) users[index] = user;
+            return user;
+        }),
+        delete: id => usersFile.update(users => {
+            const index = users.findIndex(u => u.id === id);
+            if (index !== -1) users.splice(index, 1);
+            return index !== -1;
+        }),
+        close: () => usersFile.flush()
+    };
+};
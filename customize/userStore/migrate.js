@@ -0,0 +1,55 @@
+// /customize/userStore/migrate.js
+// 用户存储迁移: node customize/userStore/migrate.js [--import-json [users.json 路径]] [--check]
+// 按 .env 中的 USER_STORE 执行未应用的迁移脚本;--import-json 将 JSON 文件中的用户导入当前 SQL 存储(已存在的 id 跳过);
+// --check 以一个临时用户依次执行新增、查找、搜索、更新、删除,验证存储适配器与所连接的数据库(如本地 MySQL/MariaDB 容器)
+import path from 'path';
+import { env } from 'flun-env';
+import { fileURLToPath } from 'url';
+import { createUserStore, createJsonUserStore } from './index.js';
+
+const __filename = fileURLToPath(import.meta.url), __dirname = path.dirname(__filename),
+    args = process.argv.slice(2), importIndex = args.indexOf('--import-json'), store = await createUserStore(env),
+
+    // 读写自检,完成后删除临时用户
+    checkStore = async () => {
+        const id = Date.now(), username = `store_check_${id}`, email = `${username}@example.com`,
+            user = { id, username, email: null, password: '-', createdAt: id, updatedAt: id, roles: ['user'], permissions: [] },
+            expect = (ok, step) => {
+                if (!ok) throw new Error(`自检失败: ${step}`);
+            };
+        await store.create(user);
+        try {
+            expect((await store.findById(id))?.username === username, 'findById');
+            expect((await store.findByLogin(username))?.id === id, 'findByLogin');
+            expect((await store.search({ query: username })).total === 1, 'search');
+            await store.update({ ...user, email, roles: ['editor'] });
+            expect((await store.findOne({ email }))?.roles?.[0] === 'editor', 'update / findOne');
+        } finally {
+            expect(await store.delete(id), 'delete');
+        }
+        expect(await store.findById(id) === null, '删除后仍可查到');
+        console.log(`✅ 用户存储(${store.driver})读写自检通过`);
+    };
+
+try {
+    const executed = await store.init();
+    console.log(executed.length ? `✅ 已执行迁移(${store.driver}): ${executed.join('、')}` : `✅ 用户存储(${store.driver})已是最新结构`);
+
+    if (importIndex !== -1) {
+        if (store.driver === 'json') throw new Error('当前为 JSON 文件存储,无需导入(请先在 .env 中设置 USER_STORE=sqlite 或 mysql)');
+        const sourceArg = args[importIndex + 1], sourceFile = sourceArg && !sourceArg.startsWith('--')
+            ? path.resolve(sourceArg) : path.join(__dirname, '..', 'users.json'), source = createJsonUserStore({ file: sourceFile });
+        let imported = 0, skipped = 0;
+        await source.init(); // 导入前为启用角色前保存的用户补充角色
+        for (const user of await source.list()) {
+            if (await store.findById(user.id)) skipped++;
+            else await store.create(user), imported++;
+        }
+        console.log(`✅ 已从 ${sourceFile} 导入 ${imported} 个用户${skipped ? `,跳过已存在的 ${skipped} 个` : ''}`);
+    }
+    if (args.includes('--check')) await checkStore();
+} catch (err) {
+    console.error('❌ 用户存储迁移失败:', err.message), process.exitCode = 1;
+} finally {
+    await store.close();
+}
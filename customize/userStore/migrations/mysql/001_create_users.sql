@@ -0,0 +1,28 @@
+-- 创建用户表(MySQL 5.7+ / MariaDB 10.3+)
+-- 布尔值以 0/1 存储,时间为毫秒时间戳,backup_codes、webauthn_credentials 及 extra 为 JSON 文本
+CREATE TABLE IF NOT EXISTS users (
+    id BIGINT NOT NULL PRIMARY KEY,
+    username VARCHAR(191) NOT NULL,
+    email VARCHAR(191) NULL,
+    password VARCHAR(255) NOT NULL,
+    email_verified TINYINT(1) NOT NULL DEFAULT 0,
+    email_verification_token VARCHAR(128) NULL,
+    password_reset_token VARCHAR(128) NULL,
+    password_reset_expires BIGINT NULL,
+    two_factor_secret VARCHAR(255) NULL,
+    two_factor_enabled TINYINT(1) NOT NULL DEFAULT 0,
+    backup_codes TEXT NOT NULL,
+    webauthn_credentials MEDIUMTEXT NOT NULL,
+    webauthn_enabled TINYINT(1) NOT NULL DEFAULT 0,
+    created_at BIGINT NOT NULL,
+    updated_at BIGINT NOT NULL,
+    password_changed_at BIGINT NULL,
+    pending_email VARCHAR(191) NULL,
+    pending_email_token VARCHAR(128) NULL,
+    pending_email_expires BIGINT NULL,
+    extra TEXT NOT NULL,
+    UNIQUE KEY uk_users_username (username),
+    UNIQUE KEY uk_users_email (email),
+    KEY idx_users_password_reset_token (password_reset_token),
+    KEY idx_users_pending_email_token (pending_email_token)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
@@ -0,0 +1,5 @@
+-- 用户角色与权限(MySQL / MariaDB)
+-- roles、permissions 为 JSON 文本数组;已有用户默认为 user 角色,初始管理员账户(用户名 admin)设为 admin 角色
+ALTER TABLE users ADD COLUMN roles VARCHAR(255) NOT NULL DEFAULT '["user"]';
+ALTER TABLE users ADD COLUMN permissions VARCHAR(1000) NOT NULL DEFAULT '[]';
+UPDATE users SET roles = '["admin"]' WHERE username = 'admin';
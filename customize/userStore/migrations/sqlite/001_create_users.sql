@@ -0,0 +1,27 @@
+-- 创建用户表(SQLite)
+-- 布尔值以 0/1 存储,时间为毫秒时间戳,backup_codes、webauthn_credentials 及 extra 为 JSON 文本
+CREATE TABLE IF NOT EXISTS users (
+    id INTEGER NOT NULL PRIMARY KEY,
+    username TEXT NOT NULL UNIQUE,
+    email TEXT UNIQUE,
+    password TEXT NOT NULL,
+    email_verified INTEGER NOT NULL DEFAULT 0,
+    email_verification_token TEXT,
+    password_reset_token TEXT,
+    password_reset_expires INTEGER,
+    two_factor_secret TEXT,
+    two_factor_enabled INTEGER NOT NULL DEFAULT 0,
+    backup_codes TEXT NOT NULL,
+    webauthn_credentials TEXT NOT NULL,
+    webauthn_enabled INTEGER NOT NULL DEFAULT 0,
+    created_at INTEGER NOT NULL,
+    updated_at INTEGER NOT NULL,
+    password_changed_at INTEGER,
+    pending_email TEXT,
+    pending_email_token TEXT,
+    pending_email_expires INTEGER,
+    extra TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_users_password_reset_token ON users (password_reset_token);
+CREATE INDEX IF NOT EXISTS idx_users_pending_email_token ON users (pending_email_token);
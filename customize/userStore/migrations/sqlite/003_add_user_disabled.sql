@@ -0,0 +1,2 @@
+-- 账户禁用状态(SQLite):被管理员禁用的账户无法登录
+ALTER TABLE users ADD COLUMN disabled INTEGER NOT NULL DEFAULT 0;
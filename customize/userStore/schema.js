@@ -0,0 +1,41 @@
+// /customize/userStore/schema.js
+// 用户字段定义：SQL 存储的列映射(字段名 → [列名, 类型])及令牌字段对应的过期时间字段
+
+/** 用户对象字段 → [数据库列名, 类型]；类型 json 的字段以 JSON 文本存储,未列出的字段统一保存在 extra 列 */
+export const userColumns = {
+    id: ['id', 'number'],
+    username: ['username', 'string'],
+    email: ['email', 'string'],
+    password: ['password', 'string'],
+    emailVerified: ['email_verified', 'boolean'],
+    emailVerificationToken: ['email_verification_token', 'string'],
+    passwordResetToken: ['password_reset_token', 'string'],
+    passwordResetExpires: ['password_reset_expires', 'number'],
+    twoFactorSecret: ['two_factor_secret', 'string'],
+    twoFactorEnabled: ['two_factor_enabled', 'boolean'],
+    backupCodes: ['backup_codes', 'json'],
+    webauthnCredentials: ['webauthn_credentials', 'json'],
+    webauthnEnabled: ['webauthn_enabled', 'boolean'],
+    createdAt: ['created_at', 'number'],
+    updatedAt: ['updated_at', 'number'],
+    passwordChangedAt: ['password_changed_at', 'number'],
+    pendingEmail: ['pending_email', 'string'],
+    pendingEmailToken: ['pending_email_token', 'string'],
+    pendingEmailExpires: ['pending_email_expires', 'number'],
+    roles: ['roles', 'json'],
+    permissions: ['permissions', 'json'],
+    disabled: ['disabled', 'boolean']
+},
+    /** 可按令牌查找的字段 → 过期时间字段(null 表示不过期) */
+    tokenExpiryFields = {
+        emailVerificationToken: null,
+        passwordResetToken: 'passwordResetExpires',
+        pendingEmailToken: 'pendingEmailExpires'
+    },
+    /**
+     * 检查令牌字段名是否受支持
+     * @param {string} field - 令牌字段名
+     */
+    assertTokenField = field => {
+        if (!Object.hasOwn(tokenExpiryFields, field)) throw new Error(`不支持按 ${field} 查找用户`);
+    };
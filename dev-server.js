@@ -6,8 +6,8 @@
  * 2. 服务器配置与端口管理(parseAndValidatePort,parseServerConfig)
  * 3. 全局CORS中间件和静态资源配置(/static路径)
  * 4. 服务器生命周期管理(printAvailablePages, startServer)
- * 5. 请求页面路由处理(自动路由与模板渲染) —— 已在 startServer 内部动态添加
- * 6. 热重载功能实现(文件监听与WebSocket通信)
+ * 5. 请求页面路由处理(自动路由与模板渲染,按依赖失效的渲染缓存,/__links 链接检查诊断页面) —— 已在 startServer 内部动态添加
+ * 6. 热重载功能实现(文件监听与WebSocket通信,渲染缓存失效,模板错误浮层)
  * 7. 导出接口与启动执行(module.exports , startServer)
  */
 
@@ -19,14 +19,22 @@ import { Server as socketIo } from 'socket.io';
 import chokidar from 'chokidar';
 import {
 	path, fsPromises, CWD, getAvailableTemplates, findEntryFile, validateTemplateFile, renderTemplate, processIncludes,
-	processVariables, loadUserFeatures, writtenFilesToIgnore, templatesAbsDir, templatesDir, staticDir, customizeDir,
-	accountDir, defaultPort, monitorFileWrites
+	processComponents, processVariables, setStrictMode, trackDependencies, loadUserFeatures, loadDataFiles, loadPageData,
+	writtenFilesToIgnore, isDynamicTemplate, expandDynamicPages, findDynamicPage, templatesAbsDir, templatesDir, staticDir,
+	customizeDir, accountDir, dataDir, defaultPort, monitorFileWrites
 } from './services/templateService.js';
+import {
+	localesDir, loadLocales, setDefaultLocale, getDefaultLocale, getLocales, splitLocalePath, localizePath, localeVariables, localizeHtml, i18nMiddleware
+} from './services/i18nService.js';
+import { checkLinks, renderLinkReportHtml } from './services/linkCheckService.js';
 import { fileURLToPath, pathToFileURL } from 'url';
 
-let server, io, watcher, cachedPages = [], unmountMonitor = null;
+let server, io, watcher, cachedPages = [], unmountMonitor = null, renderCacheEnabled = true;
 const __filename = fileURLToPath(import.meta.url), __dirname = path.dirname(__filename),
 	app = express(), staticAbsDir = path.join(CWD, staticDir), customizeAbsDir = path.join(CWD, customizeDir),
+	dataAbsDir = path.join(customizeAbsDir, dataDir), localesAbsDir = path.join(CWD, localesDir),
+	// 渲染缓存: 键为 页面+语言+请求路径+查询参数,值为 { html, dependencies }（dependencies 为继承链、包含文件及组件）
+	renderCache = new Map(), maxRenderCacheEntries = 500,
 
 	// ==================== 工具函数 ====================
 	/**
@@ -58,6 +66,101 @@ const __filename = fileURLToPath(import.meta.url), __dirname = path.dirname(__fi
 		return { url, encodedUrl: `${baseUrl}/${encodeURI(page)}`, needsEncoding };
 	},
 
+	/**
+	 * 展开页面列表中的动态页面模板及分页模板（用于输出可访问页面,集合读取失败时保留模板路径并给出警告）
+	 * @param {string[]} pages - 模板文件名集合
+	 * @returns {Promise<string[]>} 页面路径集合
+	 */
+	expandPageList = async pages => {
+		const result = [], locales = getLocales();
+		for (const page of pages) {
+			await expandDynamicPages(page).then(entries => result.push(...entries.map(entry => entry.page)))
+				.catch(error => (console.warn(`⚠️ 页面 ${page} 展开失败: ${error.message}`), result.push(page)));
+		}
+		// 启用国际化时追加非默认语言的前缀路径
+		return locales.length ? locales.flatMap(locale => result.map(page => localizePath(page, locale).slice(1))) : result;
+	},
+
+	/**
+	 * 渲染页面（命中缓存时直接返回,未命中时完整渲染并记录依赖后写入缓存）
+	 * 请求路径按普通模板、分页页面（目录/page/n.html）及动态页面模板（[参数].html）查找
+	 * 用户变量、函数及页面数据加载函数来自 customize 模块,其变更会重启服务器并清空全部缓存
+	 * @param {string} page - 请求的页面路径（相对于模板目录,不含语言前缀）
+	 * @param {string} url - 请求路径
+	 * @param {Object} [query] - 查询参数
+	 * @param {string} [locale] - 页面语言,默认为默认语言
+	 * @param {Object|null} [currentUser=null] - 当前登录用户(id、用户名、角色、权限),作为模板变量 currentUser,按用户分别缓存
+	 * @returns {Promise<{html: string, hit: boolean}|null>} 渲染结果及是否命中缓存,页面不存在时返回 null
+	 */
+	renderPage = async (page, url, query, locale = getDefaultLocale(), currentUser = null) => {
+		const queryString = query ? JSON.stringify(query) : '',
+			key = `${page}\n${locale}\n${url}\n${queryString}\n${currentUser ? JSON.stringify(currentUser) : ''}`,
+			cached = renderCache.get(key);
+		if (renderCacheEnabled && cached) {
+			renderCache.delete(key), renderCache.set(key, cached); // 移至末尾,淘汰时优先移除最久未访问的页面
+			return { html: cached.html, hit: true };
+		}
+
+		const found = await findDynamicPage(cachedPages, page);
+		if (!found) return null;
+
+		const { template: templateFile, variables } = found,
+			{ result: html, dependencies } = await trackDependencies(async () => {
+				let rendered = await renderTemplate(templateFile);
+				rendered = await processIncludes(rendered, templateFile);
+				rendered = await processComponents(rendered); // 实时展开组件
+				const pageData = await loadPageData(page, { url, query: query ?? {}, locale }); // 执行页面数据加载函数
+				rendered = await processVariables(rendered, { ...localeVariables(locale, page), ...variables, ...pageData, currentUrl: url, query: queryString, currentUser });
+				return localizeHtml(rendered, page, locale);
+			});
+
+		if (renderCacheEnabled) {
+			if (renderCache.size >= maxRenderCacheEntries) renderCache.delete(renderCache.keys().next().value);
+			renderCache.set(key, { html, dependencies });
+		}
+		return { html, hit: false };
+	},
+
+	/**
+	 * 使依赖指定模板文件的渲染缓存失效
+	 * @param {string} [file] - 相对于模板目录的文件路径,省略时清空全部缓存
+	 * @returns {number} 失效的缓存条目数
+	 */
+	invalidateRenderCache = file => {
+		const size = renderCache.size;
+		if (file === undefined) renderCache.clear();
+		else for (const [key, { dependencies }] of renderCache) if (dependencies.has(file)) renderCache.delete(key);
+
+		return size - renderCache.size;
+	},
+
+	/**
+	 * 检查全部可访问页面的链接（/__links 诊断页面使用,与编译后的链接检查相同）
+	 * 地址按开发服务器的处理顺序解析: 自定义 GET 路由 → 根路径重定向到入口页面 → /static 静态资源 → 模板页面(.html 可省略)
+	 * @returns {Promise<{pages: number, links: number, issues: Array}>} 检查报告
+	 */
+	checkSiteLinks = async () => {
+		const routeLayers = app.router.stack.filter(layer => layer.route && (layer.route.methods.get || layer.route.methods._all)),
+			readPage = async page => {
+				const { locale, path: pagePath } = splitLocalePath(`/${page}`), rendered = await renderPage(pagePath.slice(1), pagePath, {}, locale ?? getDefaultLocale());
+				if (!rendered) throw new Error('页面不存在');
+				return rendered.html;
+			},
+			resolve = async pathname => {
+				const { locale, path: pagePath } = splitLocalePath(pathname);
+				if (routeLayers.some(layer => layer.match(pagePath))) return { file: true };
+				if (pagePath === '/') return { redirect: localizePath(await findEntryFile(cachedPages), locale) };
+				if (pagePath.startsWith(`/${staticDir}/`)) {
+					const stat = await fsPromises.stat(path.join(staticAbsDir, pagePath.slice(staticDir.length + 2))).catch(() => null);
+					return stat?.isFile() ? { file: true } : null;
+				}
+				const templateFile = pagePath.endsWith('.html') ? pagePath.slice(1) : `${pagePath.slice(1)}.html`;
+				if (isDynamicTemplate(templateFile) || !await findDynamicPage(cachedPages, templateFile)) return null;
+				return { page: localizePath(templateFile, locale).slice(1) };
+			};
+		return checkLinks({ pages: await expandPageList(cachedPages), readPage, resolve });
+	},
+
 	/**
 	 * 递归复制目录
 	 */
@@ -94,6 +197,21 @@ const __filename = fileURLToPath(import.meta.url), __dirname = path.dirname(__fi
 			}
 		}
 
+		// 检查并拷贝 customize/userStore 用户存储适配器目录及其依赖的 customize/lib 目录
+		for (const dir of ['userStore', 'lib']) {
+			try {
+				await fsPromises.access(path.join(customizeAbsDir, dir), constants.F_OK);
+			} catch {
+				console.log(`检测到 account=true 但缺少 customize/${dir} 目录,正在从包内复制...`);
+				try {
+					await copyDir(path.join(__dirname, customizeDir, dir), path.join(customizeAbsDir, dir));
+					console.log(`✅ 已复制 customize/${dir} 目录`);
+				} catch (err) {
+					console.error(`❌ 默认 customize/${dir} 目录不存在或复制失败:`, err.message);
+				}
+			}
+		}
+
 		// 检查并拷贝 templates/account 目录
 		try {
 			await fsPromises.access(userTemplatesAccount, constants.F_OK);
@@ -148,12 +266,31 @@ const __filename = fileURLToPath(import.meta.url), __dirname = path.dirname(__fi
 	 *    2. 函数参数 (options.account)
 	 *    3. 环境变量 (process.env.ACCOUNT)
 	 *    4. 默认值 (false)
+	 *
+	 *  严格模式：
+	 *    1. 命令行参数 (--strict/--no-strict)
+	 *    2. 函数参数 (options.strict)
+	 *    3. 环境变量 (process.env.STRICT)
+	 *    4. 默认值 (false)
+	 *
+	 *  渲染缓存：
+	 *    1. 命令行参数 (--cache/--no-cache)
+	 *    2. 函数参数 (options.cache)
+	 *    3. 环境变量 (process.env.RENDER_CACHE)
+	 *    4. 默认值 (true)
+	 *
+	 *  默认语言：
+	 *    1. 命令行参数 (--locale)
+	 *    2. 函数参数 (options.defaultLocale)
+	 *    3. 环境变量 (process.env.DEFAULT_LOCALE)
+	 *    4. 默认值 ('zh-CN')
 	 */
 	parseServerConfig = (options = {}) => {
-		let port, hotReload, account;
+		let port, hotReload, account, strict, cache, defaultLocale;
 		// 解析端口参数 - 优先级: 命令行 > 函数参数 > 环境变量 > 默认值
 		const args = process.argv.slice(2), portArgIndex = args.findIndex(arg => arg === '--port' || arg === '-p'),
-			portArgValue = portArgIndex !== -1 ? args[portArgIndex + 1] : null, { port: P, hotReload: H, account: A } = options;
+			portArgValue = portArgIndex !== -1 ? args[portArgIndex + 1] : null, { port: P, hotReload: H, account: A, strict: S, cache: C, defaultLocale: L } = options,
+			localeArgIndex = args.indexOf('--locale'), localeArgValue = localeArgIndex !== -1 ? args[localeArgIndex + 1] : null;
 
 		if (portArgValue) port = parseAndValidatePort(portArgValue, '命令行参数');
 		else if (P !== undefined) port = parseAndValidatePort(P, '函数参数');
@@ -174,7 +311,24 @@ const __filename = fileURLToPath(import.meta.url), __dirname = path.dirname(__fi
 		else if (process.env.ACCOUNT) account = process.env.ACCOUNT === 'true';
 		else account = false; // 默认关闭
 
-		return { port, hotReload, account };
+		// 解析严格模式参数 - 优先级: 命令行 > 函数参数 > 环境变量 > 默认值
+		if (args.includes('--strict')) strict = true;
+		else if (args.includes('--no-strict')) strict = false;
+		else if (S !== undefined) strict = S;
+		else if (process.env.STRICT) strict = process.env.STRICT === 'true';
+		else strict = false; // 默认关闭
+
+		// 解析渲染缓存参数 - 优先级: 命令行 > 函数参数 > 环境变量 > 默认值
+		if (args.includes('--cache')) cache = true;
+		else if (args.includes('--no-cache')) cache = false;
+		else if (C !== undefined) cache = C;
+		else if (process.env.RENDER_CACHE) cache = process.env.RENDER_CACHE === 'true';
+		else cache = true; // 默认启用
+
+		// 解析默认语言参数 - 优先级: 命令行 > 函数参数 > 环境变量 > 默认值
+		defaultLocale = localeArgValue || L || process.env.DEFAULT_LOCALE || 'zh-CN';
+
+		return { port, hotReload, account, strict, cache, defaultLocale };
 	};
 
 // ==================== 3.全局CORS中间件和静态资源配置 ====================
@@ -198,6 +352,7 @@ app.use((req, res, next) => {
 
 	next();
 }), app.set('trust proxy', false);
+app.use(i18nMiddleware({ stripPrefix: true })); // 识别请求语言并去除路径语言前缀（/en/about.html → /about.html）
 app.use('/static', express.static(staticAbsDir));
 
 // ==================== 4.服务器生命周期管理 ====================
@@ -209,7 +364,7 @@ app.use('/static', express.static(staticAbsDir));
  */
 const printAvailablePages = (pages, port, hotReload) => {
 	console.log(`开发服务器启动成功!\n访问地址: http://localhost:${port}`);
-	if (hotReload) console.log(`✅ 热重载功能已启用(监听目录->${templatesAbsDir},${staticDir},${customizeDir})`);
+	if (hotReload) console.log(`✅ 热重载功能已启用(监听目录->${templatesAbsDir},${staticDir},${customizeDir},${localesDir})`);
 
 	console.log('\n可访问页面:');
 	pages.sort().forEach(page => {
@@ -219,7 +374,8 @@ const printAvailablePages = (pages, port, hotReload) => {
 		else console.log(`  直接访问: ${url}`);
 	});
 
-	console.log(`\n共发现 ${pages.length} 个可用模板`), console.log('-----------------------------------');
+	console.log(`\n共发现 ${pages.length} 个可用模板`), console.log(`🔗 链接检查: http://localhost:${port}/__links`);
+	console.log('-----------------------------------');
 }
 
 /**
@@ -230,43 +386,69 @@ const printAvailablePages = (pages, port, hotReload) => {
  * @param {number} [options.port] - 可选端口号
  * @param {boolean} [options.hotReload] - 是否启用热重载
  * @param {boolean} [options.account] - 是否启用登录模式
+ * @param {boolean} [options.strict] - 是否启用严格模式(未定义变量、未知函数及表达式错误直接报错)
+ * @param {boolean} [options.cache] - 是否启用渲染缓存(模板或 customize 模块变更时按依赖自动失效)
+ * @param {string} [options.defaultLocale='zh-CN'] - 默认语言(无语言前缀的页面使用),存在 locales 语言包时启用国际化
  */
 const startServer = async (options = {}) => {
 	try {
-		const config = parseServerConfig(options), { port: p, hotReload: h, account: acc } = config;
+		const config = parseServerConfig(options), { port: p, hotReload: h, account: acc, strict, cache, defaultLocale } = config;
+		setStrictMode(strict), renderCacheEnabled = cache, setDefaultLocale(defaultLocale), await loadLocales(localesAbsDir);
+		if (strict) console.log('🔒 严格模式已启用: 未定义变量、未知函数和表达式错误将显示错误页面');
 
 		if (acc) await ensureAccountFiles(); 									  // 如果启用登录模式,验证必要文件
+		// 供登录系统(customize/account.js)按请求语言渲染账户页面,页面不存在时返回 null
+		app.locals.renderPage = async (page, req) => (await renderPage(page, req.path, req.query, req.locale, req.currentUser ?? null))?.html ?? null;
 		await loadUserFeatures(app), cachedPages = await getAvailableTemplates(); // 加载用户自定义功能获取模板内容
 
+		// 链接检查诊断页面(?format=json 返回检查报告)
+		app.get('/__links', async (req, res) => {
+			try {
+				const report = await checkSiteLinks();
+				if (req.query.format === 'json') return res.json(report);
+				const html = renderLinkReportHtml(report);
+				return res.type('html').send(io ? injectHotReloadScript(html) : html);
+			} catch (error) {
+				console.error(`链接检查出错: ${error.message}`);
+				const overlay = renderErrorOverlay(error);
+				return res.status(500).type('html').send(io ? injectHotReloadScript(overlay) : overlay);
+			}
+		});
+
 		// 添加核心模板渲染中间件
 		app.use(async (req, res, next) => {
 			try {
 				const decodedPath = decodeURIComponent(req.path);
 				if (decodedPath === '/') {
 					const entryFile = await findEntryFile(cachedPages);
-					return res.redirect(`/${entryFile}`);
+					return res.redirect(localizePath(entryFile, req.urlLocale));
 				}
 
 				const templateFile = decodedPath.endsWith('.html') ? decodedPath.slice(1) : `${decodedPath.slice(1)}.html`;
-				if (cachedPages.includes(templateFile)) {
-					let rendered = await renderTemplate(templateFile);
-					rendered = await processIncludes(rendered, templateFile);
-					rendered = processVariables(rendered, { currentUrl: decodedPath, query: req.query ? JSON.stringify(req.query) : '' });
+				if (!isDynamicTemplate(templateFile)) {
+					const page = await renderPage(templateFile, decodedPath, req.query, req.urlLocale, req.currentUser ?? null);
+					if (!page) return next();
 
+					let { html: rendered, hit } = page;
 					if (io) rendered = injectHotReloadScript(rendered); // 如果启用了热重载，注入客户端脚本
+					res.set('X-Render-Cache', renderCacheEnabled ? (hit ? 'HIT' : 'MISS') : 'BYPASS'); // 调试用: 渲染缓存命中情况
 					return res.type('html').send(rendered);
 				}
 
 				next();
 			} catch (error) {
-				console.error(`处理请求时出错: ${error.message}`), console.error(error.stack);
-				next(error);
+				console.error(`处理请求时出错: ${error.message}`), console.error(error.frame || error.stack);
+				if (res.headersSent) return next(error);
+
+				// 返回错误浮层页面,修复模板后由热重载自动刷新
+				const overlay = renderErrorOverlay(error);
+				return res.status(500).type('html').send(io ? injectHotReloadScript(overlay) : overlay);
 			}
 		});
 		for (const page of cachedPages) await validateTemplateFile(page, true); // 验证模板文件
 
 		if (h) setupHotReload();
-		printAvailablePages(cachedPages, p, h), createServerWithSocket(app, h);
+		printAvailablePages(await expandPageList(cachedPages), p, h), createServerWithSocket(app, h);
 
 		server.listen(p, () => {
 			console.log(`服务器运行中，按 Ctrl+C 退出`), console.log('-----------------------------------');
@@ -303,12 +485,48 @@ const startServer = async (options = {}) => {
 		return html + socketScript;
 	},
 
+	/**
+	 * 生成模板错误浮层页面: 错误描述、出错文件位置、包含/继承链及代码片段
+	 * 页面注入热重载脚本后,修改模板即自动刷新,错误修复后浮层随之消失
+	 * @param {Error} error - 渲染错误（TemplateError 带有 file/line/column/chain/frame）
+	 * @returns {string} 错误页面HTML
+	 */
+	renderErrorOverlay = error => {
+		const escape = text => String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`),
+			location = error.file ? `${error.file}${error.line ? `:${error.line}:${error.column ?? 1}` : ''}` : '',
+			highlight = frame => frame.split('\n').map(line => line.startsWith('>')
+				? `<span class="hl">${escape(line)}</span>` : escape(line)).join('\n'),
+			frame = highlight(error.frame || ''),
+			// 严格模式下同一页面的全部错误
+			list = error.errors?.length > 1 ? error.errors.map(item => `<li><div class="file">${escape(item.message)}</div>`
+				+ (item.frame ? `<pre>${highlight(item.frame)}</pre>` : '') + '</li>').join('\n') : '';
+
+		return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head><meta charset="UTF-8"><title>模板错误</title>
+<style>
+	body { margin: 0; background: rgba(20, 20, 24, .96); color: #e8e8e8; font: 14px/1.6 Menlo, Consolas, monospace; }
+	.overlay { max-width: 960px; margin: 40px auto; padding: 24px 32px; border-top: 4px solid #ff5555; background: #1e1e24; }
+	h1 { margin: 0 0 12px; color: #ff5555; font-size: 18px; } .file { color: #8be9fd; } .chain { color: #aaa; }
+	pre { padding: 12px 16px; overflow-x: auto; background: #15151a; } .hl { color: #ffb86c; } .tip { color: #888; }
+</style></head>
+<body><div class="overlay">
+	<h1>${escape(error.name || 'Error')}: ${escape(error.reason || error.message)}</h1>
+	${location ? `<div class="file">${escape(location)}</div>` : ''}
+	${error.chain?.length ? `<div class="chain">来自: ${error.chain.map(escape).join(' → ')}</div>` : ''}
+	${frame ? `<pre>${frame}</pre>` : `<pre>${escape(error.stack || '')}</pre>`}
+	${list ? `<h1>全部错误 (${error.errors.length})</h1><ol>${list}</ol>` : ''}
+	<p class="tip">修改并保存模板后页面将自动刷新${io ? '' : '(热重载未启用,请手动刷新)'}</p>
+</div></body>
+</html>`;
+	},
+
 	/**
 	 * 设置文件监听和热重载功能
 	 */
 	setupHotReload = () => {
-		// 监听模板目录、静态文件目录和后端目录
-		const watchDirs = [templatesAbsDir, staticAbsDir, customizeAbsDir].filter(dir => existsSync(dir));
+		// 监听模板目录、静态文件目录、后端目录和语言包目录
+		const watchDirs = [templatesAbsDir, staticAbsDir, customizeAbsDir, localesAbsDir].filter(dir => existsSync(dir));
 		if (watchDirs.length === 0) return console.warn('[热重载] 没有可监听的目录');
 
 		unmountMonitor = monitorFileWrites(); // 启用持续文件写入监控并获取卸载函数
@@ -317,15 +535,42 @@ const startServer = async (options = {}) => {
 			const normalizedPath = path.normalize(filePath);
 			if (writtenFilesToIgnore.includes(normalizedPath)) return; // 忽略文件
 
+			// 全局数据文件: 重新加载数据后刷新页面,无需重启服务器
+			if (filePath.startsWith(dataAbsDir + path.sep)) {
+				loadDataFiles().then(() => {
+					invalidateRenderCache();
+					console.log(`检测到${event}了${normalizedPath}数据文件,[热重载] 已重新加载数据并刷新页面...`);
+					io.emit('hot-reload', 100);
+				});
+				return;
+			}
+
+			// 语言包: 重新加载后刷新页面,无需重启服务器
+			if (filePath.startsWith(localesAbsDir + path.sep)) {
+				loadLocales(localesAbsDir).then(() => {
+					invalidateRenderCache();
+					console.log(`检测到${event}了${normalizedPath}语言包,[热重载] 已重新加载语言包并刷新页面...`);
+					io.emit('hot-reload', 100);
+				});
+				return;
+			}
+
 			const isBackendFile = filePath.startsWith(customizeAbsDir);
+			// 按依赖关系使渲染缓存失效: 模板文件只影响依赖它的页面,customize 模块影响全部页面
+			if (isBackendFile) invalidateRenderCache();
+			else if (filePath.startsWith(templatesAbsDir)) {
+				const invalidated = invalidateRenderCache(path.relative(templatesAbsDir, filePath).replace(/\\/g, '/'));
+				if (invalidated) console.log(`[渲染缓存] 已失效 ${invalidated} 个页面缓存`);
+			}
+
 			if (isBackendFile) {
 				console.log(`检测到${event}了${normalizedPath}后端文件,[热重载] 执行服务器重启并刷新页面...`);
 				io.emit('hot-reload', 3500), setTimeout(() => restartServer(), 500); // 通知浏览器延迟刷新,延迟后重启服务器
 			}
 			else {
 				console.log(`检测到${event}了${normalizedPath}前端文件,[热重载] 已刷新页面...`);
-				// 如果删除了HTML模板文件，从缓存中移除
-				if (event === '删除' && filePath.startsWith(templatesAbsDir) && filePath.endsWith('.html')) {
+				// 如果删除了HTML或Markdown模板文件，从缓存中移除
+				if (event === '删除' && filePath.startsWith(templatesAbsDir) && /\.(html|md)$/i.test(filePath)) {
 					const templateName = path.relative(templatesAbsDir, filePath).replace(/\\/g, '/');
 					cachedPages = cachedPages.filter(page => page !== templateName);
 				}
@@ -1,8 +1,24 @@
 import {
-    path, fsPromises, CWD, templatesDir, templatesAbsDir, staticDir, customizeDir, accountDir, defaultPort,
-    writtenFilesToIgnore, getAvailableTemplates, findEntryFile, validateTemplateFile, renderTemplate, processIncludes,
-    setCompilationMode, getIncludedFiles, processVariables, loadUserFeatures, monitorFileWrites
+    path, fsPromises, CWD, templatesDir, templatesAbsDir, staticDir, customizeDir, accountDir, componentsDir, dataDir, defaultPort,
+    writtenFilesToIgnore, TemplateError, getAvailableTemplates, findEntryFile, validateTemplateFile, renderTemplate,
+    processIncludes, processComponents, setCompilationMode, setStrictMode, getIncludedFiles, trackDependencies, processVariables,
+    loadUserFeatures, loadDataFiles, loadPageData, isDynamicTemplate, expandDynamicPages, findDynamicPage, monitorFileWrites
 } from './services/templateService.js';
+import { parseFrontMatter, renderMarkdown } from './services/markdownService.js';
+import { dataFileRegex, parseYaml, parseCsv, parseDataFile } from './services/dataService.js';
+import {
+    localesDir, loadLocales, setDefaultLocale, getDefaultLocale, getLocales, translate, createTranslator,
+    splitLocalePath, localizePath, localeVariables, localizeHtml, i18nMiddleware
+} from './services/i18nService.js';
+import { hashedAssetRegex, minifyJs, minifyCss, minifyHtml, fingerprintAssets, rewriteAssetUrls } from './services/optimizeService.js';
+import {
+    relativizeStaticUrls, localScriptPaths, createQueryProbe, scanUserRoutes, findRouteReferences, notFoundPage
+} from './services/staticExportService.js';
+import {
+    sitemapFile, robotsFile, rssFile, atomFile, feedDirectiveRegex, absoluteUrl, extractPageMeta,
+    buildSitemap, buildRobots, buildRss, buildAtom
+} from './services/seoService.js';
+import { checkLinks, formatLinkReport, renderLinkReportHtml } from './services/linkCheckService.js';
 import { compileAllTemplates } from './compile.js';
 import { runCopyFiles } from './copy-files.js';
 import { startServer } from './dev-server.js';
@@ -21,32 +37,169 @@ import { startServer } from './dev-server.js';
  * const staticDir;                 // 静态资源目录名称 ("static")
  * const customizeDir;              // 用户自定义功能目录名称 ("customize")
  * const accountDir;                // 账户目录名称 ("account")
+ * const componentsDir;             // 组件目录名称 ("components"),位于模板目录下
+ * const dataDir;                   // 全局数据目录名称 ("data"),位于 customize 目录下
  * const defaultPort;               // 默认服务端口 (7296)
  * const writtenFilesToIgnore = []; // 热重载时需忽略的文件路径列表
  *
+ * // 错误类:
+ * class TemplateError;             // 模板错误（file/line/column 出错位置, chain 包含/继承链, frame 代码片段）
+ *
  * // 函数列表:
- * getAvailableTemplates();         // 获取所有可用模板文件（排除 base.html）
- * findEntryFile();                 // 动态识别入口文件('@entry'标记 > 优先级列表 > 首字母排序)
+ * getAvailableTemplates();         // 获取所有可用模板文件（HTML 及 Markdown,排除 base.html 与组件目录）
+ * findEntryFile();                 // 动态识别入口文件('@entry'标记 > 优先级列表 > 首字母排序,Markdown 页面返回 .html 文件名)
  * validateTemplateFile();          // 验证模板文件标签结构完整性
  * renderTemplate();                // 核心模板渲染（处理 extends 继承与区块合并）
  * processIncludes();               // 递归处理 [include] 包含指令
+ * processComponents();             // 展开 <x-名称> 组件标签（插槽、属性参数、作用域样式）
  * setCompilationMode();            // 设置编译模式并清空依赖记录
+ * setStrictMode();                 // 设置严格模式（未定义变量、未知函数及表达式错误抛出 TemplateError）
  * getIncludedFiles();              // 获取编译过程中记录的所有被包含文件
- * processVariables();              // 模板变量替换、表达式求值与用户函数执行入口
- * loadUserFeatures();              // 从 customize 目录加载用户路由、函数和变量
+ * trackDependencies();             // 收集一次渲染读取的模板文件（继承链、包含文件、组件）,用于渲染缓存失效
+ * processVariables();              // 模板变量替换、表达式求值与用户函数执行入口（异步,等待异步用户函数完成）
+ * loadUserFeatures();              // 从 customize 目录加载用户路由、函数、变量和页面数据加载函数
+ * loadDataFiles();                 // 加载 customize/data 下的 JSON/YAML/CSV 文件,模板中以 data.文件名 访问
+ * loadPageData();                  // 执行 customize 模块导出的 load() 页面数据加载函数
+ * isDynamicTemplate();             // 判断是否为动态页面模板（路径含 [参数] 段）
+ * expandDynamicPages();            // 展开模板的全部输出页面（<!-- @collection --> 动态页面、<!-- @paginate --> 分页页面、Markdown 页面）
+ * findDynamicPage();               // 查找请求路径对应的页面（普通模板、Markdown 页面、分页页面及动态页面）
  * monitorFileWrites();             // 启动文件写入监控（用于热重载排除）
  * ```
  * >查看定义:@see
  * - 常量:{@link path}、{@link fsPromises}、{@link CWD}、{@link templatesDir}、{@link templatesAbsDir}、{@link staticDir}、
- *{@link customizeDir}、{@link accountDir}、{@link defaultPort}、{@link writtenFilesToIgnore}
+ *{@link customizeDir}、{@link accountDir}、{@link componentsDir}、{@link dataDir}、{@link defaultPort}、{@link writtenFilesToIgnore}
+ * - 错误类:{@link TemplateError}
  * - 函数:{@link getAvailableTemplates}、{@link findEntryFile}、{@link validateTemplateFile}、{@link renderTemplate}、
- *{@link processIncludes}、{@link setCompilationMode}、{@link getIncludedFiles}、{@link processVariables}、
- *{@link loadUserFeatures}、{@link monitorFileWrites}
+ *{@link processIncludes}、{@link processComponents}、{@link setCompilationMode}、{@link setStrictMode}、{@link getIncludedFiles}、
+ *{@link trackDependencies}、{@link processVariables}、{@link loadUserFeatures}、{@link loadDataFiles}、{@link loadPageData}、
+ *{@link isDynamicTemplate}、{@link expandDynamicPages}、{@link findDynamicPage}、{@link monitorFileWrites}
  */
 declare module './services/templateService.js' {
     export * from './services/templateService.js';
 }
 
+// =================================== services/markdownService.js ===================================
+/**
+ * ```js
+ * // 文件导出内容
+ * parseFrontMatter(); // 解析文件头部 --- 数据区 ---（标量、列表、嵌套对象）
+ * renderMarkdown();   // Markdown 渲染为 HTML,标题生成锚点 id 及目录 toc
+ * ```
+ * >查看定义:@see {@link parseFrontMatter}、{@link renderMarkdown}
+ */
+declare module './services/markdownService.js' {
+    export * from './services/markdownService.js';
+}
+
+// =================================== services/dataService.js ===================================
+/**
+ * ```js
+ * // 文件导出内容
+ * const dataFileRegex; // 支持的数据文件扩展名 (.json / .yaml / .yml / .csv)
+ * parseYaml();         // 解析 YAML 常用子集（映射、列表、嵌套、行内集合、块文本）
+ * parseCsv();          // 解析 CSV（首行为表头,每行为一个对象）
+ * parseDataFile();     // 按扩展名解析数据文件
+ * ```
+ * >查看定义:@see {@link dataFileRegex}、{@link parseYaml}、{@link parseCsv}、{@link parseDataFile}
+ */
+declare module './services/dataService.js' {
+    export * from './services/dataService.js';
+}
+
+// =================================== services/i18nService.js ===================================
+/**
+ * ```js
+ * // 文件导出内容
+ * const localesDir;   // 语言包目录名称 ("locales"),位于项目根目录
+ * loadLocales();      // 加载 locales/<语言代码>.json 语言包
+ * setDefaultLocale(); // 设置默认语言（无路径前缀的页面使用,默认 zh-CN）
+ * getDefaultLocale(); // 获取默认语言
+ * getLocales();       // 获取可用语言列表（默认语言在首位,未加载语言包时为空数组）
+ * translate();        // 翻译消息（ICU 风格 {n, plural, ...} 复数、select 选择,缺失时回退到基础语言、默认语言及键名）
+ * createTranslator(); // 创建绑定语言的翻译函数 t(key, params)
+ * splitLocalePath();  // 拆分请求路径中的语言前缀（/en/about.html）
+ * localizePath();     // 生成页面在指定语言下的路径（默认语言无前缀）
+ * localeVariables();  // 生成页面语言变量 locale、locales、t、alternates
+ * localizeHtml();     // 设置 <html lang> 并注入 hreflang 备用链接
+ * i18nMiddleware();   // Express 请求语言识别中间件（req.locale、req.t）
+ * ```
+ * >查看定义:@see {@link localesDir}、{@link loadLocales}、{@link setDefaultLocale}、{@link getDefaultLocale}、{@link getLocales}、
+ *{@link translate}、{@link createTranslator}、{@link splitLocalePath}、{@link localizePath}、{@link localeVariables}、
+ *{@link localizeHtml}、{@link i18nMiddleware}
+ */
+declare module './services/i18nService.js' {
+    export * from './services/i18nService.js';
+}
+
+// =================================== services/optimizeService.js ===================================
+/**
+ * ```js
+ * // 文件导出内容
+ * const hashedAssetRegex; // 带内容指纹的文件名 (名称.8位哈希.扩展名)
+ * minifyJs();             // 压缩 JS（去除注释及空白,保留可能影响自动分号插入的换行）
+ * minifyCss();            // 压缩 CSS
+ * minifyHtml();           // 压缩 HTML（<pre>/<textarea> 保持原样,内联脚本与样式一并压缩）
+ * fingerprintAssets();    // 复制静态资源并生成内容指纹副本,返回资源清单
+ * rewriteAssetUrls();     // 按资源清单改写 HTML 中 href / src 及 url() 引用
+ * ```
+ * >查看定义:@see {@link hashedAssetRegex}、{@link minifyJs}、{@link minifyCss}、{@link minifyHtml}、{@link fingerprintAssets}、{@link rewriteAssetUrls}
+ */
+declare module './services/optimizeService.js' {
+    export * from './services/optimizeService.js';
+}
+
+// =================================== services/staticExportService.js ===================================
+/**
+ * ```js
+ * // 文件导出内容
+ * relativizeStaticUrls(); // 将 ./static/ 相对引用改写为相对于页面所在目录的路径（account/login.html → ../static/）
+ * localScriptPaths();     // 获取页面引用的本地脚本路径
+ * createQueryProbe();     // 创建查询参数探针,记录模板读取的 query 参数
+ * scanUserRoutes();       // 扫描 customize 目录中注册的自定义路由（不执行路由代码）
+ * findRouteReferences();  // 查找页面及脚本中请求的自定义路由地址
+ * notFoundPage();         // 生成默认 404 页面
+ * ```
+ * >查看定义:@see {@link relativizeStaticUrls}、{@link localScriptPaths}、{@link createQueryProbe}、{@link scanUserRoutes}、
+ *{@link findRouteReferences}、{@link notFoundPage}
+ */
+declare module './services/staticExportService.js' {
+    export * from './services/staticExportService.js';
+}
+
+// =================================== services/seoService.js ===================================
+/**
+ * ```js
+ * // 文件导出内容
+ * const sitemapFile, robotsFile, rssFile, atomFile; // 生成的站点文件名 (sitemap.xml、robots.txt、rss.xml、atom.xml)
+ * const feedDirectiveRegex; // 订阅标记 <!-- @feed -->
+ * absoluteUrl();            // 按站点地址拼接页面绝对地址（支持带子路径的站点地址）
+ * extractPageMeta();        // 从渲染结果提取标题、描述、noindex 及订阅标记
+ * buildSitemap();           // 生成 sitemap.xml
+ * buildRobots();            // 生成 robots.txt
+ * buildRss();               // 生成 RSS 2.0 订阅源
+ * buildAtom();              // 生成 Atom 1.0 订阅源
+ * ```
+ * >查看定义:@see {@link sitemapFile}、{@link robotsFile}、{@link rssFile}、{@link atomFile}、{@link feedDirectiveRegex}、
+ *{@link absoluteUrl}、{@link extractPageMeta}、{@link buildSitemap}、{@link buildRobots}、{@link buildRss}、{@link buildAtom}
+ */
+declare module './services/seoService.js' {
+    export * from './services/seoService.js';
+}
+
+// =================================== services/linkCheckService.js ===================================
+/**
+ * ```js
+ * // 文件导出内容
+ * checkLinks();           // 检查页面中的站内链接、资源引用、片段锚点及重定向循环,返回检查报告
+ * formatLinkReport();     // 格式化检查报告为控制台文本行
+ * renderLinkReportHtml(); // 生成检查报告诊断页面（开发服务器 /__links）
+ * ```
+ * >查看定义:@see {@link checkLinks}、{@link formatLinkReport}、{@link renderLinkReportHtml}
+ */
+declare module './services/linkCheckService.js' {
+    export * from './services/linkCheckService.js';
+}
+
 // =================================== compile.js ===================================
 /**
  * ```js
@@ -95,7 +248,7 @@ declare module './dev-server.js' {
  * ```js
  *  // 启动服务器示例
  * import { startDevServer } from 'flun-html-template';
- *  startDevServer({ port: 7296, hotReload: true, account: false }); // 默认参数:开发服务器端口7296,启用热更新,不启用登录系统;
+ *  startDevServer({ port: 7296, hotReload: true, account: false, strict: false }); // 默认参数:开发服务器端口7296,启用热更新,不启用登录系统,不启用严格模式;
  *
  *  // -----------------------------------------------
  *  // 恢复包示例文件
@@ -109,7 +262,7 @@ declare module './dev-server.js' {
  *  // -----------------------------------------------
  *  // 编译模板示例
  *  import { compile } from 'flun-html-template';
- *  compile({outputDir: 'my-dist'}); // 可选参数:指定输出目录,默认为'dist'
+ *  compile({outputDir: 'my-dist', strict: true}); // 可选参数:指定输出目录,默认为'dist';严格模式(存在模板错误时编译失败)
  * ```
  *    -
  */
@@ -122,6 +275,9 @@ declare module './index.js' {
      * @param {number} [options.port] - 可选端口号(默认7296)
      * @param {boolean} [options.hotReload] - 是否启用热重载(默认启用)
      * @param {boolean} [options.account] - 是否启用登录模式(默认禁用)
+     * @param {boolean} [options.strict] - 是否启用严格模式(默认禁用):未定义变量、未知函数及表达式错误显示错误页面
+     * @param {boolean} [options.cache] - 是否启用渲染缓存(默认启用):模板或 customize 模块变更时按依赖自动失效
+     * @param {string} [options.defaultLocale] - 默认语言(默认 zh-CN):存在 locales 语言包时启用国际化,其他语言页面使用 /<语言>/ 路径前缀
      * @returns Promise<number> 实际使用的端口号
      *
      * @example
@@ -143,7 +299,7 @@ declare module './index.js' {
      * })();
      * ```
      */
-    export function startDevServer(options?: { port?: number; hotReload?: boolean; account?: boolean }): Promise<number>;
+    export function startDevServer(options?: { port?: number; hotReload?: boolean; account?: boolean; strict?: boolean; cache?: boolean; defaultLocale?: string }): Promise<number>;
 
     /**
      * 初始化项目文件
@@ -219,6 +375,7 @@ declare module './index.js' {
      * 编译所有模板文件
      * 将模板文件编译为最终的HTML文件,默认生成到dist目录中
      *
+     * @param options 编译选项,也可直接传入输出目录字符串
      * @returns Promise<void>
      *
      * @example
@@ -244,12 +401,94 @@ declare module './index.js' {
      *   console.error('错误信息:', error.message);
      *   console.error('请检查模板语法是否正确');
      * });
+     *
+     * // 示例4: 严格模式(存在未定义变量、未知函数或表达式错误时编译失败,退出码为1)
+     * await compile({ strict: true });
+     *
+     * // 示例5: 监听模式(首次构建后持续监听源文件,变更时增量构建)
+     * await compile({ watch: true });
      * ```
+     * @returns 首次构建是否成功
      */
-    export function compile(): Promise<void>;
+    export function compile(options?: CompileOptions | string): Promise<boolean>;
 
     // ==================== 选项接口 ====================
 
+    /**
+     * 编译选项
+     */
+    export interface CompileOptions {
+        /**
+         * 输出目录
+         * @default 'dist'
+         */
+        outputDir?: string;
+
+        /**
+         * 严格模式: 未定义变量、未知 user: 函数、过滤器及表达式错误导致编译失败,并列出所有出错位置
+         * 对应命令行参数 --strict / --no-strict,或环境变量 STRICT
+         * @default false
+         */
+        strict?: boolean;
+
+        /**
+         * 优化构建: 压缩 HTML/CSS/JS,静态资源生成内容指纹副本并改写页面引用,输出 asset-manifest.json,
+         * 生成的 server.js 为指纹资源设置 immutable 长期缓存响应头
+         * 对应命令行参数 --optimize / --no-optimize,或环境变量 OPTIMIZE
+         * @default false
+         */
+        optimize?: boolean;
+
+        /**
+         * 默认语言: 存在 locales 语言包时按语言分别输出页面,默认语言无路径前缀,其他语言输出到 templates/<语言>/ 下
+         * 对应命令行参数 --locale,或环境变量 DEFAULT_LOCALE
+         * @default 'zh-CN'
+         */
+        defaultLocale?: string;
+
+        /**
+         * 增量构建: 按输出目录中的 .build-cache.json 只重新编译依赖(模板、布局、包含文件、组件、集合文件)变化的模板,
+         * 删除已不再生成的页面;customize 目录、语言包或构建选项变化时全部重新编译;package.json 未变化时跳过依赖安装
+         * 设为 false 时清空输出目录完整构建
+         * 对应命令行参数 --incremental / --no-incremental,或环境变量 INCREMENTAL
+         * @default true
+         */
+        incremental?: boolean;
+
+        /**
+         * 监听模式: 首次构建后持续监听 templates、static、customize、locales 目录,变更时自动增量构建
+         * 对应命令行参数 --watch,或环境变量 WATCH
+         * @default false
+         */
+        watch?: boolean;
+
+        /**
+         * 构建目标:
+         *  - 'server': 生成 Express 服务端入口(server.js)与 package.json 并安装依赖,页面输出到 templates/ 下
+         *  - 'static': 纯静态导出,只输出页面与静态资源(页面位于输出根目录),适用于 GitHub Pages、CDN;
+         *    嵌套页面的 ./static/ 相对引用自动改写,模板目录无 404.html 时生成默认 404 页面,
+         *    读取运行时查询参数(query)或请求自定义路由的模板输出警告
+         * 对应命令行参数 --target,或环境变量 BUILD_TARGET
+         * @default 'server'
+         */
+        target?: 'server' | 'static';
+
+        /**
+         * 站点地址(如 https://example.com 或 https://user.github.io/repo),用于 sitemap.xml、robots.txt 的 Sitemap 声明
+         * 及 RSS/Atom 订阅源中的绝对链接;未配置时只生成 robots.txt
+         * 对应命令行参数 --site-url,或环境变量 SITE_URL
+         */
+        siteUrl?: string;
+
+        /**
+         * 链接检查: 输出完成后检查页面中的失效链接、缺失资源(含 /static/img/*)、无效片段锚点及根路径重定向循环并输出报告,
+         * 严格模式下存在问题时构建失败(退出码非零);开发服务器可访问 /__links 查看相同的检查报告
+         * 对应命令行参数 --check-links/--no-check-links,或环境变量 CHECK_LINKS
+         * @default true
+         */
+        checkLinks?: boolean;
+    }
+
     /**
      * 项目初始化选项
      *
@@ -0,0 +1,208 @@
+/**
+ * 数据文件服务（本地实现,无第三方依赖）
+ *
+ * 功能区块（按代码顺序）：
+ *   1. 常量(正则)及工具函数：标量值解析,行内列表/对象拆分
+ *   2. YAML 解析：键: 值 映射、- 列表、缩进嵌套、行内 [a, b] / {a: 1}、块文本（| 保留换行,> 折叠换行）
+ *   3. CSV 解析：首行为表头,支持引号字段（含逗号、换行及 "" 转义）
+ *   4. 模块功能导出
+ */
+// ==================== 1. 常量声明及工具函数 ====================
+const unsafeKeys = ['__proto__', 'constructor', 'prototype', 'then', 'toString', 'valueOf'], // 不可作为数据键名（防原型污染及误判为 Promise）
+	dataFileRegex = /\.(json|ya?ml|csv)$/i, blockScalarRegex = /^([|>])([+-]?)$/, mapKeyRegex = /^(?:"[^"]*"|'[^']*'|[^\s#'"{[][^:]*?)\s*:(?:\s|$)/,
+
+	/**
+	 * 按逗号拆分行内列表/对象内容,忽略引号及括号内的逗号
+	 * @param {string} text - 待拆分文本
+	 * @returns {string[]} 拆分结果（空内容返回空数组）
+	 */
+	_splitFlow = text => {
+		if (!text.trim()) return [];
+		const parts = [];
+		let current = '', quote = null, depth = 0;
+		for (const char of text) {
+			if (quote) char === quote && (quote = null);
+			else if (char === '"' || char === "'") quote = char;
+			else if (char === '[' || char === '{') depth++;
+			else if (char === ']' || char === '}') depth--;
+			else if (char === ',' && depth === 0) { parts.push(current), current = ''; continue; }
+			current += char;
+		}
+		return parts.push(current), parts;
+	},
+
+	/**
+	 * 去除键名两侧引号
+	 * @param {string} key - 键名原文
+	 * @returns {string} 键名
+	 */
+	_unquoteKey = key => {
+		return key.trim().replace(/^(["'])(.*)\1$/, '$2');
+	},
+
+	/**
+	 * 解析标量值：数字、布尔、null(~)、引号字符串、[a, b] 行内列表及 {a: 1} 行内对象,未加引号时去除行尾 # 注释
+	 * @param {string} raw - 原始值
+	 * @returns {any} 解析后的值
+	 */
+	_parseScalar = raw => {
+		const value = raw.trim();
+		if (/^\[[\s\S]*\]$/.test(value)) return _splitFlow(value.slice(1, -1)).map(_parseScalar);
+		if (/^\{[\s\S]*\}$/.test(value)) {
+			const result = {};
+			for (const pair of _splitFlow(value.slice(1, -1))) {
+				const separator = pair.indexOf(':'), key = _unquoteKey(pair.slice(0, separator));
+				if (separator > 0 && !unsafeKeys.includes(key)) result[key] = _parseScalar(pair.slice(separator + 1));
+			}
+			return result;
+		}
+		if (/^"[\s\S]*"$/.test(value)) try { return JSON.parse(value); } catch { return value.slice(1, -1); } // 双引号支持 \" \n 等转义
+		if (/^'[\s\S]*'$/.test(value)) return value.slice(1, -1).replaceAll("''", "'");
+		if (/^(true|false|null)$/.test(value)) return JSON.parse(value);
+		if (value === '~') return null;
+		if (value !== '' && !isNaN(Number(value))) return Number(value);
+		return value.replace(/\s+#.*$/, '');
+	};
+
+// ==================== 2. YAML 解析 ====================
+const
+	/**
+	 * 解析块文本（key: | 或 key: >）
+	 * @param {string} style - | 保留换行,> 折叠为空格（空行保留为换行）
+	 * @param {string} chomp - 末尾换行处理: - 去除,+ 保留全部,默认保留一个
+	 * @param {Array<{indent: number, raw: string}>} lines - 块内各行
+	 * @returns {string} 文本
+	 */
+	_parseBlockScalar = (style, chomp, lines) => {
+		const contentLines = lines.filter(line => line.raw.trim()),
+			indent = Math.min(...contentLines.map(line => line.raw.match(/^[ \t]*/)[0].length)),
+			texts = lines.map(line => line.raw.slice(indent)), trailing = [];
+		while (texts.length && !texts.at(-1).trim()) trailing.push(texts.pop());
+
+		const text = style === '|' ? texts.join('\n')
+			: texts.reduce((result, line, i) => result + (i === 0 ? line : !line.trim() ? '\n' : texts[i - 1].trim() ? ` ${line}` : line), '');
+		if (!contentLines.length || chomp === '-') return text;
+		return text + '\n' + (chomp === '+' ? '\n'.repeat(trailing.length) : '');
+	},
+
+	/**
+	 * 解析一段同缩进的 YAML 区块（键: 值 映射或 - 列表项）,缩进更深的后续行作为嵌套值
+	 * @param {Array<{indent: number, text: string, raw: string}>} lines - 行列表（空行及注释行缩进为 Infinity,归属于其上方的行）
+	 * @returns {Object|Array|null} 解析结果,没有有效行时返回 null
+	 */
+	_parseYamlBlock = lines => {
+		const first = lines.find(line => line.indent !== Infinity);
+		if (!first) return null;
+
+		const isList = first.text === '-' || first.text.startsWith('- '), result = isList ? [] : {};
+		for (let i = 0; i < lines.length; i++) {
+			const { indent, text, raw } = lines[i], children = [];
+			if (indent === Infinity) continue;
+			while (i + 1 < lines.length && lines[i + 1].indent > indent) children.push(lines[++i]);
+			const nested = value => {
+				const block = value.match(blockScalarRegex);
+				if (block) return _parseBlockScalar(block[1], block[2], children);
+				return value === '' ? _parseYamlBlock(children) : _parseScalar(value);
+			};
+
+			if (isList) {
+				const item = text.replace(/^-\s*/, '');
+				// 列表项为对象时（- name: 值）,首个键与后续缩进行同属一个对象
+				if (mapKeyRegex.test(item) && !/^[\[{"']/.test(item)) {
+					const childIndent = children.find(line => line.indent !== Infinity)?.indent ?? indent + 2;
+					result.push(_parseYamlBlock([{ indent: childIndent, text: item, raw }, ...children]));
+				}
+				else result.push(nested(item));
+				continue;
+			}
+			const separator = text.match(mapKeyRegex)?.[0].lastIndexOf(':') ?? -1, key = _unquoteKey(text.slice(0, separator));
+			if (separator <= 0 || unsafeKeys.includes(key)) continue;
+			result[key] = nested(text.slice(separator + 1).trim());
+		}
+		return result;
+	},
+
+	/**
+	 * 解析 YAML 文本（常用子集: 映射、列表、嵌套、行内集合、块文本及注释,不支持锚点与多文档）
+	 * >查看定义:@see {@link parseYaml}
+	 * @param {string} text - YAML 文本
+	 * @returns {any} 解析结果,内容为空时返回 null
+	 */
+	parseYaml = text => {
+		const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/).map(raw => {
+			const trimmed = raw.trim(), ignored = !trimmed || trimmed.startsWith('#') || /^(---|\.\.\.)$/.test(trimmed);
+			return { indent: ignored ? Infinity : raw.match(/^[ \t]*/)[0].replace(/\t/g, '  ').length, text: trimmed, raw };
+		}), first = lines.find(line => line.indent !== Infinity);
+
+		// 单个标量（如文件内容仅为字符串或行内列表）
+		if (first && !first.text.startsWith('-') && !mapKeyRegex.test(first.text)) return _parseScalar(first.text);
+		return _parseYamlBlock(lines);
+	};
+
+// ==================== 3. CSV 解析 ====================
+const
+	/**
+	 * CSV 单元格值转换: 数字（不含前导零等会改变原文的形式）及 true / false 转为对应类型,其余保持字符串
+	 * @param {string} value - 单元格原文
+	 * @returns {string|number|boolean} 转换后的值
+	 */
+	_csvValue = value => {
+		const trimmed = value.trim();
+		if (trimmed !== '' && String(Number(trimmed)) === trimmed) return Number(trimmed);
+		if (trimmed === 'true' || trimmed === 'false') return trimmed === 'true';
+		return value;
+	},
+
+	/**
+	 * 解析 CSV 文本,首行为表头,每行转换为以表头为键的对象（空行忽略）
+	 * >查看定义:@see {@link parseCsv}
+	 * @param {string} text - CSV 文本
+	 * @returns {Object[]} 行对象数组
+	 */
+	parseCsv = text => {
+		const rows = [];
+		let row = [], field = '', quoted = false;
+		text = text.replace(/^\uFEFF/, '');
+		for (let i = 0; i < text.length; i++) {
+			const char = text[i];
+			if (quoted) {
+				if (char !== '"') field += char;
+				else if (text[i + 1] === '"') field += '"', i++;
+				else quoted = false;
+			}
+			else if (char === '"' && !field.trim()) quoted = true, field = '';
+			else if (char === ',') row.push(field), field = '';
+			else if (char === '\n' || char === '\r') {
+				if (char === '\r' && text[i + 1] === '\n') i++;
+				row.push(field), rows.push(row), row = [], field = '';
+			}
+			else field += char;
+		}
+		if (field || row.length) row.push(field), rows.push(row);
+
+		const [header = [], ...records] = rows.filter(cells => cells.some(cell => cell.trim())), keys = header.map(key => key.trim());
+		return records.map(cells => {
+			const record = {};
+			keys.forEach((key, index) => key && !unsafeKeys.includes(key) && (record[key] = _csvValue(cells[index] ?? '')));
+			return record;
+		});
+	};
+
+// ==================== 4. 模块功能导出 ====================
+/**
+ * 按扩展名解析数据文件: .json / .yaml / .yml / .csv
+ * >查看定义:@see {@link parseDataFile}
+ * @param {string} fileName - 文件名（用于判断格式）
+ * @param {string} text - 文件内容
+ * @returns {any} 解析结果
+ * @throws {Error} 格式不受支持或 JSON 语法错误时抛出
+ */
+const parseDataFile = (fileName, text) => {
+	const ext = fileName.match(dataFileRegex)?.[1].toLowerCase();
+	if (ext === 'json') return JSON.parse(text.replace(/^\uFEFF/, ''));
+	if (ext === 'csv') return parseCsv(text);
+	if (ext) return parseYaml(text);
+	throw new Error(`不支持的数据文件格式: ${fileName}`);
+};
+
+export { dataFileRegex, parseYaml, parseCsv, parseDataFile };
@@ -0,0 +1,306 @@
+/**
+ * 国际化服务（本地实现,无第三方依赖,编译时原样复制到输出目录供生产服务器使用）
+ *
+ * 功能区块（按代码顺序）：
+ *   1. 常量声明及状态：语言包目录、已加载的语言包、默认语言
+ *   2. 消息格式化：ICU 消息格式常用子集 {name} 参数、{n, plural, ...} 复数、{n, selectordinal, ...} 序数、{x, select, ...} 选择、{n, number} 数字
+ *   3. 语言包加载与翻译：回退顺序 请求语言 → 基础语言(en-US → en) → 默认语言 → 键名本身
+ *   4. 语言路径及页面处理：语言前缀路径（/en/about.html）、模板变量、<html lang> 及 hreflang 备用链接
+ *   5. 请求语言识别中间件
+ *   6. 模块功能导出
+ */
+import fs from 'fs';
+import path from 'path';
+
+// ==================== 1. 常量声明及状态 ====================
+const localesDir = 'locales', localeRegex = /^[a-z]{2,3}(?:-[A-Za-z0-9]{2,8})*$/, optionRegex = /\s*(=?[^\s{}]+)\s*\{/y,
+	messages = new Map(), warnedKeys = new Set();
+let defaultLocale = 'zh-CN';
+
+// ==================== 2. 消息格式化 ====================
+const
+	/**
+	 * 查找与指定左花括号匹配的右花括号位置
+	 * @param {string} text - 消息文本
+	 * @param {number} start - 左花括号位置
+	 * @returns {number} 右花括号位置,未闭合时返回 -1
+	 */
+	_findClose = (text, start) => {
+		for (let i = start, depth = 0; i < text.length; i++) {
+			if (text[i] === '{') depth++;
+			else if (text[i] === '}' && --depth === 0) return i;
+		}
+		return -1;
+	},
+
+	/**
+	 * 解析 plural / select 的分支选项: =0 {...} one {...} other {...}
+	 * @param {string} text - 选项文本
+	 * @returns {Object<string, string>} 分支名 → 分支消息
+	 */
+	_parseOptions = text => {
+		const options = {};
+		optionRegex.lastIndex = 0;
+		for (let match; (match = optionRegex.exec(text));) {
+			const open = optionRegex.lastIndex - 1, close = _findClose(text, open);
+			if (close === -1) break;
+			options[match[1]] = text.slice(open + 1, close), optionRegex.lastIndex = close + 1;
+		}
+		return options;
+	},
+
+	/**
+	 * 创建复数规则,语言代码无效时回退为英语规则
+	 * @param {string} locale - 语言代码
+	 * @param {'cardinal'|'ordinal'} type - 基数或序数
+	 * @returns {Intl.PluralRules} 复数规则
+	 */
+	_pluralRules = (locale, type) => {
+		try { return new Intl.PluralRules(locale, { type }); } catch { return new Intl.PluralRules('en', { type }); }
+	},
+
+	/**
+	 * 格式化单个参数 {name}、{name, number}、{name, plural|selectordinal|select, 分支...}
+	 * @param {string} body - 花括号内文本
+	 * @param {Object} params - 参数对象
+	 * @param {string} locale - 语言代码
+	 * @returns {string} 格式化结果,参数不存在时原样保留
+	 */
+	_formatArgument = (body, params, locale) => {
+		const [name, type = '', ...rest] = body.split(','), value = params[name.trim()], format = type.trim();
+		if (!format) return value === undefined ? `{${body}}` : String(value);
+		if (format === 'number') {
+			try { return new Intl.NumberFormat(locale).format(value); } catch { return String(value); }
+		}
+
+		const options = _parseOptions(rest.join(','));
+		if (format === 'select') return _formatMessage(options[String(value)] ?? options.other ?? '', params, locale);
+		if (format !== 'plural' && format !== 'selectordinal') return `{${body}}`;
+
+		const count = Number(value), category = _pluralRules(locale, format === 'plural' ? 'cardinal' : 'ordinal').select(count),
+			branch = options[`=${count}`] ?? options[category] ?? options.other ?? '';
+		return _formatMessage(branch.replace(/#/g, () => _formatArgument(`${name}, number`, params, locale)), params, locale);
+	},
+
+	/**
+	 * 格式化消息文本: 逐个替换顶层 {...} 参数（支持嵌套的复数/选择分支）
+	 * @param {string} message - 消息文本
+	 * @param {Object} params - 参数对象
+	 * @param {string} locale - 语言代码
+	 * @returns {string} 格式化结果
+	 */
+	_formatMessage = (message, params, locale) => {
+		let result = '', index = 0;
+		while (index < message.length) {
+			const open = message.indexOf('{', index), close = open === -1 ? -1 : _findClose(message, open);
+			if (close === -1) return result + message.slice(index);
+			result += message.slice(index, open) + _formatArgument(message.slice(open + 1, close), params, locale), index = close + 1;
+		}
+		return result;
+	};
+
+// ==================== 3. 语言包加载与翻译 ====================
+const
+	/**
+	 * 在指定语言包中查找消息: 先按完整键名（允许以原文作为键）,再按点号路径逐级查找
+	 * @param {string} locale - 语言代码
+	 * @param {string} key - 消息键
+	 * @returns {string|undefined} 消息文本
+	 */
+	_lookup = (locale, key) => {
+		const data = messages.get(locale);
+		if (!data) return undefined;
+		if (typeof data[key] === 'string') return data[key];
+		const value = key.split('.').reduce((current, part) => current && typeof current === 'object' && Object.hasOwn(current, part) ? current[part] : undefined, data);
+		return typeof value === 'string' ? value : undefined;
+	},
+
+	/**
+	 * 加载语言包目录下的 <语言代码>.json 文件（重复调用时替换已加载内容,用于热更新）
+	 * >查看定义:@see {@link loadLocales}
+	 * @param {string} [dir] - 语言包目录,默认为当前工作目录下的 locales
+	 * @returns {Promise<string[]>} 可用语言列表（默认语言在首位）,没有语言包时为空数组
+	 */
+	loadLocales = async (dir = path.join(process.cwd(), localesDir)) => {
+		messages.clear(), warnedKeys.clear();
+		let files = [];
+		try {
+			files = (await fs.promises.readdir(dir)).filter(file => /\.json$/i.test(file)).sort();
+		} catch (error) {
+			if (error.code !== 'ENOENT') console.error(`❌ 读取语言包目录失败: ${error.message}`);
+		}
+
+		for (const file of files) {
+			const locale = path.basename(file, path.extname(file));
+			if (!localeRegex.test(locale)) { console.warn(`⚠️ 语言包文件名不是有效的语言代码,已跳过: ${file}`); continue; }
+			try {
+				messages.set(locale, JSON.parse((await fs.promises.readFile(path.join(dir, file), 'utf8')).replace(/^\uFEFF/, '')));
+			} catch (error) {
+				console.error(`❌ 语言包 ${file} 解析失败: ${error.message}`);
+			}
+		}
+		if (messages.size) console.log(`🌐 已加载 ${messages.size} 个语言包: ${getLocales().join(', ')}`);
+		return getLocales();
+	},
+
+	/**
+	 * 设置默认语言（无语言前缀的页面及无法识别请求语言时使用）
+	 * >查看定义:@see {@link setDefaultLocale}
+	 * @param {string} locale - 语言代码
+	 */
+	setDefaultLocale = locale => {
+		if (locale) defaultLocale = locale;
+	},
+
+	/**
+	 * 获取默认语言
+	 * >查看定义:@see {@link getDefaultLocale}
+	 * @returns {string} 默认语言代码
+	 */
+	getDefaultLocale = () => defaultLocale,
+
+	/**
+	 * 获取可用语言列表: 默认语言在首位,其余按文件名排序
+	 * >查看定义:@see {@link getLocales}
+	 * @returns {string[]} 语言代码列表,未加载任何语言包时为空数组（即未启用国际化）
+	 */
+	getLocales = () => messages.size ? [defaultLocale, ...[...messages.keys()].filter(locale => locale !== defaultLocale)] : [],
+
+	/**
+	 * 翻译消息并格式化参数,缺少翻译时依次回退到基础语言、默认语言,最后使用键名本身
+	 * >查看定义:@see {@link translate}
+	 * @param {string} locale - 语言代码
+	 * @param {string} key - 消息键（点号路径如 nav.home,或以默认语言原文作为键）
+	 * @param {Object} [params={}] - 消息参数
+	 * @returns {string} 翻译结果
+	 */
+	translate = (locale, key, params = {}) => {
+		const chain = [...new Set([locale, locale?.split('-')[0], defaultLocale])].filter(Boolean);
+		let message;
+		for (const candidate of chain) if ((message = _lookup(candidate, key)) !== undefined) break;
+
+		if (message === undefined) {
+			// 默认语言允许以原文作为键,仅对其他语言提示缺失
+			if (locale !== defaultLocale && messages.size && !warnedKeys.has(`${locale}\n${key}`)) {
+				warnedKeys.add(`${locale}\n${key}`), console.warn(`⚠️ 缺少翻译 [${locale}]: ${key}`);
+			}
+			message = String(key);
+		}
+		return _formatMessage(message, params ?? {}, locale || defaultLocale);
+	},
+
+	/**
+	 * 创建绑定语言的翻译函数,供模板 {{ t('key', { n: 1 }) }} 及路由 req.t() 使用
+	 * >查看定义:@see {@link createTranslator}
+	 * @param {string} locale - 语言代码
+	 * @returns {(key: string, params?: Object) => string} 翻译函数
+	 */
+	createTranslator = locale => (key, params) => translate(locale, key, params);
+
+// ==================== 4. 语言路径及页面处理 ====================
+const
+	/**
+	 * 拆分请求路径中的语言前缀（默认语言不使用前缀）
+	 * >查看定义:@see {@link splitLocalePath}
+	 * @param {string} urlPath - 请求路径,如 /en/about.html
+	 * @returns {{locale: string|null, path: string}} 前缀对应的语言（无前缀时为 null）及去除前缀后的路径
+	 */
+	splitLocalePath = urlPath => {
+		const match = urlPath.match(/^\/([^/]+)(\/.*)?$/);
+		if (match && match[1] !== defaultLocale && messages.has(match[1])) return { locale: match[1], path: match[2] ?? '/' };
+		return { locale: null, path: urlPath };
+	},
+
+	/**
+	 * 生成页面在指定语言下的访问路径
+	 * >查看定义:@see {@link localizePath}
+	 * @param {string} page - 页面路径,如 about.html 或 /about.html
+	 * @param {string} locale - 语言代码
+	 * @returns {string} 以 / 开头的路径,默认语言无前缀,如 /en/about.html
+	 */
+	localizePath = (page, locale) => {
+		const pagePath = page.replace(/^\/+/, '');
+		return locale === defaultLocale || !messages.has(locale) ? `/${pagePath}` : `/${locale}/${pagePath}`;
+	},
+
+	/**
+	 * 生成页面的语言相关模板变量
+	 * >查看定义:@see {@link localeVariables}
+	 * @param {string} locale - 当前语言
+	 * @param {string} page - 页面路径
+	 * @returns {{locale: string, locales: string[], t: Function, alternates: Array<{locale: string, url: string, current: boolean}>}} 模板变量
+	 */
+	localeVariables = (locale, page) => {
+		return {
+			locale, locales: getLocales(), t: createTranslator(locale),
+			alternates: getLocales().map(item => ({ locale: item, url: localizePath(page, item), current: item === locale }))
+		};
+	},
+
+	/**
+	 * 处理页面输出: 设置 <html lang> 并在 </head> 前注入各语言的 hreflang 备用链接（含 x-default）
+	 * >查看定义:@see {@link localizeHtml}
+	 * @param {string} html - 页面 HTML
+	 * @param {string} page - 页面路径
+	 * @param {string} locale - 当前语言
+	 * @returns {string} 处理后的 HTML,未启用国际化时原样返回
+	 */
+	localizeHtml = (html, page, locale) => {
+		const locales = getLocales();
+		if (!locales.length) return html;
+
+		html = html.replace(/(<html\b[^>]*?\slang=)("[^"]*"|'[^']*'|[^\s>]+)/i, `$1"${locale}"`);
+		if (locales.length < 2 || /<link\b[^>]*\bhreflang=/i.test(html)) return html; // 模板已自行声明备用链接时不重复注入
+		const links = [...locales.map(item => [item, localizePath(page, item)]), ['x-default', localizePath(page, defaultLocale)]]
+			.map(([hreflang, href]) => `<link rel="alternate" hreflang="${hreflang}" href="${encodeURI(href)}">`).join('\n');
+		return html.replace(/<\/head>/i, `${links}\n</head>`);
+	};
+
+// ==================== 5. 请求语言识别中间件 ====================
+const
+	/**
+	 * 按 Accept-Language 请求头匹配可用语言（按权重排序,支持 en-US → en 的基础语言匹配）
+	 * @param {string} [header] - Accept-Language 请求头
+	 * @returns {string|undefined} 匹配到的语言代码
+	 */
+	_matchAcceptLanguage = header => {
+		const candidates = (header || '').split(',').map(part => {
+			const [tag, ...attrs] = part.trim().split(';'), q = attrs.find(attr => attr.trim().startsWith('q='));
+			return { tag: tag.trim(), q: q ? Number(q.trim().slice(2)) || 0 : 1 };
+		}).filter(item => item.tag && item.q > 0).sort((a, b) => b.q - a.q), locales = getLocales();
+
+		for (const { tag } of candidates) {
+			const lower = tag.toLowerCase(), found = locales.find(locale => locale.toLowerCase() === lower)
+				?? locales.find(locale => locale.split('-')[0].toLowerCase() === lower.split('-')[0]);
+			if (found) return found;
+		}
+	},
+
+	/**
+	 * 请求语言识别中间件: 设置 req.locale 及 req.t
+	 * 识别顺序: 路径语言前缀 → 来源页面（Referer）的语言前缀 → Accept-Language → 默认语言
+	 * >查看定义:@see {@link i18nMiddleware}
+	 * @param {Object} [options] - 配置项
+	 * @param {boolean} [options.stripPrefix=false] - 是否去除路径中的语言前缀（供按原路径处理的后续路由及静态资源使用）,
+	 * 去除后的语言记录在 req.urlLocale（无前缀时为默认语言）
+	 * @returns {Function} Express 中间件
+	 */
+	i18nMiddleware = ({ stripPrefix = false } = {}) => (req, res, next) => {
+		const { locale, path: rest } = splitLocalePath(req.path);
+		let refererLocale = null;
+		try {
+			if (!locale && req.headers.referer) refererLocale = splitLocalePath(new URL(req.headers.referer).pathname).locale;
+		} catch { /* 无效的 Referer 忽略 */ }
+
+		req.urlLocale = locale ?? defaultLocale;
+		req.locale = locale ?? refererLocale ?? _matchAcceptLanguage(req.headers['accept-language']) ?? defaultLocale;
+		req.t = createTranslator(req.locale);
+		if (locale && stripPrefix) req.url = rest + req.url.slice(req.path.length);
+		next();
+	};
+
+// ==================== 6. 模块功能导出 ====================
+export {
+	localesDir, loadLocales, setDefaultLocale, getDefaultLocale, getLocales, translate, createTranslator,
+	splitLocalePath, localizePath, localeVariables, localizeHtml, i18nMiddleware
+};
@@ -0,0 +1,219 @@
+/**
+ * 链接检查服务（本地实现,无第三方依赖）
+ *
+ * 功能区块（按代码顺序）：
+ *   1. 常量声明及工具函数：引用提取（<a href>、<link href>、<img src>、<script src>、<meta http-equiv="refresh">）、锚点收集
+ *   2. 链接检查：按站点解析器判断目标是否存在,校验片段锚点,跟随服务端重定向及页面定时跳转并检测循环
+ *   3. 检查报告输出：控制台文本、诊断页面 HTML
+ *   4. 模块功能导出
+ *
+ * 站点解析器 resolve(路径) 返回: { page } 站点中的 HTML 页面 | { file: true } 其他存在的资源或自定义路由 | { redirect } 服务端重定向 | null 不存在
+ */
+
+// ==================== 1. 常量声明及工具函数 ====================
+const siteOrigin = 'http://site.invalid', maxRedirects = 20,
+	tagRegex = /<(a|link|img|script|meta)\b((?:[^>"']|"[^"]*"|'[^']*')*)>/gi,
+	attributeRegex = /([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/g,
+	refAttributes = { a: 'href', link: 'href', img: 'src', script: 'src' },
+	issueTypes = { link: '失效链接', asset: '缺失资源', anchor: '无效锚点', redirect: '重定向问题', page: '页面错误' },
+	htmlEscapes = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' },
+
+	/**
+	 * 解析标签属性
+	 * @param {string} source - 标签属性文本
+	 * @returns {Object<string, string>} 属性名(小写) → 属性值
+	 */
+	_parseAttributes = source => {
+		const attributes = {};
+		for (const [, name, double, single, bare] of source.matchAll(attributeRegex)) attributes[name.toLowerCase()] = double ?? single ?? bare ?? '';
+		return attributes;
+	},
+
+	/**
+	 * 解码 HTML 属性值中的常见实体
+	 * @param {string} value - 属性值
+	 * @returns {string}
+	 */
+	_decodeEntities = value => value.replace(/&(amp|lt|gt|quot|#39);/g, (_, name) => ({ amp: '&', lt: '<', gt: '>', quot: '"', '#39': "'" })[name]),
+
+	/**
+	 * 提取页面中需要检查的引用（跳过 <script>/<style> 内容中的文本）
+	 * @param {string} html - 页面 HTML
+	 * @returns {Array<{tag: string, ref: string}>} 引用列表,定时跳转的标签记为 meta
+	 */
+	_extractRefs = html => {
+		const refs = [], markup = html.replace(/(<(script|style)\b[^>]*>)[\s\S]*?(<\/\2\s*>)/gi, '$1$3').replace(/<!--[\s\S]*?-->/g, '');
+		for (const [, rawTag, attributeText] of markup.matchAll(tagRegex)) {
+			const tag = rawTag.toLowerCase(), attributes = _parseAttributes(attributeText);
+			if (tag === 'meta') {
+				const target = attributes['http-equiv']?.toLowerCase() === 'refresh' && attributes.content?.match(/^\s*\d*\s*[;,]?\s*url\s*=\s*['"]?([^'"]+)/i)?.[1];
+				if (target) refs.push({ tag, ref: _decodeEntities(target.trim()) });
+			} else if (attributes[refAttributes[tag]] !== undefined) refs.push({ tag, ref: _decodeEntities(attributes[refAttributes[tag]].trim()) });
+		}
+		return refs;
+	},
+
+	/**
+	 * 收集页面中可作为片段锚点的 id 及 <a name>
+	 * @param {string} html - 页面 HTML
+	 * @returns {Set<string>} 锚点名称集合
+	 */
+	_collectAnchors = html => {
+		const anchors = new Set();
+		for (const [, , double, single, bare] of html.matchAll(/\s(id|name)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/gi)) anchors.add(_decodeEntities(double ?? single ?? bare));
+		return anchors;
+	},
+
+	/**
+	 * 将引用解析为站点内路径及片段（外部地址、空引用、脚本伪协议返回 null）
+	 * @param {string} ref - 引用原文
+	 * @param {string} page - 引用所在页面（相对于站点根目录）
+	 * @returns {{pathname: string, fragment: string}|null}
+	 */
+	_resolveRef = (ref, page) => {
+		if (!ref || ref === '#' || /^(?:[a-z][a-z\d+.-]*:|\/\/)/i.test(ref)) return null;
+		try {
+			const url = new URL(ref, `${siteOrigin}/${page}`);
+			if (url.origin !== siteOrigin) return null;
+			return { pathname: decodeURIComponent(url.pathname), fragment: decodeURIComponent(url.hash.slice(1)) };
+		} catch {
+			return { pathname: ref, fragment: '' };
+		}
+	};
+
+// ==================== 2. 链接检查 ====================
+/**
+ * 检查站点中所有页面的内部链接、资源引用、片段锚点及重定向
+ * >查看定义:@see {@link checkLinks}
+ * @param {Object} site - 站点信息
+ * @param {string[]} site.pages - 页面列表（相对于站点根目录,如 index.html、en/about.html）
+ * @param {(page: string) => Promise<string>} site.readPage - 读取页面 HTML
+ * @param {(pathname: string) => Promise<{page?: string, file?: boolean, redirect?: string}|null>} site.resolve - 站点解析器(已解码的路径,不含查询参数及片段)
+ * @returns {Promise<{pages: number, links: number, issues: Array<{type: string, page: string, ref: string, message: string}>}>} 检查报告
+ */
+const checkLinks = async ({ pages, readPage, resolve }) => {
+	const issues = [], seen = new Set(), htmlCache = new Map(), anchorCache = new Map(), refreshTargets = new Map(),
+		report = (type, page, ref, message) => {
+			const key = `${type}\n${page}\n${ref}\n${message}`;
+			if (!seen.has(key)) seen.add(key), issues.push({ type, page, ref, message });
+		},
+		read = page => {
+			if (!htmlCache.has(page)) htmlCache.set(page, Promise.resolve().then(() => readPage(page)));
+			return htmlCache.get(page);
+		},
+		anchorsOf = async page => {
+			if (!anchorCache.has(page)) anchorCache.set(page, _collectAnchors(await read(page)));
+			return anchorCache.get(page);
+		},
+		// 解析路径并跟随服务端重定向,返回最终目标及经过的路径
+		follow = async pathname => {
+			const chain = [pathname];
+			for (let current = pathname; chain.length <= maxRedirects;) {
+				const target = await resolve(current);
+				if (!target?.redirect) return { target, chain };
+				current = _resolveRef(target.redirect, current.slice(1))?.pathname ?? target.redirect;
+				if (chain.includes(current)) return { loop: true, chain: [...chain, current] };
+				chain.push(current);
+			}
+			return { loop: true, chain };
+		};
+	let links = 0;
+
+	for (const page of pages) {
+		let html;
+		try {
+			html = await read(page);
+		} catch (error) {
+			report('page', page, '', `页面渲染失败: ${error.message}`);
+			continue;
+		}
+		for (const { tag, ref } of _extractRefs(html)) {
+			const resolved = _resolveRef(ref, page);
+			if (!resolved) continue;
+			links++;
+			const { pathname, fragment } = resolved, { target, loop, chain } = await follow(pathname),
+				type = tag === 'a' ? 'link' : tag === 'meta' ? 'redirect' : 'asset';
+			if (loop) report('redirect', page, ref, `重定向循环: ${chain.join(' → ')}`);
+			else if (!target) report(type, page, ref, chain.length > 1 ? `重定向目标不存在: ${chain.join(' → ')}` : '目标不存在');
+			else {
+				if (tag === 'meta' && target.page) refreshTargets.set(page, target.page);
+				if (fragment && fragment !== 'top' && target.page) {
+					const anchors = await anchorsOf(target.page).catch(() => null);
+					if (anchors && !anchors.has(fragment)) report('anchor', page, ref, `${target.page} 中不存在锚点 #${fragment}`);
+				}
+			}
+		}
+	}
+
+	// 根路径: 服务端重定向及页面定时跳转(<meta http-equiv="refresh">)链路
+	const root = await follow('/');
+	if (root.loop) report('redirect', '/', '/', `根路径重定向循环: ${root.chain.join(' → ')}`);
+	else if (!root.target) report('redirect', '/', '/', root.chain.length > 1 ? `根路径重定向目标不存在: ${root.chain.join(' → ')}` : '根路径没有可访问的页面');
+	const reportedLoops = new Set();
+	for (const start of [...(root.target?.page ? [root.target.page] : []), ...refreshTargets.keys()]) {
+		const chain = [start];
+		for (let current = refreshTargets.get(start); current; current = refreshTargets.get(current)) {
+			if (chain.includes(current)) {
+				const cycle = chain.slice(chain.indexOf(current)), key = [...cycle].sort().join('\n');
+				if (!reportedLoops.has(key)) reportedLoops.add(key), report('redirect', chain.at(-1), current, `页面定时跳转循环: ${[...chain, current].join(' → ')}`);
+				break;
+			}
+			chain.push(current);
+		}
+	}
+	return { pages: pages.length, links, issues };
+};
+
+// ==================== 3. 检查报告输出 ====================
+const
+	/**
+	 * 格式化检查报告为控制台文本行
+	 * >查看定义:@see {@link formatLinkReport}
+	 * @param {{pages: number, links: number, issues: Array}} report - 检查报告
+	 * @returns {string[]} 文本行
+	 */
+	formatLinkReport = ({ pages, links, issues }) => [
+		`🔗 链接检查: ${pages} 个页面,${links} 个内部引用,${issues.length ? `发现 ${issues.length} 个问题` : '未发现问题'}`,
+		...issues.map(({ type, page, ref, message }) => `  - [${issueTypes[type]}] ${page}${ref ? ` -> ${ref}` : ''}: ${message}`)
+	],
+
+	/**
+	 * 生成检查报告诊断页面（开发服务器 /__links）
+	 * >查看定义:@see {@link renderLinkReportHtml}
+	 * @param {{pages: number, links: number, issues: Array}} report - 检查报告
+	 * @returns {string} HTML 文本
+	 */
+	renderLinkReportHtml = ({ pages, links, issues }) => {
+		const escape = value => String(value).replace(/[&<>"']/g, char => htmlEscapes[char]),
+			rows = issues.map(({ type, page, ref, message }) => `
+			<tr><td><span class="tag ${type}">${issueTypes[type]}</span></td><td><a href="/${escape(page.replace(/^\/+/, ''))}">${escape(page)}</a></td><td><code>${escape(ref)}</code></td><td>${escape(message)}</td></tr>`).join('');
+		return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+	<meta charset="UTF-8">
+	<meta name="viewport" content="width=device-width, initial-scale=1.0">
+	<title>链接检查 - ${issues.length ? `${issues.length} 个问题` : '未发现问题'}</title>
+	<style>
+		body{margin:0;padding:24px;font:14px/1.6 system-ui,sans-serif;color:#1f2328;background:#f6f8fa}
+		h1{font-size:20px;margin:0 0 8px}.summary{color:#59636e;margin:0 0 16px}.ok{color:#1a7f37;font-weight:600}
+		table{width:100%;border-collapse:collapse;background:#fff;border:1px solid #d1d9e0}
+		th,td{padding:8px 12px;border-bottom:1px solid #d1d9e0;text-align:left;vertical-align:top}th{background:#f6f8fa}
+		code{font-family:ui-monospace,monospace;word-break:break-all}.tag{display:inline-block;padding:0 8px;border-radius:10px;color:#fff;white-space:nowrap}
+		.link{background:#cf222e}.asset{background:#bc4c00}.anchor{background:#9a6700}.redirect{background:#8250df}.page{background:#57606a}
+	</style>
+</head>
+<body>
+	<h1>🔗 链接检查</h1>
+	<p class="summary">共 ${pages} 个页面,${links} 个内部引用(页面链接、样式、图片、脚本及定时跳转)</p>
+	${issues.length ? `<table>
+		<thead><tr><th>类型</th><th>页面</th><th>引用</th><th>说明</th></tr></thead>
+		<tbody>${rows}
+		</tbody>
+	</table>` : '<p class="ok">✅ 未发现失效链接、缺失资源、无效锚点或重定向循环</p>'}
+</body>
+</html>
+`;
+	};
+
+// ==================== 4. 模块功能导出 ====================
+export { checkLinks, formatLinkReport, renderLinkReportHtml };
@@ -0,0 +1,354 @@
+/**
+ * Markdown 服务（本地实现,无第三方依赖）
+ *
+ * 功能区块（按代码顺序）：
+ *   1. 常量(正则)及工具函数：HTML转义,标题锚点生成,模板标签保护
+ *   2. 头部数据解析：--- YAML 数据区 ---
+ *   3. 行内语法：代码、模板标签、自动链接、HTML标签、图片、链接、强调、删除线、换行
+ *   4. 块级语法：标题、代码块、引用、列表、表格、分隔线、HTML块、模板控制行、段落
+ *   5. 模块功能导出
+ *
+ * 正文中的 {{...}} 模板标签及 [include ...] 行原样保留,由模板引擎继续处理；代码中的 { [ 会被转义,按原文显示
+ */
+import { parseYaml } from './dataService.js';
+// ==================== 1. 常量声明及工具函数 ====================
+const frontMatterRegex = /^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/,
+	htmlEscapeRegex = /&(?!#?\w+;)|[<>"']/g, codeEscapeRegex = /[&<>"'{}\[\]]/g,
+	htmlEscapes = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;', '{': '&#123;', '}': '&#125;', '[': '&#91;', ']': '&#93;' },
+	// 块级语法
+	atxHeadingRegex = /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/, setextRegex = /^ {0,3}(=+|-+)[ \t]*$/,
+	fenceRegex = /^( {0,3})(`{3,}|~{3,})[ \t]*([^`\s]*)[^`]*$/, hrRegex = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/,
+	blockquoteRegex = /^ {0,3}> ?/, listItemRegex = /^( {0,3})([-*+]|\d{1,9}[.)])([ \t]+|$)/, taskRegex = /^\[([ xX])\][ \t]+/,
+	tableDelimiterRegex = /^ {0,3}\|?[ \t]*:?-+:?[ \t]*(?:\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/,
+	htmlBlockRegex = /^ {0,3}<(?:!--|\/?(?:address|article|aside|blockquote|details|dialog|div|dl|fieldset|figcaption|figure|footer|form|h[1-6]|header|hr|iframe|main|nav|ol|p|pre|script|section|slot|style|summary|table|tbody|td|template|tfoot|th|thead|tr|ul|video|x-[\w-]+)(?=[\s/>]|$))/i,
+	templateLineRegex = /^ {0,3}(?:\{\{\s*(?:if\s|else|endif|for\s|empty|endfor|with\s|endwith|break|continue)[\s\S]*\}\}|\[\s*include\s[^\]]+\])[ \t]*$/,
+	// 行内语法
+	codeSpanRegex = /(`+)([\s\S]*?[^`])\1(?!`)/g, templateTagRegex = /\{\{[\s\S]*?\}\}/g,
+	escapableRegex = /\\([!"#$%&'()*+,\-./:;<=>?@[\\\]^_`{|}~])/g, autolinkRegex = /<((?:https?:\/\/|mailto:)[^\s<>]+)>/g,
+	inlineHtmlRegex = /<!--[\s\S]*?-->|<\/?[A-Za-z][\w-]*(?:\s+[^<>]*?)?\/?>/g,
+	imageRegex = /!\[([^\]]*)\]\(\s*<?([^\s)>]*)>?(?:\s+"([^"]*)")?\s*\)/g,
+	linkRegex = /\[((?:[^\[\]]|\[[^\[\]]*\])*)\]\(\s*<?([^\s)>]*)>?(?:\s+"([^"]*)")?\s*\)/g,
+	placeholderRegex = /\u0000(\d+)\u0000/g, unsafeUrlRegex = /^\s*(?:javascript|vbscript|data(?!:image\/)):/i,
+
+	/**
+	 * HTML转义（保留已有的字符实体如 &copy;）
+	 * @param {string} string - 待转义字符串
+	 * @returns {string} 转义后的字符串
+	 */
+	_escapeHtml = string => string.replace(htmlEscapeRegex, char => htmlEscapes[char]),
+
+	/**
+	 * 代码内容转义：额外转义 { } [ ],避免被模板引擎当作标签处理
+	 * @param {string} string - 代码原文
+	 * @returns {string} 转义后的字符串
+	 */
+	_escapeCode = string => string.replace(codeEscapeRegex, char => htmlEscapes[char]),
+
+	/**
+	 * 链接地址处理：屏蔽脚本协议,转义属性值
+	 * @param {string} url - 链接地址
+	 * @returns {string} 可安全放入属性的地址
+	 */
+	_safeUrl = url => _escapeHtml(unsafeUrlRegex.test(url) ? '#' : url),
+
+	/**
+	 * 生成标题锚点ID（与 slugify 过滤器规则一致,同一文档内重复时追加 -1、-2）
+	 * @param {string} text - 标题纯文本
+	 * @param {Map<string, number>} usedIds - 已使用的ID及次数
+	 * @returns {string} 锚点ID
+	 */
+	_headingId = (text, usedIds) => {
+		const base = text.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+			.replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-+|-+$/g, '') || 'section',
+			count = usedIds.get(base) ?? 0;
+		usedIds.set(base, count + 1);
+		return count ? `${base}-${count}` : base;
+	},
+
+	/**
+	 * 按 | 拆分表格行,忽略转义、代码、括号及模板标签内的 |
+	 * @param {string} text - 表格行内容
+	 * @returns {string[]} 单元格原文
+	 */
+	_splitCells = text => {
+		const parts = [];
+		let current = '', depth = 0, code = false;
+		for (let i = 0; i < text.length; i++) {
+			const char = text[i];
+			if (char === '\\' && i + 1 < text.length) { current += char + text[++i]; continue; }
+			if (code) char === '`' && (code = false);
+			else if (char === '`') code = true;
+			else if ('[{('.includes(char)) depth++;
+			else if (']})'.includes(char)) depth = Math.max(0, depth - 1);
+			else if (char === '|' && depth === 0) { parts.push(current), current = ''; continue; }
+			current += char;
+		}
+		return parts.push(current), parts;
+	};
+
+// ==================== 2. 头部数据解析 ====================
+const
+	/**
+	 * 解析文件头部的 --- 数据区 ---
+	 * 数据区按 YAML 解析（键: 值 标量、[a, b] 行内列表、"- 项" 缩进列表、缩进嵌套对象及块文本,# 开头为注释）
+	 * >查看定义:@see {@link parseFrontMatter}
+	 * @param {string} text - 文件内容
+	 * @returns {{data: Object, body: string, bodyLine: number}} 头部数据、正文及正文起始行号
+	 */
+	parseFrontMatter = text => {
+		const match = text.match(frontMatterRegex);
+		if (!match) return { data: {}, body: text, bodyLine: 1 };
+
+		const data = parseYaml(match[1]);
+		return {
+			data: data && typeof data === 'object' && !Array.isArray(data) ? data : {}, body: text.slice(match[0].length),
+			bodyLine: match[0].split('\n').length + (match[0].endsWith('\n') ? 0 : 1)
+		};
+	};
+
+// ==================== 3. 行内语法 ====================
+const
+	/**
+	 * 强调、删除线及换行（文本已转义,受保护片段以占位符存在）
+	 * @param {string} text - 文本
+	 * @returns {string} HTML
+	 */
+	_formatInline = text => {
+		return _escapeHtml(text)
+			.replace(/\*\*\*(?=\S)([\s\S]*?\S)\*\*\*/g, '<strong><em>$1</em></strong>')
+			.replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>')
+			.replace(/(^|[^\p{L}\p{N}_])__(?=\S)([\s\S]*?\S)__(?![\p{L}\p{N}_])/gu, '$1<strong>$2</strong>')
+			.replace(/\*(?=[^\s*])([\s\S]*?[^\s*])\*/g, '<em>$1</em>')
+			.replace(/(^|[^\p{L}\p{N}_])_(?=\S)([\s\S]*?\S)_(?![\p{L}\p{N}_])/gu, '$1<em>$2</em>')
+			.replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>')
+			.replace(/(?: {2,}|\\)\n/g, '<br>\n');
+	},
+
+	/**
+	 * 渲染行内语法
+	 * 代码、模板标签、HTML标签等先替换为占位符保护起来,最后统一还原
+	 * @param {string} text - 行内文本
+	 * @returns {string} HTML
+	 */
+	_renderInline = text => {
+		const stash = [], keep = html => `\u0000${stash.push(html) - 1}\u0000`,
+			restore = html => html.replace(placeholderRegex, (_, index) => restore(stash[index]));
+
+		const protectedText = text
+			.replace(codeSpanRegex, (_, ticks, code) => keep(`<code>${_escapeCode(code.replace(/^ (.*[^ ].*) $/s, '$1'))}</code>`))
+			.replace(templateTagRegex, tag => keep(tag))
+			.replace(escapableRegex, (_, char) => keep(_escapeCode(char)))
+			.replace(autolinkRegex, (_, url) => keep(`<a href="${_safeUrl(url)}">${_escapeHtml(url.replace(/^mailto:/, ''))}</a>`))
+			.replace(inlineHtmlRegex, tag => keep(tag))
+			.replace(imageRegex, (_, alt, src, title) =>
+				keep(`<img src="${_safeUrl(src)}" alt="${_escapeHtml(alt)}"${title ? ` title="${_escapeHtml(title)}"` : ''}>`))
+			.replace(linkRegex, (_, label, href, title) =>
+				keep(`<a href="${_safeUrl(href)}"${title ? ` title="${_escapeHtml(title)}"` : ''}>${_formatInline(label)}</a>`));
+		return restore(_formatInline(protectedText));
+	},
+
+	/**
+	 * 去除行内HTML得到纯文本（用于目录文本及锚点ID）
+	 * @param {string} html - HTML
+	 * @returns {string} 纯文本
+	 */
+	_plainText = html => {
+		return html.replace(/<[^>]*>/g, '').replace(/&(amp|lt|gt|quot|#39);/g, (_, name) =>
+			({ amp: '&', lt: '<', gt: '>', quot: '"', '#39': "'" })[name]).trim();
+	};
+
+// ==================== 4. 块级语法 ====================
+const
+	/**
+	 * 判断某行是否开始一个新的块（用于段落、引用、列表的惰性续行判断）
+	 * @param {string} line - 行内容
+	 * @returns {boolean} 是否为块起始行
+	 */
+	_isBlockStart = line => {
+		return atxHeadingRegex.test(line) || fenceRegex.test(line) || hrRegex.test(line) || blockquoteRegex.test(line)
+			|| listItemRegex.test(line) && line.trim().length > 1 || htmlBlockRegex.test(line) || templateLineRegex.test(line);
+	},
+
+	/**
+	 * 拆分表格行为单元格（忽略代码及模板标签内的 |）
+	 * @param {string} line - 表格行
+	 * @returns {string[]} 单元格文本
+	 */
+	_splitTableRow = line => {
+		const cells = _splitCells(line.trim().replace(/^\|/, '').replace(/(?<!\\)\|$/, ''));
+		return cells.map(cell => cell.trim().replace(/\\\|/g, '|'));
+	},
+
+	/**
+	 * 解析块级结构
+	 * @param {string[]} lines - 行列表
+	 * @param {number} startLine - 首行在源文件中的行号
+	 * @param {Object} context - 渲染上下文 { marker, usedIds, toc }
+	 * @param {{topLevel?: boolean, tight?: boolean}} [options] - 是否为顶层（顶层块前插入位置标记）、是否为紧凑列表项（段落不加 <p>）
+	 * @returns {string} HTML
+	 */
+	_renderBlocks = (lines, startLine, context, { topLevel = false, tight = false } = {}) => {
+		const output = [];
+		let i = 0, match;
+		while (i < lines.length) {
+			const line = lines[i], lineNumber = startLine + i;
+			if (!line.trim()) { i++; continue; }
+			const mark = topLevel && context.marker ? context.marker(lineNumber) : '', push = html => output.push(mark + html);
+
+			// 围栏代码块
+			if ((match = line.match(fenceRegex))) {
+				const [, indent, fence, lang] = match, code = [];
+				for (i++; i < lines.length && !new RegExp(`^ {0,3}${fence[0]}{${fence.length},}[ \\t]*$`).test(lines[i]); i++) {
+					code.push(lines[i].replace(new RegExp(`^ {0,${indent.length}}`), ''));
+				}
+				i++;
+				push(`<pre><code${lang ? ` class="language-${_escapeHtml(lang)}"` : ''}>${_escapeCode(code.join('\n'))}${code.length ? '\n' : ''}</code></pre>`);
+				continue;
+			}
+			// 缩进代码块
+			if (/^(?: {4}|\t)/.test(line) && !tight) {
+				const code = [];
+				while (i < lines.length && (/^(?: {4}|\t)/.test(lines[i]) || !lines[i].trim())) code.push(lines[i++].replace(/^(?: {4}|\t)/, ''));
+				while (code.length && !code[code.length - 1].trim()) code.pop();
+				push(`<pre><code>${_escapeCode(code.join('\n'))}\n</code></pre>`);
+				continue;
+			}
+			// ATX 标题
+			if ((match = line.match(atxHeadingRegex))) {
+				push(_renderHeading(match[1].length, match[2] ?? '', context)), i++;
+				continue;
+			}
+			// 分隔线
+			if (hrRegex.test(line)) { push('<hr>'), i++; continue; }
+			// 模板控制行、HTML块: 原样输出到空行为止
+			if (templateLineRegex.test(line)) { push(line.trim()), i++; continue; }
+			if (htmlBlockRegex.test(line)) {
+				const block = [];
+				while (i < lines.length && lines[i].trim()) block.push(lines[i++]);
+				push(block.join('\n'));
+				continue;
+			}
+			// 引用
+			if (blockquoteRegex.test(line)) {
+				const quote = [];
+				while (i < lines.length && (blockquoteRegex.test(lines[i]) || lines[i].trim() && quote.at(-1)?.trim() && !_isBlockStart(lines[i]))) {
+					quote.push(lines[i++].replace(blockquoteRegex, ''));
+				}
+				push(`<blockquote>\n${_renderBlocks(quote, lineNumber, context)}\n</blockquote>`);
+				continue;
+			}
+			// 列表
+			if ((match = line.match(listItemRegex)) && (match[3] || lines[i + 1]?.trim())) {
+				const { html, next } = _renderList(lines, i, startLine, context);
+				push(html), i = next;
+				continue;
+			}
+			// 表格: 表头行 + 对齐行
+			if (line.includes('|') && tableDelimiterRegex.test(lines[i + 1] ?? '') && lines[i + 1].includes('-')) {
+				const header = _splitTableRow(line), aligns = _splitTableRow(lines[i + 1]).map(cell =>
+					cell.endsWith(':') ? (cell.startsWith(':') ? 'center' : 'right') : cell.startsWith(':') ? 'left' : ''),
+					cell = (tag, text, index) => `<${tag}${aligns[index] ? ` style="text-align:${aligns[index]}"` : ''}>${_renderInline(text ?? '')}</${tag}>`,
+					rows = [];
+				for (i += 2; i < lines.length && lines[i].trim() && lines[i].includes('|') && !_isBlockStart(lines[i]); i++) {
+					const cells = _splitTableRow(lines[i]);
+					rows.push(`<tr>${header.map((_, index) => cell('td', cells[index], index)).join('')}</tr>`);
+				}
+				push(`<table>\n<thead>\n<tr>${header.map((text, index) => cell('th', text, index)).join('')}</tr>\n</thead>`
+					+ (rows.length ? `\n<tbody>\n${rows.join('\n')}\n</tbody>` : '') + '\n</table>');
+				continue;
+			}
+			// 段落（下一行为 === 或 --- 时为 Setext 标题）
+			const paragraph = [line.trim()];
+			for (i++; i < lines.length && lines[i].trim(); i++) {
+				if ((match = lines[i].match(setextRegex))) break;
+				if (_isBlockStart(lines[i]) || lines[i].includes('|') && tableDelimiterRegex.test(lines[i + 1] ?? '')) break;
+				paragraph.push(lines[i].replace(/^[ \t]+/, ''));
+			}
+			if (i < lines.length && (match = lines[i].match(setextRegex))) {
+				push(_renderHeading(match[1][0] === '=' ? 1 : 2, paragraph.join('\n'), context)), i++;
+				continue;
+			}
+			const text = _renderInline(paragraph.join('\n'));
+			push(tight ? text : `<p>${text}</p>`);
+		}
+		return output.join('\n');
+	},
+
+	/**
+	 * 渲染标题：生成锚点ID并记入目录
+	 * @param {number} level - 标题级别 1-6
+	 * @param {string} source - 标题原文
+	 * @param {Object} context - 渲染上下文
+	 * @returns {string} HTML
+	 */
+	_renderHeading = (level, source, context) => {
+		const html = _renderInline(source.trim()), text = _plainText(html), id = _headingId(text, context.usedIds);
+		context.toc.push({ level, id, text });
+		return `<h${level} id="${id}">${html}</h${level}>`;
+	},
+
+	/**
+	 * 渲染列表（有序/无序,支持嵌套、任务项及紧凑/宽松格式）
+	 * @param {string[]} lines - 行列表
+	 * @param {number} start - 列表首行下标
+	 * @param {number} startLine - lines[0] 在源文件中的行号
+	 * @param {Object} context - 渲染上下文
+	 * @returns {{html: string, next: number}} HTML 及列表后的下一行下标
+	 */
+	_renderList = (lines, start, startLine, context) => {
+		const first = lines[start].match(listItemRegex), ordered = /\d/.test(first[2]), marker = first[2].slice(-1), items = [],
+			sameList = line => {
+				const match = line?.match(listItemRegex);
+				return match && /\d/.test(match[2]) === ordered && match[2].slice(-1) === marker ? match : null;
+			};
+		let i = start, loose = false;
+		while (i < lines.length) {
+			const match = sameList(lines[i]);
+			if (!match) break;
+
+			const spacing = match[3].length > 4 || !match[3] ? 1 : match[3].length, indent = match[1].length + match[2].length + spacing,
+				itemLines = [lines[i].slice(Math.min(indent, lines[i].length))], itemLine = startLine + i;
+			for (i++; i < lines.length; i++) {
+				const current = lines[i];
+				if (!current.trim()) { itemLines.push(''); continue; }
+				if (current.match(/^ */)[0].length >= indent) { itemLines.push(current.slice(indent)); continue; }
+				// 惰性续行: 上一行非空且本行不是新的块
+				if (itemLines.at(-1).trim() && !_isBlockStart(current)) { itemLines.push(current.trim()); continue; }
+				break;
+			}
+			// 行尾空行不属于列表项；项之间或项内块之间有空行时为宽松列表
+			let trailing = 0;
+			while (itemLines.length > 1 && !itemLines.at(-1).trim()) itemLines.pop(), trailing++;
+			if (trailing && sameList(lines[i]) || itemLines.some(text => !text.trim())) loose = true;
+			items.push({ lines: itemLines, line: itemLine, number: parseInt(match[2], 10) });
+			if (trailing && !sameList(lines[i])) { i -= trailing; break; }
+		}
+
+		const body = items.map(({ lines: itemLines, line }) => {
+			const task = itemLines[0].match(taskRegex), checkbox = task ? `<input type="checkbox" disabled${task[1] === ' ' ? '' : ' checked'}> ` : '';
+			if (task) itemLines[0] = itemLines[0].slice(task[0].length);
+			const content = _renderBlocks(itemLines, line, context, { tight: !loose });
+			return `<li${task ? ' class="task-list-item"' : ''}>${checkbox}${loose ? `\n${content}\n` : content}</li>`;
+		}).join('\n'), tag = ordered ? 'ol' : 'ul', startNumber = items[0].number;
+		return { html: `<${tag}${ordered && startNumber !== 1 ? ` start="${startNumber}"` : ''}>\n${body}\n</${tag}>`, next: i };
+	};
+
+// ==================== 5. 模块功能导出 ====================
+/**
+ * 将 Markdown 渲染为 HTML,同时生成标题目录
+ * 标题带锚点ID（重复时追加序号）；{{...}} 模板标签与 [include ...] 行原样保留
+ * 锚点ID及目录按标题原文生成(早于模板渲染),因此标题中不应包含模板标签
+ * >查看定义:@see {@link renderMarkdown}
+ * @param {string} source - Markdown 正文
+ * @param {Object} [options] - 选项
+ * @param {(line: number) => string} [options.marker] - 顶层块前插入的内容（模板引擎用于记录源码行号）
+ * @param {number} [options.startLine=1] - 正文首行在源文件中的行号
+ * @returns {{html: string, toc: Array<{level: number, id: string, text: string}>}} HTML 及目录
+ */
+const renderMarkdown = (source, { marker, startLine = 1 } = {}) => {
+	const context = { marker, usedIds: new Map(), toc: [] },
+		html = _renderBlocks(source.replace(/\r\n?/g, '\n').split('\n'), startLine, context, { topLevel: true });
+	return { html, toc: context.toc };
+};
+
+export { parseFrontMatter, renderMarkdown };
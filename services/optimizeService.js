@@ -0,0 +1,335 @@
+/**
+ * 生产构建优化服务（本地实现,无第三方依赖）
+ *
+ * 功能区块（按代码顺序）：
+ *   1. 常量声明及工具函数：标识符字符判断、字符串扫描、资源路径解析
+ *   2. JS 压缩：去除注释及多余空白,保留字符串、模板字符串、正则字面量原文;保留可能影响自动分号插入的换行
+ *   3. CSS 压缩：去除注释及多余空白,保留字符串原文,去除规则末尾分号
+ *   4. HTML 压缩：去除注释（保留条件注释）,折叠文本空白,去除块级标签两侧空白;<pre>/<textarea> 原样保留,内联 <script>/<style> 分别压缩
+ *   5. 资源指纹：静态文件按内容哈希生成 名称.哈希.扩展名 副本,生成资源清单并改写 HTML 及 CSS 中的引用路径
+ *   6. 模块功能导出
+ */
+import fs from 'fs';
+import path from 'path';
+import { createHash } from 'crypto';
+
+// ==================== 1. 常量声明及工具函数 ====================
+const hashLength = 8, hashedAssetRegex = new RegExp(`\\.[0-9a-f]{${hashLength}}\\.[^./\\\\]+$`),
+	regexKeywords = ['return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void', 'throw', 'case', 'do', 'else', 'yield', 'await'],
+	blockTags = new Set(('html head body title meta link base script style noscript template div p ul ol li dl dt dd section article aside header '
+		+ 'footer nav main h1 h2 h3 h4 h5 h6 table thead tbody tfoot tr td th caption colgroup col form fieldset legend figure figcaption '
+		+ 'blockquote hr br pre option optgroup details summary dialog address').split(' ')),
+	htmlTokenRegex = /<!--[\s\S]*?-->|<(pre|textarea|script|style)\b(?:[^>"']|"[^"]*"|'[^']*')*>[\s\S]*?<\/\1\s*>|<(?:[^>"']|"[^"]*"|'[^']*')*>/gi,
+
+	/**
+	 * 判断字符是否可组成标识符（含数字及非 ASCII 字符）
+	 * @param {string} char - 字符
+	 * @returns {boolean}
+	 */
+	_isIdentChar = char => /[\w$\\\u0080-\uffff]/.test(char ?? ''),
+
+	/**
+	 * 扫描引号字符串,返回结束位置（未闭合时止于行尾）
+	 * @param {string} code - 源码
+	 * @param {number} start - 起始引号位置
+	 * @returns {number} 字符串之后的位置
+	 */
+	_scanString = (code, start) => {
+		const quote = code[start];
+		for (let i = start + 1; i < code.length; i++) {
+			if (code[i] === '\\') i++;
+			else if (code[i] === quote) return i + 1;
+			else if (code[i] === '\n') return i;
+		}
+		return code.length;
+	},
+
+	/**
+	 * 将资源引用解析为清单中的指纹路径
+	 * @param {string} ref - 引用原文（如 /static/index.css?v=1 或 ../static/a.png）
+	 * @param {string} basePath - 引用所在文件的站点路径（如 /en/about.html）
+	 * @param {Object<string, string>} manifest - 资源清单
+	 * @returns {string} 改写后的引用,不在清单中时原样返回
+	 */
+	_resolveAsset = (ref, basePath, manifest) => {
+		if (/^(?:[a-z][a-z\d+.-]*:|\/\/|#)/i.test(ref)) return ref;
+		const [, pathname, suffix] = ref.match(/^([^?#]*)(.*)$/);
+		if (!pathname) return ref;
+
+		let decoded = pathname;
+		try { decoded = decodeURI(pathname); } catch { /* 无效编码按原文处理 */ }
+		const resolved = path.posix.normalize(decoded.startsWith('/') ? decoded : path.posix.join(path.posix.dirname(basePath), decoded)).replace(/^\/+/, ''),
+			hashed = manifest[resolved] ?? manifest[resolved.replace(/^[^/]+\//, '')]; // 兼容语言前缀路径 /en/static/...
+		if (!hashed) return ref;
+
+		const name = path.posix.basename(hashed);
+		return pathname.slice(0, pathname.lastIndexOf('/') + 1) + (decoded === pathname ? name : encodeURI(name)) + suffix;
+	},
+
+	/**
+	 * 改写 CSS 中 url(...) 引用的资源路径
+	 * @param {string} css - CSS 文本
+	 * @param {string} basePath - CSS 所在文件的站点路径
+	 * @param {Object<string, string>} manifest - 资源清单
+	 * @returns {string} 改写后的 CSS
+	 */
+	_rewriteCssUrls = (css, basePath, manifest) => {
+		return css.replace(/url\(\s*(['"]?)([^'")\s]+)\1\s*\)/gi, (match, quote, ref) => `url(${quote}${_resolveAsset(ref, basePath, manifest)}${quote})`);
+	};
+
+// ==================== 2. JS 压缩 ====================
+const
+	/**
+	 * 扫描模板字符串片段,止于结束反引号或 ${ 插值开始
+	 * @param {string} code - 源码
+	 * @param {number} start - 片段起始位置（反引号或插值结束 } 之后）
+	 * @returns {{end: number, open: boolean}} 片段结束位置,open 表示止于 ${
+	 */
+	_scanTemplate = (code, start) => {
+		for (let i = start; i < code.length; i++) {
+			if (code[i] === '\\') i++;
+			else if (code[i] === '`') return { end: i + 1, open: false };
+			else if (code[i] === '$' && code[i + 1] === '{') return { end: i + 2, open: true };
+		}
+		return { end: code.length, open: false };
+	},
+
+	/**
+	 * 扫描正则字面量,返回结束位置（含修饰符）;遇到换行时判定为除号
+	 * @param {string} code - 源码
+	 * @param {number} start - 起始 / 位置
+	 * @returns {number} 正则之后的位置,不是正则时返回 -1
+	 */
+	_scanRegex = (code, start) => {
+		let inClass = false, i = start + 1;
+		for (; i < code.length; i++) {
+			const char = code[i];
+			if (char === '\\') i++;
+			else if (char === '\n') return -1;
+			else if (char === '[') inClass = true;
+			else if (char === ']') inClass = false;
+			else if (char === '/' && !inClass) break;
+		}
+		if (i >= code.length) return -1;
+		for (i++; _isIdentChar(code[i]); i++);
+		return i;
+	},
+
+	/**
+	 * 压缩 JavaScript: 去除注释（保留 /*! 开头的版权注释）及多余空白
+	 * 仅在不影响自动分号插入的位置（{ [ ( , ; 之后或 ) ] } , ; 之前）去除换行,字符串、模板字符串及正则字面量原样保留
+	 * >查看定义:@see {@link minifyJs}
+	 * @param {string} code - JS 源码
+	 * @returns {string} 压缩结果
+	 */
+	minifyJs = code => {
+		let out = '', i = 0, depth = 0, pendingSpace = false, pendingNewline = false;
+		const templateDepths = [], // 模板字符串插值 ${ 开始时的花括号深度
+			emit = text => {
+				const prev = out.at(-1), next = text[0];
+				if (out && pendingNewline && !'{[(,;'.includes(prev) && !')]},;'.includes(next)) out += '\n';
+				else if (out && (pendingNewline || pendingSpace) && (_isIdentChar(prev) && _isIdentChar(next)
+					|| (prev === '+' || prev === '-') && prev === next || prev === '/' && (next === '/' || next === '*') || /\d/.test(prev) && next === '.')) out += ' ';
+				out += text, pendingSpace = pendingNewline = false;
+			},
+			regexAllowed = () => {
+				const prev = out.at(-1);
+				if (!prev || prev === '}') return true;
+				if (prev === ')' || prev === ']') return false;
+				return _isIdentChar(prev) ? regexKeywords.includes(out.match(/[\w$]+$/)?.[0]) : true;
+			};
+
+		if (code.startsWith('#!')) i = code.indexOf('\n') === -1 ? code.length : code.indexOf('\n'), out = code.slice(0, i);
+		while (i < code.length) {
+			const char = code[i], next = code[i + 1];
+			if (char === '\n') { pendingNewline = true, i++; continue; }
+			if (/\s/.test(char)) { pendingSpace = true, i++; continue; }
+			if (char === '/' && next === '/') {
+				i = code.indexOf('\n', i) === -1 ? code.length : code.indexOf('\n', i);
+				continue;
+			}
+			if (char === '/' && next === '*') {
+				const end = code.indexOf('*/', i + 2) === -1 ? code.length : code.indexOf('*/', i + 2) + 2, comment = code.slice(i, end);
+				if (comment.startsWith('/*!')) emit(comment), pendingNewline = true;
+				else if (comment.includes('\n')) pendingNewline = true;
+				else pendingSpace = true;
+				i = end;
+				continue;
+			}
+			if (char === '"' || char === "'") {
+				const end = _scanString(code, i);
+				emit(code.slice(i, end)), i = end;
+				continue;
+			}
+			if (char === '`' || char === '}' && templateDepths.at(-1) === depth) {
+				// 模板字符串（或插值结束后的后续片段）原样输出,遇到 ${ 时记录深度以便匹配插值结束的 }
+				if (char === '}') templateDepths.pop();
+				const { end, open } = _scanTemplate(code, i + 1);
+				emit(code.slice(i, end)), i = end;
+				if (open) templateDepths.push(depth);
+				continue;
+			}
+			if (char === '/' && regexAllowed()) {
+				const end = _scanRegex(code, i);
+				if (end !== -1) { emit(code.slice(i, end)), i = end; continue; }
+			}
+			if (char === '{') depth++;
+			else if (char === '}') depth--;
+			emit(char), i++;
+		}
+		return out;
+	};
+
+// ==================== 3. CSS 压缩 ====================
+/**
+ * 压缩 CSS: 去除注释（保留 /*! 开头的版权注释）、多余空白及规则末尾分号,字符串原样保留
+ * 选择器中 : 之前的空白及 calc() 中 + - 两侧的空白会保留
+ * >查看定义:@see {@link minifyCss}
+ * @param {string} css - CSS 源码
+ * @returns {string} 压缩结果
+ */
+const minifyCss = css => {
+	let out = '', i = 0, pendingSpace = false;
+	const emit = text => {
+		const prev = out.at(-1), next = text[0];
+		if (pendingSpace && out && !'{};,>~(:'.includes(prev) && !'{};,>~)!'.includes(next)) out += ' ';
+		if (next === '}' && prev === ';') out = out.slice(0, -1);
+		out += text, pendingSpace = false;
+	};
+
+	while (i < css.length) {
+		const char = css[i];
+		if (/\s/.test(char)) { pendingSpace = true, i++; continue; }
+		if (char === '/' && css[i + 1] === '*') {
+			const end = css.indexOf('*/', i + 2) === -1 ? css.length : css.indexOf('*/', i + 2) + 2;
+			if (css.startsWith('/*!', i)) emit(css.slice(i, end));
+			else pendingSpace = true;
+			i = end;
+			continue;
+		}
+		if (char === '"' || char === "'") {
+			const end = _scanString(css, i);
+			emit(css.slice(i, end)), i = end;
+			continue;
+		}
+		emit(char), i++;
+	}
+	return out;
+};
+
+// ==================== 4. HTML 压缩 ====================
+/**
+ * 压缩 HTML: 去除注释（保留 <!--[if 条件注释）,文本空白折叠为一个空格并去除块级标签两侧的空白
+ * <pre>、<textarea> 内容原样保留,内联 <script>（JS 类型）与 <style> 分别按 JS、CSS 压缩,标签属性保持原文
+ * >查看定义:@see {@link minifyHtml}
+ * @param {string} html - HTML 文本
+ * @returns {string} 压缩结果
+ */
+const minifyHtml = html => {
+	const tokens = [];
+	let index = 0;
+	const pushText = text => {
+		if (tokens.at(-1)?.text !== undefined) tokens.at(-1).text += text;
+		else if (text) tokens.push({ text });
+	};
+
+	for (const match of html.matchAll(htmlTokenRegex)) {
+		pushText(html.slice(index, match.index)), index = match.index + match[0].length;
+		const [source, rawTag] = match;
+		if (source.startsWith('<!--')) {
+			if (source.startsWith('<!--[if')) tokens.push({ tag: source, block: false });
+			continue;
+		}
+
+		const name = (rawTag ?? source.match(/^<\/?([a-zA-Z][\w:-]*)/)?.[1] ?? '').toLowerCase(), block = source.startsWith('<!') || blockTags.has(name);
+		if (name === 'script' || name === 'style') {
+			const openEnd = source.indexOf('>') + 1, closeStart = source.lastIndexOf('</'), openTag = source.slice(0, openEnd),
+				body = source.slice(openEnd, closeStart), type = openTag.match(/\stype\s*=\s*(["']?)([^"'\s>]*)\1/i)?.[2],
+				minified = name === 'style' ? minifyCss(body)
+					: !type || /^(?:module|text\/javascript|application\/javascript)$/i.test(type) ? minifyJs(body) : body.trim();
+			tokens.push({ tag: openTag + minified + source.slice(closeStart), block });
+		}
+		else tokens.push({ tag: source, block });
+	}
+	pushText(html.slice(index));
+
+	return tokens.map((token, i) => {
+		if (token.tag !== undefined) return token.tag;
+		let text = token.text.replace(/\s+/g, ' ');
+		if (!tokens[i - 1] || tokens[i - 1].block) text = text.trimStart();
+		if (!tokens[i + 1] || tokens[i + 1].block) text = text.trimEnd();
+		return text;
+	}).join('');
+};
+
+// ==================== 5. 资源指纹 ====================
+const
+	/**
+	 * 递归列出目录下的文件（跳过隐藏文件）
+	 * @param {string} dir - 目录绝对路径
+	 * @param {string} [prefix=''] - 相对路径前缀
+	 * @returns {Promise<string[]>} 相对路径列表（/ 分隔）
+	 */
+	_listFiles = async (dir, prefix = '') => {
+		const files = [];
+		for (const entry of await fs.promises.readdir(dir, { withFileTypes: true })) {
+			if (entry.name.startsWith('.')) continue;
+			const relative = prefix ? `${prefix}/${entry.name}` : entry.name;
+			if (entry.isDirectory()) files.push(...await _listFiles(path.join(dir, entry.name), relative));
+			else files.push(relative);
+		}
+		return files;
+	},
+
+	/**
+	 * 复制静态资源目录并生成内容指纹副本: 压缩 JS/CSS（已是 .min. 的文件除外）,CSS 中的 url() 引用改写为指纹路径
+	 * 原文件名同时保留（供脚本中拼接的路径使用）,非 CSS 文件先处理,以便 CSS 引用的图片、字体使用指纹路径
+	 * >查看定义:@see {@link fingerprintAssets}
+	 * @param {string} srcDir - 静态资源源目录
+	 * @param {string} destDir - 输出目录
+	 * @param {string} [urlPrefix] - 资源的站点路径前缀,默认为输出目录名（如 static）
+	 * @returns {Promise<Object<string, string>>} 资源清单 { 'static/index.css': 'static/index.3fa9c2e1.css' }
+	 */
+	fingerprintAssets = async (srcDir, destDir, urlPrefix = path.basename(destDir)) => {
+		let files;
+		try {
+			files = await _listFiles(srcDir);
+		} catch (error) {
+			if (error.code === 'ENOENT') return {};
+			throw error;
+		}
+
+		const manifest = {}, isCss = file => /\.css$/i.test(file);
+		for (const file of [...files.filter(file => !isCss(file)), ...files.filter(isCss)]) {
+			let content = await fs.promises.readFile(path.join(srcDir, file));
+			if (!/\.min\.[^.]+$/i.test(file)) {
+				if (/\.m?js$/i.test(file)) content = Buffer.from(minifyJs(content.toString('utf8')));
+				else if (isCss(file)) content = Buffer.from(minifyCss(_rewriteCssUrls(content.toString('utf8'), `/${urlPrefix}/${file}`, manifest)));
+			}
+			else if (isCss(file)) content = Buffer.from(_rewriteCssUrls(content.toString('utf8'), `/${urlPrefix}/${file}`, manifest));
+
+			const hash = createHash('sha256').update(content).digest('hex').slice(0, hashLength), ext = path.posix.extname(file),
+				hashedFile = `${file.slice(0, file.length - ext.length)}.${hash}${ext}`;
+			await fs.promises.mkdir(path.dirname(path.join(destDir, file)), { recursive: true });
+			await Promise.all([fs.promises.writeFile(path.join(destDir, file), content), fs.promises.writeFile(path.join(destDir, hashedFile), content)]);
+			manifest[`${urlPrefix}/${file}`] = `${urlPrefix}/${hashedFile}`;
+		}
+		return Object.fromEntries(Object.entries(manifest).sort(([a], [b]) => a.localeCompare(b)));
+	},
+
+	/**
+	 * 将 HTML 中 href / src 属性及 url() 引用的静态资源改写为清单中的指纹路径（保持原有的绝对/相对路径形式）
+	 * >查看定义:@see {@link rewriteAssetUrls}
+	 * @param {string} html - HTML 文本
+	 * @param {string} page - 页面路径（相对于站点根目录,用于解析相对引用）
+	 * @param {Object<string, string>} manifest - 资源清单
+	 * @returns {string} 改写后的 HTML
+	 */
+	rewriteAssetUrls = (html, page, manifest) => {
+		const basePath = `/${page.replace(/^\/+/, '')}`;
+		return _rewriteCssUrls(html.replace(/(\s(?:href|src)\s*=\s*)(["']?)([^"'\s>]+)\2/gi,
+			(match, prefix, quote, ref) => `${prefix}${quote}${_resolveAsset(ref, basePath, manifest)}${quote}`), basePath, manifest);
+	};
+
+// ==================== 6. 模块功能导出 ====================
+export { hashedAssetRegex, minifyJs, minifyCss, minifyHtml, fingerprintAssets, rewriteAssetUrls };
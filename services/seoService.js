@@ -0,0 +1,156 @@
+/**
+ * 站点收录与订阅源服务（本地实现,无第三方依赖）
+ *
+ * 功能区块（按代码顺序）：
+ *   1. 常量声明及工具函数：XML 转义、HTML 实体解码、绝对地址拼接
+ *   2. 页面元数据提取：<title>、<meta name="description">、noindex 标记及 <!-- @feed --> 订阅标记
+ *   3. 站点文件生成：sitemap.xml、robots.txt
+ *   4. 订阅源生成：RSS 2.0、Atom 1.0
+ *   5. 模块功能导出
+ */
+
+// ==================== 1. 常量声明及工具函数 ====================
+const sitemapFile = 'sitemap.xml', robotsFile = 'robots.txt', rssFile = 'rss.xml', atomFile = 'atom.xml',
+	feedDirectiveRegex = /<!--\s*@feed\s*-->/,
+	xmlEscapes = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' },
+	htmlEntities = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', '#39': "'" },
+
+	/**
+	 * XML 文本及属性值转义
+	 * @param {*} value - 原始值
+	 * @returns {string} 转义后的文本
+	 */
+	_escapeXml = value => String(value ?? '').replace(/[&<>"']/g, char => xmlEscapes[char]),
+
+	/**
+	 * 解码常见 HTML 实体并折叠空白（页面标题、描述从渲染结果中提取后使用）
+	 * @param {string} text - HTML 文本
+	 * @returns {string} 纯文本
+	 */
+	_decodeHtml = text => text.replace(/&(#x[\da-f]+|#\d+|\w+);/gi, (entity, name) => {
+		if (name[0] === '#') return String.fromCodePoint(name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : +name.slice(1));
+		return htmlEntities[name.toLowerCase()] ?? entity;
+	}).replace(/\s+/g, ' ').trim(),
+
+	/**
+	 * 按站点地址拼接页面绝对地址（支持带子路径的站点地址,如 https://user.github.io/repo）
+	 * >查看定义:@see {@link absoluteUrl}
+	 * @param {string} siteUrl - 站点地址
+	 * @param {string} [page=''] - 页面路径（相对于站点根目录）
+	 * @returns {string} 绝对地址
+	 */
+	absoluteUrl = (siteUrl, page = '') => `${siteUrl.replace(/\/+$/, '')}/${encodeURI(page.replace(/^\/+/, ''))}`;
+
+// ==================== 2. 页面元数据提取 ====================
+/**
+ * 从渲染后的页面中提取元数据
+ * >查看定义:@see {@link extractPageMeta}
+ * @param {string} html - 渲染后的 HTML（压缩前,保留注释标记）
+ * @returns {{title: string, description: string, noindex: boolean, feed: boolean}} 标题、描述、是否禁止收录、是否含订阅标记
+ */
+const extractPageMeta = html => {
+	const title = html.match(/<title\b[^>]*>([\s\S]*?)<\/title>/i)?.[1] ?? '',
+		metaContent = name => {
+			const nameRegex = new RegExp(`\\bname\\s*=\\s*["']?${name}["'\\s/>]`, 'i');
+			for (const [tag] of html.matchAll(/<meta\b(?:[^>"']|"[^"]*"|'[^']*')*>/gi)) {
+				if (!nameRegex.test(tag)) continue;
+				const [, double, single, bare] = tag.match(/\bcontent\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/i) ?? [];
+				return double ?? single ?? bare ?? '';
+			}
+			return '';
+		};
+	return {
+		title: _decodeHtml(title), description: _decodeHtml(metaContent('description')),
+		noindex: /\bnoindex\b/i.test(metaContent('robots')), feed: feedDirectiveRegex.test(html)
+	};
+};
+
+// ==================== 3. 站点文件生成 ====================
+const
+	/**
+	 * 生成 sitemap.xml 内容
+	 * >查看定义:@see {@link buildSitemap}
+	 * @param {string} siteUrl - 站点地址
+	 * @param {Array<{page: string, lastmod?: Date}>} pages - 页面列表（相对于站点根目录的路径及最后修改时间）
+	 * @returns {string} XML 文本
+	 */
+	buildSitemap = (siteUrl, pages) => `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${pages.map(({ page, lastmod }) => `  <url>
+    <loc>${_escapeXml(absoluteUrl(siteUrl, page))}</loc>${lastmod ? `
+    <lastmod>${lastmod.toISOString()}</lastmod>` : ''}
+  </url>`).join('\n')}
+</urlset>
+`,
+
+	/**
+	 * 生成 robots.txt 内容（允许所有爬虫,配置站点地址时声明 sitemap 地址）
+	 * >查看定义:@see {@link buildRobots}
+	 * @param {string} [siteUrl] - 站点地址
+	 * @returns {string} 文本内容
+	 */
+	buildRobots = siteUrl => `User-agent: *\nAllow: /\n${siteUrl ? `\nSitemap: ${absoluteUrl(siteUrl, sitemapFile)}\n` : ''}`;
+
+// ==================== 4. 订阅源生成 ====================
+const
+	/**
+	 * 生成 RSS 2.0 订阅源
+	 * >查看定义:@see {@link buildRss}
+	 * @param {Object} feed - 订阅源信息
+	 * @param {string} feed.siteUrl - 站点地址
+	 * @param {string} feed.title - 站点标题
+	 * @param {string} [feed.description] - 站点描述
+	 * @param {string} [feed.language] - 站点语言
+	 * @param {Array<{page: string, title: string, description?: string, date: Date}>} feed.items - 文章列表（按日期倒序）
+	 * @returns {string} XML 文本
+	 */
+	buildRss = ({ siteUrl, title, description = '', language, items }) => `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>${_escapeXml(title)}</title>
+    <link>${_escapeXml(absoluteUrl(siteUrl))}</link>
+    <description>${_escapeXml(description)}</description>${language ? `
+    <language>${_escapeXml(language)}</language>` : ''}
+    <lastBuildDate>${(items[0]?.date ?? new Date()).toUTCString()}</lastBuildDate>
+    <atom:link href="${_escapeXml(absoluteUrl(siteUrl, rssFile))}" rel="self" type="application/rss+xml" />
+${items.map(item => `    <item>
+      <title>${_escapeXml(item.title)}</title>
+      <link>${_escapeXml(absoluteUrl(siteUrl, item.page))}</link>
+      <guid isPermaLink="true">${_escapeXml(absoluteUrl(siteUrl, item.page))}</guid>
+      <pubDate>${item.date.toUTCString()}</pubDate>${item.description ? `
+      <description>${_escapeXml(item.description)}</description>` : ''}
+    </item>`).join('\n')}
+  </channel>
+</rss>
+`,
+
+	/**
+	 * 生成 Atom 1.0 订阅源
+	 * >查看定义:@see {@link buildAtom}
+	 * @param {Object} feed - 订阅源信息（同 buildRss）
+	 * @returns {string} XML 文本
+	 */
+	buildAtom = ({ siteUrl, title, description = '', language, items }) => `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom"${language ? ` xml:lang="${_escapeXml(language)}"` : ''}>
+  <title>${_escapeXml(title)}</title>${description ? `
+  <subtitle>${_escapeXml(description)}</subtitle>` : ''}
+  <id>${_escapeXml(absoluteUrl(siteUrl))}</id>
+  <link href="${_escapeXml(absoluteUrl(siteUrl))}" />
+  <link href="${_escapeXml(absoluteUrl(siteUrl, atomFile))}" rel="self" type="application/atom+xml" />
+  <updated>${(items[0]?.date ?? new Date()).toISOString()}</updated>
+  <author><name>${_escapeXml(title)}</name></author>
+${items.map(item => `  <entry>
+    <title>${_escapeXml(item.title)}</title>
+    <id>${_escapeXml(absoluteUrl(siteUrl, item.page))}</id>
+    <link href="${_escapeXml(absoluteUrl(siteUrl, item.page))}" />
+    <updated>${item.date.toISOString()}</updated>${item.description ? `
+    <summary>${_escapeXml(item.description)}</summary>` : ''}
+  </entry>`).join('\n')}
+</feed>
+`;
+
+// ==================== 5. 模块功能导出 ====================
+export {
+	sitemapFile, robotsFile, rssFile, atomFile, feedDirectiveRegex, absoluteUrl, extractPageMeta,
+	buildSitemap, buildRobots, buildRss, buildAtom
+};
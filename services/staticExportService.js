@@ -0,0 +1,164 @@
+/**
+ * 纯静态导出服务（本地实现,无第三方依赖）
+ *
+ * 功能区块（按代码顺序）：
+ *   1. 常量声明及工具函数：属性引用匹配、页面目录层级
+ *   2. 静态资源路径改写：./static/ 相对引用按页面所在目录改写为正确的相对路径（account/login.html → ../static/）
+ *   3. 运行时依赖检测：运行时查询参数（query）访问记录、customize 自定义路由扫描及页面中的路由引用
+ *   4. 默认 404 页面
+ *   5. 模块功能导出
+ */
+import fs from 'fs';
+import path from 'path';
+
+// ==================== 1. 常量声明及工具函数 ====================
+const attributeRegex = /(\s(?:href|src|action|poster)\s*=\s*)(["']?)([^"'\s>]+)\2/gi, cssUrlRegex = /url\(\s*(['"]?)([^'")\s]+)\1\s*\)/gi,
+	routeMethods = ['get', 'post', 'put', 'delete', 'patch', 'all'],
+	routeRegex = new RegExp(`\\bapp\\.(${routeMethods.join('|')})\\(\\s*(['"\`])(\\/[^'"\`]*?)\\2`, 'g'),
+	dynamicRouteRegex = /\bapp\.(get|all)\(\s*(?![\s'"`)])/g, // 以变量注册的路由,如 app.get(page, ...)
+	urlLiteralRegex = /(['"`])(\/[^'"`\s<>]*)\1/g,
+	ignoredQueryKeys = new Set(['then', 'toJSON', 'constructor', 'valueOf', 'toString']),
+
+	/**
+	 * 计算页面相对于站点根目录的层级前缀
+	 * @param {string} page - 页面路径（相对于站点根目录,如 account/login.html）
+	 * @returns {string} 如 '' / '../' / '../../'
+	 */
+	_rootPrefix = page => '../'.repeat(page.replace(/^\/+/, '').split('/').length - 1);
+
+// ==================== 2. 静态资源路径改写 ====================
+const
+	/**
+	 * 将以站点根目录为基准书写的静态资源相对引用(./static/... 或 static/...)改写为相对于页面所在目录的路径
+	 * 服务器部署时由 /static 与 /<语言>/static 路由兜底,纯静态托管时嵌套页面必须使用正确的相对路径;绝对路径及外部地址保持不变
+	 * >查看定义:@see {@link relativizeStaticUrls}
+	 * @param {string} html - HTML 文本
+	 * @param {string} page - 页面路径（相对于站点根目录,如 en/account/login.html）
+	 * @param {string} [staticDir='static'] - 静态资源目录名
+	 * @returns {string} 改写后的 HTML
+	 */
+	relativizeStaticUrls = (html, page, staticDir = 'static') => {
+		const prefix = _rootPrefix(page), staticRegex = new RegExp(`^(?:\\./)?${staticDir}/`),
+			rewrite = ref => staticRegex.test(ref) ? `${prefix || './'}${ref.replace(/^\.\//, '')}` : ref;
+		return html.replace(attributeRegex, (match, attribute, quote, ref) => `${attribute}${quote}${rewrite(ref)}${quote}`)
+			.replace(cssUrlRegex, (match, quote, ref) => `url(${quote}${rewrite(ref)}${quote})`);
+	},
+
+	/**
+	 * 获取页面引用的本地脚本路径（<script src>,相对于站点根目录,不含外部地址）
+	 * >查看定义:@see {@link localScriptPaths}
+	 * @param {string} html - HTML 文本
+	 * @param {string} page - 页面路径（相对于站点根目录）
+	 * @returns {string[]} 脚本路径列表（如 static/auth.js）
+	 */
+	localScriptPaths = (html, page) => {
+		const scripts = new Set(), base = path.posix.dirname(`/${page.replace(/^\/+/, '')}`);
+		for (const [, src] of html.matchAll(/<script\b[^>]*?\ssrc\s*=\s*["']?([^"'\s>]+)/gi)) {
+			if (/^(?:[a-z][a-z\d+.-]*:|\/\/)/i.test(src)) continue;
+			const pathname = src.replace(/[?#].*$/, '');
+			scripts.add(path.posix.normalize(pathname.startsWith('/') ? pathname : path.posix.join(base, pathname)).replace(/^\/+/, ''));
+		}
+		return [...scripts];
+	};
+
+// ==================== 3. 运行时依赖检测 ====================
+const
+	/**
+	 * 创建查询参数探针: 作为 query 变量传入渲染流程,记录模板及数据加载函数读取的查询参数（静态导出时查询参数始终为空）
+	 * >查看定义:@see {@link createQueryProbe}
+	 * @returns {{query: Object, used: Set<string>}} query 为空查询对象的代理,used 为被读取的参数名
+	 */
+	createQueryProbe = () => {
+		const used = new Set(), record = key => typeof key === 'string' && !ignoredQueryKeys.has(key) && used.add(key),
+			query = new Proxy({}, {
+				get: (target, key) => (record(key), Reflect.get(target, key)),
+				has: (target, key) => (record(key), Reflect.has(target, key)),
+				getOwnPropertyDescriptor: (target, key) => (record(key), Reflect.getOwnPropertyDescriptor(target, key)) // 模板变量路径按自有属性取值
+			});
+		return { query, used };
+	},
+
+	/**
+	 * 扫描 customize 目录中注册的自定义路由（按源码中的 app.get('/路径') 等调用识别,不执行路由代码）
+	 * 路径参数(:name)、通配符(*)及模板字符串插值(${...})按任意路径段匹配;以变量注册的 GET 路由无法识别路径,
+	 * 记为匹配任意无扩展名地址的路由(dynamic: true),不参与页面中的路由引用检测
+	 * >查看定义:@see {@link scanUserRoutes}
+	 * @param {string} featuresDir - customize 目录绝对路径
+	 * @returns {Promise<Array<{method: string, path: string, pattern: RegExp, dynamic?: boolean}>>} 路由列表
+	 */
+	scanUserRoutes = async featuresDir => {
+		const routes = [];
+		let files = [];
+		try {
+			files = (await fs.promises.readdir(featuresDir)).filter(file => file.endsWith('.js'));
+		} catch (error) {
+			if (error.code !== 'ENOENT') throw error;
+		}
+		for (const file of files) {
+			const source = await fs.promises.readFile(path.join(featuresDir, file), 'utf8');
+			for (const [, method, , routePath] of source.matchAll(routeRegex)) {
+				const pattern = routePath.split(/(\$\{[^}]*\}|:\w+\??|\*)/).map((part, i) => i % 2 ? '[^/]+' : part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('');
+				routes.push({ method: method.toUpperCase(), path: routePath, pattern: new RegExp(`^${pattern}/?$`) });
+			}
+			const [dynamicRoute] = source.matchAll(dynamicRouteRegex);
+			if (dynamicRoute) routes.push({ method: dynamicRoute[1].toUpperCase(), path: '*', pattern: /^\/[^.]+$/, dynamic: true });
+		}
+		return routes;
+	},
+
+	/**
+	 * 查找文本(页面 HTML 及其脚本)中引用的自定义路由
+	 * >查看定义:@see {@link findRouteReferences}
+	 * @param {string} text - 待检查的文本
+	 * @param {Array<{method: string, path: string, pattern: RegExp}>} routes - 自定义路由列表
+	 * @returns {string[]} 文本中请求自定义路由的地址（不含查询参数,去重）
+	 */
+	findRouteReferences = (text, routes) => {
+		routes = routes.filter(route => !route.dynamic);
+		if (!routes.length) return [];
+		const referenced = new Set();
+		for (const [, , literal] of text.matchAll(urlLiteralRegex)) {
+			const pathname = literal.replace(/[?#].*$/, '');
+			if (routes.some(route => route.pattern.test(pathname.replace(/\$\{[^}]*\}/g, 'x')))) referenced.add(pathname);
+		}
+		return [...referenced];
+	};
+
+// ==================== 4. 默认 404 页面 ====================
+const notFoundMessages = { title: '404 - 页面不存在', message: '页面不存在或已被移除', home: '返回首页' }; // 语言包缺少 notFound.* 时使用
+
+/**
+ * 生成默认 404 页面（模板目录中不存在 404.html 时输出,静态托管平台找不到页面时返回此页面）
+ * 文本取自语言包的 notFound.title、notFound.message、notFound.home 键
+ * >查看定义:@see {@link notFoundPage}
+ * @param {Object} [options]
+ * @param {string} [options.lang='zh-CN'] - 页面语言
+ * @param {string} [options.home='/'] - 首页地址
+ * @param {(key: string) => string} [options.t] - 页面语言的翻译函数(缺少翻译时返回键名)
+ * @returns {string} HTML 文本
+ */
+const notFoundPage = ({ lang = 'zh-CN', home = '/', t = key => key } = {}) => {
+	const text = name => {
+		const key = `notFound.${name}`, message = t(key);
+		return message === key ? notFoundMessages[name] : message;
+	};
+	return `<!DOCTYPE html>
+<html lang="${lang}">
+<head>
+	<meta charset="UTF-8">
+	<meta name="viewport" content="width=device-width, initial-scale=1.0">
+	<meta name="robots" content="noindex">
+	<title>${text('title')}</title>
+	<style>body{margin:0;min-height:100vh;display:flex;flex-direction:column;align-items:center;justify-content:center;font-family:system-ui,sans-serif;color:#333}h1{font-size:4rem;margin:0}a{color:#0969da}</style>
+</head>
+<body>
+	<h1>404</h1>
+	<p>${text('message')}</p>
+	<p><a href="${home}">${text('home')}</a></p>
+</body>
+</html>
+`;
+};
+
+// ==================== 5. 模块功能导出 ====================
+export { relativizeStaticUrls, localScriptPaths, createQueryProbe, scanUserRoutes, findRouteReferences, notFoundPage };
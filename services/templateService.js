@@ -3,39 +3,71 @@
  *
  * 功能区块（按代码顺序）：
  *   1. 常量(路径和正则)及工具函数：高频正则预编译,路径安全检查,基础字符串处理,入口文件识别处理
- *   2. 模板区块处理工具：区块解析和清理（忽略嵌套标签）
- *   3. 包含文件处理：文件包含与依赖追踪
- *   4. 用户自定义功能系统：路由/函数/变量加载
- *   5. 模板功能处理系统：变量动态替换、函数执行、条件判断和循环处理
+ *   2. 模板区块处理工具：区块解析和清理（忽略嵌套标签）,源码位置标记（错误定位到文件、行、列及包含/继承链）
+ *   3. 包含文件处理：文件包含与依赖追踪（编译模式包含文件集合,渲染缓存依赖收集）
+ *   4. 用户自定义功能系统：路由/函数/变量/页面数据加载函数,全局数据目录（customize/data）
+ *   5. 模板功能处理系统：词法分析→语法树→渲染函数编译(带缓存),变量替换、函数执行、条件判断和循环处理
  *   6. 模板结构验证：标签完整性检查
- *   7. 模板文件操作：路径获取
- *   8. 模板渲染引擎核心：模板合成,文件验证,渲染
+ *   7. 模板文件操作：路径获取,动态页面（[参数].html）按数据集合展开,Markdown 页面数据
+ *   8. 模板渲染引擎核心：模板合成（Markdown 页面转换为继承布局的模板）,文件验证,渲染
  *   9. 模块功能导出
  */
 import fs from 'fs';
 import path from 'path';
 import vm from 'vm';
+import { AsyncLocalStorage } from 'async_hooks';
 import { pathToFileURL } from 'url';
+import { parseFrontMatter, renderMarkdown } from './markdownService.js';
+import { dataFileRegex, parseDataFile } from './dataService.js';
 // ==================== 1. 常量声明及工具函数====================
-let isCompilationMode = false;
+let isCompilationMode = false, isStrictMode = false,
+	renderLocation = null, // 当前渲染执行到的模板位置（用于超时等运行时错误定位）
+	renderErrors = null,   // 严格模式下当前渲染收集到的错误
+	renderLogs = null,     // 当前渲染轮次延迟输出的错误日志（存在未完成的异步调用时丢弃）
+	renderAsync = null;    // 当前渲染轮次的用户函数调用状态 { records, counts, pending }
 /**
  * 所有路径常量,其他文件从此导入
  * >查看定义:@see {@link fsPromises}、{@link CWD}、{@link templatesDir}、{@link templatesAbsDir}、{@link staticDir}、
- * {@link customizeDir}、{@link accountDir}、{@link defaultPort}、{@link writtenFilesToIgnore}
+ * {@link customizeDir}、{@link accountDir}、{@link componentsDir}、{@link dataDir}、{@link defaultPort}、{@link writtenFilesToIgnore}
  */
 const fsPromises = fs.promises, CWD = process.cwd(), templatesDir = 'templates', templatesAbsDir = path.join(CWD, templatesDir),
-	pRes = path.resolve, staticDir = 'static', customizeDir = 'customize', accountDir = 'account', defaultPort = 7296,
+	pRes = path.resolve, staticDir = 'static', customizeDir = 'customize', accountDir = 'account', componentsDir = 'components', dataDir = 'data', defaultPort = 7296,
 	userFeatures = {}, writtenFilesToIgnore = [], includedFiles = new Set(),
+	dependencyTracker = new AsyncLocalStorage(), // 当前渲染流程的依赖收集（并发渲染互不干扰）
 	// 预编译所有高频正则表达式
-	includeRegex = /(\"|')\[include\s+([^\]]+)\](\"|')|\[include\s+([\S\s]+?)\]/gi, quotedVarRegex = /`\s*{{(.*?)}}\s*`/g,
-	userFuncRegex = /\{\{\s*user:\s*([^\s()]+?)\s*\(([^)]*)\)\s*\}\}/g, templateTagRegex = /\[!([^\]]*?)\]|\[\~([^\]]*?)\]/g,
-	extendsRegex = /^\[\s*extends\s+([^\]]+?)\s*\][^\r\n]*(?:\r\n|\n|\r|$)/i,
-	IfRegex = /\{\{if\s+([^}]+)\}\}([\s\S]*?)((?:\{\{else\s+if[^}]*\}\}[\s\S]*?)*)(?:\{\{else\}\}([\s\S]*?))?\{\{endif\}\}/gi,
-	elseIfRegex = /\{\{else\s+if\s+([^}]*)\}\}([\s\S]*?)(?=\{\{(?:else\s+if|else|endif)\}\})/gi,
-	forRegex = /\{\{for\s+(\w+)\s+in\s+([^}]+)\}\}([\s\S]*?)(?:\{\{empty\}\}([\s\S]*?))?\{\{endfor\}\}/gi,
-	forKeyValueRegex = /\{\{for\s+(\w+)\s*,\s*(\w+)\s+in\s+([^}]+)\}\}([\s\S]*?)(?:\{\{empty\}\}([\s\S]*?))?\{\{endfor\}\}/gi,
-	objectPropertyRegex = /\{\{(\w+\.\w+(?:\.\w+)*)\}\}/g, expressionRegex = /\{\{([^}]+)\}\}/g,
-	breakRegex = /\{\{\s*break\s*\}\}/g, continueRegex = /\{\{\s*continue\s*\}\}/g, specialCharsRegex = /[.*+?^${}()|[\]\\]/g,
+	sourceMarkerPrefix = '{{#src ', includeRegex = /\[include\s/gi, includeBodyRegex = /^([\s\S]+?)(?:\s+with\s+([\s\S]+?))?(?:\s+(only))?\s*$/,
+	// 组件语法: <x-名称 属性>插槽</x-名称>、<slot name="名称">默认内容</slot>、<template slot="名称">
+	componentTagRegex = /<x-([a-z][\w-]*)(?=[\s/>])/gi, componentAttrRegex = /(:?[a-zA-Z_][\w:.-]*)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g,
+	slotRegex = /<slot\b([^>]*?)(?:\/>|>([\s\S]*?)<\/slot>)/gi, slotNameRegex = /\bname\s*=\s*["']?([\w-]+)/i,
+	templateSlotRegex = /<template\s[^>]*?\bslot\s*=\s*["']?([\w-]+)["']?[^>]*>/gi, styleBlockRegex = /<style\b[^>]*>([\s\S]*?)<\/style>/gi,
+	openTagRegex = /<([a-zA-Z][\w-]*)(?=[\s/>])/g, cssCommentRegex = /\/\*[\s\S]*?\*\//g,
+	conditionalAtRules = /^@(media|supports|container|layer|document)\b/i,
+	// 动态页面: 文件路径中的 [参数] 段及集合声明 <!-- @collection 集合 as 变量名 -->；Markdown 页面文件扩展名
+	dynamicSegmentRegex = /\[([\w-]+)\]/g, collectionDirectiveRegex = /<!--\s*@collection\s+(\S+?)(?:\s+as\s+([A-Za-z_$][\w$]*))?\s*-->/,
+	markdownExtRegex = /\.md$/i, warnedMarkdownHeadings = new Set(), // 已提示过的含模板标签的 Markdown 标题
+	// 分页声明 <!-- @paginate 集合, size: 每页数量 -->,分页页面路径 目录/page/页码.html
+	paginateDirectiveRegex = /<!--\s*@paginate:?\s+([^\s,]+?)\s*(?:,\s*size\s*:\s*(\d+))?\s*-->/, paginatedPageRegex = /^(?:(.+)\/)?page\/(\d+)\.html$/,
+	defaultPageSize = 10, pageRangeSize = 5,
+	templateTagRegex = /\[!([^\]]*?)\]|\[\~([^\]]*?)\]|\[\s*super\s*\]/g, superRegex = /\[\s*super\s*\]/g, extendsRegex = /^\s*\[\s*extends\s+([^\]]+?)\s*\][^\r\n]*(?:\r\n|\n|\r|$)/i,
+	// 模板标签语法（作用于 {{ }} 内部已去除首尾空白的标签内容）
+	ifTagRegex = /^if\s+([\s\S]+)$/, withTagRegex = /^with\s+([\s\S]+?)(\s+only)?$/, elseIfTagRegex = /^else\s+if\s+([\s\S]+)$/,
+	forTagRegex = /^for\s+(\w+)(?:\s*,\s*(\w+))?\s+in\s+([\s\S]+)$/, userTagRegex = /^user:\s*([^\s()]+?)\s*\(([\s\S]*)\)$/,
+	quoteBeforeRegex = /`\s*$/, quoteAfterRegex = /^\s*`/, quotedArgRegex = /^["'](.*)["']$/, tagArgRegex = /^\{\{([\s\S]+)\}\}$/,
+	identifierRegex = /^[\p{ID_Start}_$][\p{ID_Continue}$]*$/u, pathExprRegex = /^[\p{ID_Start}_$][\p{ID_Continue}$]*(?:\.[\p{ID_Continue}$]+)*$/u,
+	controlTags = ['else', 'endif', 'endfor', 'empty', 'break', 'continue', 'endwith'],
+	// 输出转义（{{raw 表达式}} 或 {{表达式 | safe}} 跳过转义）
+	rawTagRegex = /^raw\s+(?![=!<>+\-*\/%&|?:.,)\]}])([\s\S]+)$/, tagNameRegex = /^\/?([a-zA-Z][\w-]*)/,
+	filterCallRegex = /^([\p{ID_Start}_$][\p{ID_Continue}$]*)\s*(?:\(([\s\S]*)\))?$/u, htmlEscapeRegex = /[&<>"']/g,
+	htmlEscapes = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }, unquotedAttrRegex = /[\s=`]/g,
+	htmlEntityRegex = /&(amp|lt|gt|quot|apos|#\d+|#x[\da-f]+);/gi, htmlEntities = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" },
+	scriptStringRegex = /[\\'"`]/g, scriptUnsafeRegex = /[<>&\u2028\u2029]/g,
+	// date 过滤器预设格式
+	dateFormats = {
+		date: { year: 'numeric', month: '2-digit', day: '2-digit' }, time: { hour: '2-digit', minute: '2-digit', second: '2-digit' },
+		datetime: { year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit' }
+	},
+	compiledTemplates = new Map(), maxCompiledTemplates = 200, // 模板编译缓存（按模板内容）及其容量上限
+	maxAsyncPasses = 10, asyncCallTimeout = 10000, // 异步用户函数: 最大重新渲染轮数及单次等待超时（毫秒）
 
 	// 不安全常量
 	unsafeKeys = ['__proto__', 'constructor', 'prototype', 'then', 'toString', 'valueOf', 'Object', 'Function', 'Promise'],
@@ -62,12 +94,12 @@ const fsPromises = fs.promises, CWD = process.cwd(), templatesDir = 'templates',
 	},
 
 	/**
-	 * 转义字符串中的正则表达式特殊字符
-	 * @param {string} string - 待转义字符串
-	 * @returns {string} 转义后的安全字符串
+	 * 模板文件对应的输出页面文件名（Markdown 页面 guide.md 输出为 guide.html,其他不变）
+	 * @param {string} templateFile - 模板文件名
+	 * @returns {string} 页面文件名
 	 */
-	_escapeRegExp = string => {
-		return string.replace(_resetRegex(specialCharsRegex), '\\$&');
+	_pageFile = templateFile => {
+		return templateFile.replace(markdownExtRegex, '.html');
 	},
 
 	/**
@@ -77,6 +109,7 @@ const fsPromises = fs.promises, CWD = process.cwd(), templatesDir = 'templates',
 	 */
 	_safeToString = value => {
 		if (value === null || value === undefined) return '';
+		if (value instanceof SafeString) return value.value;
 		if (typeof value === 'object') {
 			try {
 				return JSON.stringify(value);
@@ -87,35 +120,99 @@ const fsPromises = fs.promises, CWD = process.cwd(), templatesDir = 'templates',
 		}
 
 		return String(value);
+	},
+
+	/**
+	 * HTML转义（文本与属性上下文）
+	 * 未加引号的属性值额外转义空白、等号和反引号,防止值被拆成多个属性
+	 * @param {string} string - 待转义字符串
+	 * @param {boolean} [unquoted=false] - 是否为未加引号的属性值
+	 * @returns {string} 转义后的字符串
+	 */
+	_escapeHtml = (string, unquoted = false) => {
+		const escaped = string.replace(htmlEscapeRegex, char => htmlEscapes[char]);
+		return unquoted ? escaped.replace(unquotedAttrRegex, char => `&#${char.charCodeAt(0)};`) : escaped;
+	},
+
+	/**
+	 * 还原常见HTML实体（用于组件静态属性值,避免输出时二次转义）
+	 * @param {string} string - 属性原文
+	 * @returns {string} 还原后的文本
+	 */
+	_unescapeHtml = string => {
+		return string.replace(htmlEntityRegex, (entity, name) => {
+			const key = name.toLowerCase();
+			return key[0] === '#' ? String.fromCodePoint(key[1] === 'x' ? parseInt(key.slice(2), 16) : Number(key.slice(1))) : htmlEntities[key];
+		});
+	},
+
+	/**
+	 * 脚本上下文转义
+	 * 字符串按JS字符串内容转义（可安全放入引号内）,对象按JSON输出;均转义 <、>、& 及行分隔符,防止提前闭合 <script>
+	 * @param {any} value - 待输出的值
+	 * @returns {string} 转义后的字符串
+	 */
+	_escapeScript = value => {
+		const string = typeof value === 'string' ? value.replace(scriptStringRegex, char => `\\${char}`)
+			.replace(/\n/g, '\\n').replace(/\r/g, '\\r') : _safeToString(value);
+		return string.replace(scriptUnsafeRegex, char => `\\u${char.charCodeAt(0).toString(16).padStart(4, '0')}`);
 	};
 
+/**
+ * 已确认安全的字符串（escape / safe 过滤器的结果）,输出时不再转义
+ */
+class SafeString {
+	constructor(value) {
+		this.value = value;
+	}
+
+	toString() {
+		return this.value;
+	}
+}
+
+/**
+ * 模板错误：携带出错文件、行号、列号及包含/继承链,并附带出错位置的代码片段(frame)
+ * message 末尾附带位置信息,reason 为不含位置的原始错误描述
+ */
+class TemplateError extends Error {
+	constructor(reason, location = {}) {
+		const { file = null, line = null, column = null, chain = [] } = location;
+		super(`${reason} (${_formatLocation(location)})`);
+		Object.assign(this, { name: 'TemplateError', reason, file, line, column, chain, frame: _codeFrame(file, line, column) });
+	}
+}
+
 /**
  * 动态识别入口文件（优先级策略）
  * 1. 查找包含\<!-- \@entry -->标记的文件
  * 2. 按优先级列表匹配(index.html > main.html > home.html)
  * 3. 返回首字母排序的第一个HTML文件
+ * Markdown 页面返回其输出的 .html 文件名
  * >查看定义:@see {@link findEntryFile}
  * @param {string} cachedPages - 缓存模板列表
  * @returns {Promise<string>} 入口文件名
  */
 const findEntryFile = async cachedPages => {
+	// 动态页面模板及分页页面不作为入口（分页以第 1 页即模板本身为准）
+	cachedPages = cachedPages.filter(file => !isDynamicTemplate(file) && !paginatedPageRegex.test(file));
 	// 查找显式标记
 	for (const file of cachedPages) {
 		const content = await fsPromises.readFile(path.join(templatesAbsDir, file), 'utf8');
-		if (content.includes('<!-- @entry -->')) return file;
+		if (content.includes('<!-- @entry -->')) return _pageFile(file);
 	}
 
-	const priorityList = ['index.html', 'main.html', 'home.html']; // 优先级列表
-	for (const entry of priorityList) if (cachedPages.includes(entry)) return entry;
+	const priorityList = ['index.html', 'main.html', 'home.html'], pages = cachedPages.map(_pageFile); // 优先级列表（Markdown 页面按输出的 .html 文件名）
+	for (const entry of priorityList) if (pages.includes(entry)) return entry;
 
-	return cachedPages.sort()[0]; // 否则按首字母排序(保底)
+	return pages.sort()[0]; // 否则按首字母排序(保底)
 },
 
 	// ==================== 2. 模板区块处理工具 ====================
 	/**
 	 * 解析模板内容并定位所有区块的起止位置（忽略嵌套标签）
 	 * @param {string} content - 模板内容
-	 * @returns {Object} 区块元数据 {blockName: [{startIndex, endIndex, innerContent}]}
+	 * @returns {Object} 区块元数据 {blockName: [{startIndex, endIndex, innerStartIndex, innerContent}]}
 	 */
 	_findBlockPositions = content => {
 		const blocks = {};
@@ -137,7 +234,7 @@ const findEntryFile = async cachedPages => {
 
 			// 直接记录当前区块，不检查嵌套情况
 			if (!blocks[openName]) blocks[openName] = [];
-			blocks[openName].push({ startIndex, endIndex, innerContent: content.slice(openEndIndex + 1, closeStartIndex) });
+			blocks[openName].push({ startIndex, endIndex, innerStartIndex: openEndIndex + 1, innerContent: content.slice(openEndIndex + 1, closeStartIndex) });
 			index = endIndex;
 		}
 
@@ -145,12 +242,91 @@ const findEntryFile = async cachedPages => {
 	},
 
 	/**
-	 * 清除模板中的所有区块标签残留
+	 * 清除模板中的所有区块标签及 [super] 占位符残留
 	 * @param {string} html - 模板内容
 	 * @returns {string} 清理后的纯净HTML
 	 */
 	_cleanTemplateTags = html => {
 		return html.replace(_resetRegex(templateTagRegex), '');
+	},
+
+	/**
+	 * 生成源码位置标记 {{#src {...}}}
+	 * 继承合并、包含和组件展开后的内容来自多个文件,标记记录其后内容在原文件中的位置,编译时解析并丢弃,不产生输出
+	 * @param {{file: string, line: number, column: number, chain: string[]}} location - 位置信息
+	 * @returns {string} 位置标记
+	 */
+	_sourceMarker = ({ file, line, column, chain }) => {
+		return `${sourceMarkerPrefix}${JSON.stringify({ file, line, column, chain })}}}`;
+	},
+
+	/**
+	 * 计算内容中指定位置对应的源文件位置（以其前最近的位置标记为起点推算）
+	 * @param {string} content - 模板内容
+	 * @param {number} index - 字符位置
+	 * @param {string|null} [fallbackFile=null] - 无位置标记时使用的文件名
+	 * @returns {{file: string|null, line: number, column: number, chain: string[]}} 位置信息
+	 */
+	_locate = (content, index, fallbackFile = null) => {
+		let origin = { file: fallbackFile, line: 1, column: 1, chain: [] }, from = 0;
+		const markerStart = index > 0 ? content.lastIndexOf(sourceMarkerPrefix, index - 1) : -1;
+		if (markerStart !== -1) {
+			const markerEnd = _findTagEnd(content, markerStart + 2);
+			origin = JSON.parse(content.slice(markerStart + sourceMarkerPrefix.length, markerEnd)), from = markerEnd + 2;
+		}
+
+		let { line, column } = origin;
+		for (let i = from; i < index; i++) content.charCodeAt(i) === 10 ? (line++, column = 1) : column++;
+		return { ...origin, line, column };
+	},
+
+	/**
+	 * 移除内容中的所有位置标记
+	 * @param {string} content - 模板内容
+	 * @returns {string} 移除标记后的内容
+	 */
+	_stripSourceMarkers = content => {
+		let result = '', index = 0;
+		for (let start; (start = content.indexOf(sourceMarkerPrefix, index)) !== -1;)
+			result += content.slice(index, start), index = _findTagEnd(content, start + 2) + 2;
+		return result + content.slice(index);
+	},
+
+	/**
+	 * 格式化位置信息: 文件:行:列（无文件时为 第 N 行 第 M 列）,有包含/继承链时附加来源
+	 * @param {{file?: string, line?: number, column?: number, chain?: string[]}} location - 位置信息
+	 * @returns {string} 位置描述
+	 */
+	_formatLocation = ({ file, line, column, chain = [] } = {}) => {
+		const at = file ? `${file}${line ? `:${line}${column ? `:${column}` : ''}` : ''}`
+			: line ? `第 ${line} 行 第 ${column ?? 1} 列` : '未知位置';
+		return chain.length ? `${at},来自 ${chain.join(' → ')}` : at;
+	},
+
+	/**
+	 * 生成出错位置前后若干行的代码片段（出错行以 > 标示,并在下方以 ^ 指向出错列）
+	 * @param {string|null} file - 模板文件（相对于模板目录）
+	 * @param {number|null} line - 行号
+	 * @param {number|null} column - 列号
+	 * @param {number} [around=2] - 前后显示的行数
+	 * @returns {string} 代码片段,无法读取文件时返回空字符串
+	 */
+	_codeFrame = (file, line, column, around = 2) => {
+		if (!file || !line) return '';
+		try {
+			const filePath = path.join(templatesAbsDir, file);
+			if (!_isSafePath(filePath, templatesAbsDir)) return '';
+			const lines = fs.readFileSync(filePath, 'utf8').split(/\r?\n/), start = Math.max(1, line - around),
+				end = Math.min(lines.length, line + around), width = String(end).length, frame = [];
+
+			for (let i = start; i <= end; i++) {
+				frame.push(`${i === line ? '>' : ' '} ${String(i).padStart(width)} | ${lines[i - 1]}`);
+				if (i === line && column) frame.push(`  ${' '.repeat(width)} | ${lines[i - 1].slice(0, column - 1).replace(/[^\t]/g, ' ')}^`);
+			}
+			return frame.join('\n');
+		} catch {
+			return '';
+		}
 	};
 
 // ==================== 3. 包含文件处理 ====================
@@ -173,8 +349,66 @@ const getIncludedFiles = () => {
 	return new Set(includedFiles);
 };
 
+/**
+ * 在依赖收集上下文中执行渲染任务,记录本次渲染读取的全部模板文件（页面本身、继承链、包含文件及组件）
+ * 及文件夹集合（目录以 / 结尾,位于模板目录外时以 ../ 开头）;文件不存在时同样记录,以便该文件被创建后使依赖它的渲染结果失效
+ * >查看定义:@see {@link trackDependencies}
+ * @param {Function} task - 异步渲染任务
+ * @returns {Promise<{result: *, dependencies: Set<string>}>} 任务结果及依赖文件集合（相对于模板目录,使用 / 分隔）
+ */
+const trackDependencies = async task => {
+	const dependencies = new Set(), result = await dependencyTracker.run(dependencies, task);
+	return { result, dependencies };
+},
+
+	/**
+	 * 记录模板依赖: 编译模式写入包含文件集合,依赖收集上下文中写入当前渲染的依赖集合
+	 * @param {string} file - 相对于模板目录的文件路径
+	 */
+	_recordDependency = file => {
+		if (isCompilationMode) includedFiles.add(file);
+		dependencyTracker.getStore()?.add(file.replaceAll('\\', '/'));
+	};
+
+/**
+ * 查找模板中的包含指令（按方括号配对,支持 with 参数中的数组和对象字面量）
+ * 语法: [include 文件名] / [include 文件名 with {键: 表达式}] / [include 文件名 with {...} only] / [include 文件名 only]
+ * 被引号包裹的指令 "[include x]" 视为普通文本
+ * @param {string} content - 模板内容
+ * @returns {Array<{fullMatch: string, fileName: string, scope: string|null, only: boolean, index: number}>} 包含指令列表
+ */
+const _findIncludeDirectives = content => {
+	const directives = [];
+	for (const match of content.matchAll(_resetRegex(includeRegex))) {
+		let depth = 0, quote = null, end = -1;
+		for (let i = match.index + 1; i < content.length && end === -1; i++) {
+			const char = content[i];
+			if (quote) {
+				if (char === '\\') i++;
+				else if (char === quote) quote = null;
+			}
+			else if (char === '"' || char === "'" || char === '`') {
+				if (depth > 0) quote = char;
+			}
+			else if (char === '[' || char === '{' || char === '(') depth++;
+			else if (char === '}' || char === ')') depth--;
+			else if (char === ']' && depth-- === 0) end = i;
+		}
+		if (end === -1) continue;
+
+		const before = content[match.index - 1], after = content[end + 1];
+		if ((before === '"' || before === "'") && after === before) continue; // 跳过带引号的包含指令
+
+		const [, fileName, scope = null, only] = content.slice(match.index + 8, end).trim().match(includeBodyRegex);
+		directives.push({ fullMatch: content.slice(match.index, end + 1), fileName: fileName.trim(), scope, only: !!only, index: match.index });
+	}
+
+	return directives;
+};
+
 /**
  * 递归处理模板中的包含指令
+ * 带 with / only 参数的包含会被包裹为 {{with 表达式}}...{{endwith}} 作用域区块,在渲染时(包括循环的每次迭代)求值
  * >查看定义:@see {@link processIncludes}
  * @param {string} content - 模板内容
  * @param {string} [currentFile=''] - 当前处理文件路径
@@ -182,19 +416,14 @@ const getIncludedFiles = () => {
  * @returns {Promise<string>} 处理后的内容
  */
 const processIncludes = async (content, currentFile = '', inclusionStack = new Set()) => {
-	const matches = [];
-	// 收集所有匹配项
-	for (const match of content.matchAll(includeRegex)) {
-		if (match[1] && match[3]) continue; // 跳过带引号的包含指令
-		matches.push({ fullMatch: match[0], fileName: (match[4] || match[2]).trim(), index: match.index });
-	}
-
+	const matches = _findIncludeDirectives(content); // 收集所有匹配项
 	if (matches.length === 0) return content; // 无匹配时直接返回
 	const sortedMatches = matches.sort((a, b) => b.index - a.index), parts = []; // 按索引降序排序
 	let lastIndex = content.length;
 
-	for (const { fullMatch, fileName, index } of sortedMatches) {
+	for (const { fullMatch, fileName, scope, only, index } of sortedMatches) {
 		parts.push(content.slice(index + fullMatch.length, lastIndex)), lastIndex = index; // 添加当前匹配后的内容片段
+		const location = _locate(content, index, currentFile || null), at = _formatLocation(location);
 
 		let includePath;
 		if (path.isAbsolute(fileName)) includePath = path.join(templatesAbsDir, fileName);
@@ -205,31 +434,35 @@ const processIncludes = async (content, currentFile = '', inclusionStack = new S
 
 		// 确保路径安全
 		if (!_isSafePath(includePath, templatesAbsDir)) {
-			console.warn(`⛔ 包含路径不安全，已跳过: ${fileName}`), parts.push('');
+			console.warn(`⛔ 包含路径不安全，已跳过: ${fileName} (${at})`), parts.push('');
 			continue;
 		}
 
 		const relativeIncludePath = path.relative(templatesAbsDir, includePath); // 获取相对于模板目录的路径用于记录
 		// 检查循环包含
 		if (inclusionStack.has(includePath)) {
-			console.warn(`⚠️ 循环包含跳过: ${fileName}`), parts.push('');
+			console.warn(`⚠️ 循环包含跳过: ${fileName} (${at})`), parts.push('');
 			continue;
 		}
 		// 检查自包含
 		else if (relativeIncludePath === currentFile) {
-			console.warn(`⚠️ 自包含跳过: ${fileName}`), parts.push('');
+			console.warn(`⚠️ 自包含跳过: ${fileName} (${at})`), parts.push('');
 			continue;
 		}
 
 		try {
+			_recordDependency(relativeIncludePath); // 记录依赖（编译模式中包含文件不单独输出）
 			let includedContent = await fsPromises.readFile(includePath, 'utf8');
 
-			if (isCompilationMode) includedFiles.add(relativeIncludePath); // 编译模式记录依赖
-			// 递归处理嵌套包含
-			const newStack = new Set(inclusionStack).add(includePath);
-			includedContent = await processIncludes(includedContent, relativeIncludePath, newStack), parts.push(includedContent);
+			// 递归处理嵌套包含（首尾添加位置标记: 被包含文件的起始位置,及包含指令之后的原位置）
+			const newStack = new Set(inclusionStack).add(includePath),
+				includeLocation = { file: relativeIncludePath.replaceAll('\\', '/'), line: 1, column: 1, chain: [...location.chain, at] };
+			includedContent = await processIncludes(_sourceMarker(includeLocation) + includedContent, relativeIncludePath, newStack);
+			includedContent += _sourceMarker(_locate(content, index + fullMatch.length, currentFile || null));
+			if (scope || only) includedContent = `{{with ${scope || '{}'}${only ? ' only' : ''}}}${includedContent}{{endwith}}`;
+			parts.push(includedContent);
 		} catch (error) {
-			console.warn(`⛔ 包含失败: ${fileName}`, error.message), parts.push('');
+			console.warn(`⛔ 包含失败: ${fileName} (${at})`, error.message), parts.push('');
 		}
 	}
 
@@ -237,14 +470,237 @@ const processIncludes = async (content, currentFile = '', inclusionStack = new S
 	return parts.reverse().join(''); 	     // 反转并拼接所有片段
 }
 
+/**
+ * 查找开始标签的结束位置（忽略引号及 {{ }} 内部的 >）
+ * @param {string} content - 模板内容
+ * @param {number} start - 开始标签 < 所在位置
+ * @returns {number} > 所在位置,未闭合时返回 -1
+ */
+const _findOpenTagEnd = (content, start) => {
+	let quote = null;
+	for (let i = start + 1; i < content.length; i++) {
+		const char = content[i];
+		if (content.startsWith('{{', i)) {
+			const end = content.indexOf('}}', i + 2);
+			if (end === -1) return -1;
+			i = end + 1;
+		}
+		else if (quote) {
+			if (char === quote) quote = null;
+		}
+		else if (char === '"' || char === "'") quote = char;
+		else if (char === '>') return i;
+	}
+	return -1;
+};
+
+/**
+ * 查找与开始标签配对的结束标签（支持同名标签嵌套）
+ * @param {string} content - 模板内容
+ * @param {string} tagName - 标签名
+ * @param {number} from - 开始标签之后的位置
+ * @returns {{start: number, end: number}|null} 结束标签的起止位置
+ */
+const _findCloseTag = (content, tagName, from) => {
+	const regex = new RegExp(`<(\\/?)${tagName}(?=[\\s/>])`, 'gi');
+	let depth = 0;
+	regex.lastIndex = from;
+
+	for (let match; (match = regex.exec(content));) {
+		const end = _findOpenTagEnd(content, match.index);
+		if (end === -1) return null;
+		if (match[1]) {
+			if (depth-- === 0) return { start: match.index, end: end + 1 };
+		}
+		else if (content[end - 1] !== '/') depth++;
+		regex.lastIndex = end + 1;
+	}
+	return null;
+};
+
+/**
+ * 将组件标签属性转换为 {{with}} 参数对象表达式
+ * - title="文本" → 字符串; title="{{表达式}}" 或 :title="表达式" → 表达式求值结果; 混合文本按字符串拼接
+ * - 无值属性为 true,带连字符的属性名转为驼峰 (data-id → dataId)
+ * @param {string} attrString - 属性字符串
+ * @returns {string} 对象字面量表达式,无属性时返回空字符串
+ */
+const _componentProps = attrString => {
+	const props = [];
+	for (const [, rawName, ...values] of attrString.matchAll(_resetRegex(componentAttrRegex))) {
+		const isBound = rawName.startsWith(':'), value = values.find(v => v !== undefined),
+			name = (isBound ? rawName.slice(1) : rawName).replace(/-([a-z\d])/gi, (_, char) => char.toUpperCase());
+		if (!identifierRegex.test(name) || unsafeKeys.includes(name) || name.startsWith('__')) {
+			console.warn(`⚠️ 组件属性名无效，已忽略: ${rawName}`);
+			continue;
+		}
+
+		let expr;
+		if (value === undefined) expr = 'true';
+		else if (isBound) expr = `(${value})`;
+		else {
+			const parts = value.split(/\{\{([\s\S]*?)\}\}/), exprs = parts.map((part, i) => i % 2 ? `(${part.trim()})` : JSON.stringify(_unescapeHtml(part)));
+			expr = parts.length === 3 && !parts[0] && !parts[2] ? exprs[1] : parts.length === 1 ? exprs[0] : `[${exprs.join(', ')}].join('')`;
+		}
+		props.push(`${JSON.stringify(name)}: ${expr}`);
+	}
+	return props.length ? `{${props.join(', ')}}` : '';
+};
+
+/**
+ * 为组件样式添加作用域: 每条规则的最后一个复合选择器追加属性选择器（伪元素之前）
+ * 递归处理 @media/@supports 等条件规则,@keyframes/@font-face 等保持原样
+ * @param {string} css - 样式内容
+ * @param {string} attr - 作用域属性名（如 data-x-card）
+ * @returns {string} 添加作用域后的样式
+ */
+const _scopeCss = (css, attr) => {
+	const scopeSelector = selector => {
+		const trimmed = selector.trim();
+		if (!trimmed) return trimmed;
+		let lastCompound = 0, depth = 0;
+		for (let i = 0; i < trimmed.length; i++) {
+			const char = trimmed[i];
+			if (char === '(' || char === '[') depth++;
+			else if (char === ')' || char === ']') depth--;
+			else if (depth === 0 && ' >+~'.includes(char)) lastCompound = i + 1;
+		}
+		const pseudoIndex = trimmed.indexOf('::', lastCompound), insertAt = pseudoIndex === -1 ? trimmed.length : pseudoIndex;
+		return `${trimmed.slice(0, insertAt)}[${attr}]${trimmed.slice(insertAt)}`;
+	}, scope = source => {
+		let result = '', index = 0;
+		while (index < source.length) {
+			const open = source.indexOf('{', index);
+			if (open === -1) return result + source.slice(index);
+
+			let depth = 1, close = open + 1;
+			for (; close < source.length && depth > 0; close++) {
+				if (source[close] === '{') depth++;
+				else if (source[close] === '}') depth--;
+			}
+
+			const prelude = source.slice(index, open), statementEnd = prelude.lastIndexOf(';') + 1,
+				head = prelude.slice(statementEnd).trim(), inner = source.slice(open + 1, close - 1);
+			result += prelude.slice(0, statementEnd); // @import 等语句原样保留
+			if (head.startsWith('@'))
+				result += conditionalAtRules.test(head) ? `${head} {${scope(inner)}}` : `${head} {${inner}}`;
+			else result += `${_splitArguments(head).map(scopeSelector).join(', ')} {${inner}}`;
+			index = close;
+		}
+		return result;
+	};
+
+	return scope(css.replace(cssCommentRegex, ''));
+};
+
+/**
+ * 展开内容中的组件标签（组件内容、插槽内容中的组件递归展开）
+ * @param {string} content - 模板内容
+ * @param {string[]} componentStack - 组件展开栈,用于检测循环引用
+ * @param {Map<string, string>} styles - 已收集的组件作用域样式
+ * @returns {Promise<string>} 展开后的内容
+ */
+const _expandComponents = async (content, componentStack, styles) => {
+	let result = '', lastIndex = 0;
+
+	for (const match of content.matchAll(_resetRegex(componentTagRegex))) {
+		if (match.index < lastIndex) continue; // 已作为外层组件的插槽内容处理
+		const name = match[1].toLowerCase(), tagEnd = _findOpenTagEnd(content, match.index),
+			location = _locate(content, match.index), at = _formatLocation(location);
+		if (tagEnd === -1) continue;
+
+		const isSelfClosing = content[tagEnd - 1] === '/', closeTag = isSelfClosing ? null : _findCloseTag(content, `x-${name}`, tagEnd + 1);
+		if (!isSelfClosing && !closeTag) {
+			console.warn(`⚠️ 组件标签未闭合: <x-${name}> (${at})`);
+			continue;
+		}
+
+		const end = isSelfClosing ? tagEnd + 1 : closeTag.end,
+			attrString = content.slice(match.index + match[0].length, isSelfClosing ? tagEnd - 1 : tagEnd),
+			slotContent = isSelfClosing ? '' : _sourceMarker(_locate(content, tagEnd + 1)) + content.slice(tagEnd + 1, closeTag.start),
+			componentFile = `${componentsDir}/${name}.html`, componentPath = path.join(templatesAbsDir, componentsDir, `${name}.html`);
+
+		let expanded;
+		if (componentStack.includes(name)) console.warn(`⚠️ 组件循环引用跳过: ${[...componentStack, name].join(' -> ')} (${at})`), expanded = '';
+		else if (!_isSafePath(componentPath, path.join(templatesAbsDir, componentsDir))) console.warn(`⛔ 组件路径不安全，已跳过: x-${name} (${at})`), expanded = '';
+		else {
+			try {
+				_recordDependency(componentFile); // 记录依赖（组件不单独输出）
+				let source = await fsPromises.readFile(componentPath, 'utf8');
+				source = _sourceMarker({ file: componentFile, line: 1, column: 1, chain: [...location.chain, at] }) + source;
+				source = await processIncludes(source, componentFile);
+
+				// 提取组件样式并为组件自身元素添加作用域属性
+				const scopeAttr = `data-x-${name}`, css = [...source.matchAll(_resetRegex(styleBlockRegex))].map(([, style]) => style).join('\n');
+				if (css.trim()) {
+					if (!styles.has(name)) styles.set(name, _scopeCss(css, scopeAttr));
+					source = source.replace(_resetRegex(styleBlockRegex), '').split(/(\{\{[\s\S]*?\}\})/)
+						.map((part, i) => i % 2 ? part : part.replace(_resetRegex(openTagRegex), (tag, tagName) =>
+							['slot', 'template', 'script', 'style'].includes(tagName.toLowerCase()) || tagName.toLowerCase().startsWith('x-')
+								? tag : `${tag} ${scopeAttr}`)).join('');
+				}
+				source = await _expandComponents(source, [...componentStack, name], styles);
+
+				// 分拣插槽内容: <template slot="名称"> 为具名插槽,其余为默认插槽
+				const slots = { default: '' }, caller = await _expandComponents(slotContent, componentStack, styles);
+				let rest = '', slotIndex = 0;
+				for (const slotMatch of caller.matchAll(_resetRegex(templateSlotRegex))) {
+					if (slotMatch.index < slotIndex) continue;
+					const openEnd = _findOpenTagEnd(caller, slotMatch.index), close = _findCloseTag(caller, 'template', openEnd + 1);
+					if (!close) break;
+					rest += caller.slice(slotIndex, slotMatch.index), slotIndex = close.end;
+					slots[slotMatch[1]] = _sourceMarker(_locate(caller, openEnd + 1)) + caller.slice(openEnd + 1, close.start);
+				}
+				slots.default = rest + (slotIndex ? _sourceMarker(_locate(caller, slotIndex)) : '') + caller.slice(slotIndex);
+
+				// 填充插槽（未提供内容时使用插槽的默认内容）,插槽之后恢复组件内的位置
+				source = source.replace(_resetRegex(slotRegex), (match, attrs = '', fallback = '', offset) => {
+					const slotName = attrs.match(slotNameRegex)?.[1] ?? 'default', provided = slots[slotName],
+						filled = provided !== undefined && _stripSourceMarkers(provided).trim() ? provided
+							: fallback && _sourceMarker(_locate(source, offset + match.indexOf('>') + 1)) + fallback;
+					return filled + _sourceMarker(_locate(source, offset + match.length));
+				});
+
+				const props = _componentProps(attrString);
+				expanded = props ? `{{with ${props}}}${source}{{endwith}}` : source;
+			} catch (error) {
+				console.warn(`⛔ 组件加载失败: x-${name} (${at})`, error.message);
+				continue;
+			}
+		}
+
+		result += content.slice(lastIndex, match.index) + expanded + _sourceMarker(_locate(content, end)), lastIndex = end;
+	}
+
+	return result + content.slice(lastIndex);
+};
+
+/**
+ * 展开模板中的组件标签 <x-名称 属性="值">插槽内容</x-名称>
+ * 组件位于 templates/components/ 目录,支持默认插槽、具名插槽(<template slot="名称">)、属性参数及组件作用域样式;
+ * 组件样式按组件去重后注入 </head> 之前(无 head 时置于内容开头)
+ * >查看定义:@see {@link processComponents}
+ * @param {string} content - 模板内容（已处理包含指令）
+ * @returns {Promise<string>} 展开后的内容
+ */
+const processComponents = async content => {
+	const styles = new Map(), expanded = await _expandComponents(content, [], styles);
+	if (styles.size === 0) return expanded;
+
+	const styleTags = [...styles].map(([name, css]) => `<style data-x-component="${name}">${css}</style>`).join('\n'),
+		headEnd = expanded.search(/<\/head>/i);
+	return headEnd === -1 ? `${styleTags}\n${expanded}` : `${expanded.slice(0, headEnd)}${styleTags}\n${expanded.slice(headEnd)}`;
+};
+
 // ==================== 4. 用户自定义功能系统 ====================
 /**
- * 运行时监控所有文件写入操作
+ * 运行时监控所有文件写入操作(含重命名替换),被写入的文件 2 秒内不触发热重载
  * >查看定义:@see {@link monitorFileWrites}
  * @returns {Function} 停止监控的函数
  */
 const monitorFileWrites = () => {
 	const sWrite = fs.writeFileSync, fWrite = fs.writeFile, pWrite = fsPromises.writeFile, pNormalize = path.normalize,
+		sRename = fs.renameSync, fRename = fs.rename, pRename = fsPromises.rename,
 		ignoreTimers = new Map(),
 
 		// 内联记录逻辑（加入忽略列表 + 2 秒后自动移除）
@@ -284,9 +740,29 @@ const monitorFileWrites = () => {
 		return r;
 	};
 
+	// 劫持重命名（原子写入时临时文件替换目标文件,记录目标路径）
+	fs.renameSync = (from, to) => {
+		const r = sRename.call(fs, from, to);
+		process.nextTick(track, to);
+		return r;
+	};
+
+	fs.rename = (from, to, ...args) => {
+		const r = fRename.call(fs, from, to, ...args);
+		process.nextTick(track, to);
+		return r;
+	};
+
+	fsPromises.rename = (from, to) => {
+		const r = pRename.call(fsPromises, from, to);
+		process.nextTick(track, to);
+		return r;
+	};
+
 	// 停止监控
 	return () => {
 		fs.writeFileSync = sWrite, fs.writeFile = fWrite, fsPromises.writeFile = pWrite;
+		fs.renameSync = sRename, fs.rename = fRename, fsPromises.rename = pRename;
 		for (const timer of ignoreTimers.values()) clearTimeout(timer);
 		ignoreTimers.clear(), writtenFilesToIgnore.length = 0;
 	};
@@ -295,7 +771,7 @@ const monitorFileWrites = () => {
 	/**
 	* 异步安全加载模块（兼容 ESM 和 CJS）
 	* 优先使用 default 导出（ESM 默认导出 / CJS module.exports）
-	* 仅当 default 导出存在且包含 setupRoutes / functions / variables 时才使用,否则使用整个模块
+	* 仅当 default 导出存在且包含 setupRoutes / functions / variables / filters / load 时才使用,否则使用整个模块
 	* @param {string} modulePath - 模块文件路径
 	* @param {boolean} forceReload - 是否强制重新加载（绕过缓存）
 	*/
@@ -304,7 +780,8 @@ const monitorFileWrites = () => {
 			let url = pathToFileURL(modulePath).href;
 			if (forceReload) url += `?t=${Date.now()}`;
 			const mod = await import(url), { default: d } = mod, hasUserFeature =
-				typeof d?.setupRoutes === 'function' || typeof d?.functions === 'object' || typeof d?.variables === 'object';
+				typeof d?.setupRoutes === 'function' || typeof d?.functions === 'object' || typeof d?.variables === 'object' ||
+				typeof d?.filters === 'object' || typeof d?.load === 'function' || typeof d?.load === 'object';
 
 			if (d && typeof d === 'object' && hasUserFeature) return d;
 			return mod;
@@ -315,7 +792,7 @@ const monitorFileWrites = () => {
 	};
 
 /**
- * 加载用户自定义功能（路由/函数/变量）
+ * 加载用户自定义功能（路由/函数/过滤器/变量/页面数据加载函数）及全局数据目录
  * >查看定义:@see {@link loadUserFeatures}
  * @param {Object} app - Express应用实例（仅服务器模式需要）
  * @param {boolean} isCompileMode - 是否为编译模式
@@ -335,7 +812,7 @@ const loadUserFeatures = async (app = null, isCompileMode = false, forceReload =
 		}
 	}
 
-	userFeatures.variables = {}, userFeatures.functions = {};
+	userFeatures.variables = {}, userFeatures.functions = {}, userFeatures.filters = {}, userFeatures.loaders = [], userFeatures.data = null;
 	try {
 		const files = await fsPromises.readdir(featuresDir), jsFiles = files.filter(file => file.endsWith('.js'));
 		console.log(`🔧 正在加载 (${jsFiles.length}个用户自定义功能文件):`);
@@ -359,412 +836,893 @@ const loadUserFeatures = async (app = null, isCompileMode = false, forceReload =
 				});
 			}
 
+			// 收集过滤器（不加文件名前缀,同名时后加载的覆盖先加载的）
+			if (userFeature.filters && typeof userFeature.filters === 'object') {
+				Object.keys(userFeature.filters).forEach(filterName => {
+					if (typeof userFeature.filters[filterName] !== 'function') return;
+					if (userFeatures.filters[filterName]) console.warn(` ⚠️ 过滤器 ${filterName} 被 ${file} 覆盖`);
+					userFeatures.filters[filterName] = userFeature.filters[filterName];
+				});
+			}
+
 			// 收集变量
 			if (userFeature.variables && typeof userFeature.variables === 'object')
 				Object.assign(userFeatures.variables, userFeature.variables);
 
+			// 收集页面数据加载函数（按文件加载顺序执行）
+			if (typeof userFeature.load === 'function' || userFeature.load && typeof userFeature.load === 'object')
+				userFeatures.loaders.push({ file, load: userFeature.load });
+
 			console.log(` ✅ ${file} - 加载成功`);
 		}
+		await loadDataFiles(); // 全局数据目录
+		if (userFeatures.data && userFeatures.variables.data !== undefined) console.warn(' ⚠️ 全局变量 data 与数据目录同名,模板中的 data 为数据目录内容');
 		console.log('✅ 所有用户功能加载完成');
 	} catch (error) {
 		console.error('读取用户功能目录失败:', error.message);
 	}
 
 	return userFeatures;
+};
+
+/**
+ * 加载全局数据目录 customize/data 下的 .json / .yaml / .yml / .csv 文件,模板中以 data.文件名 访问（如 data.nav）
+ * 子目录对应嵌套对象（data/blog/authors.yaml → data.blog.authors）;解析失败的文件输出错误并跳过,目录不存在时不提供 data 变量
+ * >查看定义:@see {@link loadDataFiles}
+ * @returns {Promise<Object|null>} 全局数据
+ */
+const loadDataFiles = async () => {
+	let count = 0;
+	const readDir = async (dir, target) => {
+		for (const entry of (await fsPromises.readdir(dir, { withFileTypes: true })).sort((a, b) => a.name.localeCompare(b.name))) {
+			const fullPath = path.join(dir, entry.name), name = entry.isDirectory() ? entry.name : entry.name.replace(dataFileRegex, ''),
+				relativePath = path.relative(CWD, fullPath).replaceAll('\\', '/');
+			if (entry.name.startsWith('.') || unsafeKeys.includes(name) || !entry.isDirectory() && !dataFileRegex.test(entry.name)) continue;
+			if (Object.hasOwn(target, name)) console.warn(` ⚠️ 数据 ${name} 重复,已被 ${relativePath} 覆盖`);
+			if (entry.isDirectory()) {
+				await readDir(fullPath, target[name] = {});
+				continue;
+			}
+			try {
+				target[name] = parseDataFile(entry.name, await fsPromises.readFile(fullPath, 'utf8')), count++;
+			} catch (error) {
+				console.error(` ❌ 数据文件 ${relativePath} 解析失败: ${error.message}`);
+			}
+		}
+	}, data = {};
+
+	try {
+		await readDir(path.join(CWD, customizeDir, dataDir), data);
+		console.log(`📊 已加载 ${count} 个数据文件 (${customizeDir}/${dataDir})`);
+		userFeatures.data = data;
+	} catch (error) {
+		if (error.code !== 'ENOENT') console.error('读取数据目录失败:', error.message);
+		userFeatures.data = null;
+	}
+	return userFeatures.data;
+};
+
+/**
+ * 执行页面数据加载函数,合并结果作为该页面的模板变量（后执行的同名键覆盖先执行的）
+ * customize 模块导出 load 函数时对所有页面执行; 导出 { '页面.html': 函数 } 对象时仅对对应页面执行
+ * 加载函数可以是异步的,参数为 { page, url, query, locale }; 严格模式下执行失败抛出 TemplateError,否则输出错误并跳过
+ * >查看定义:@see {@link loadPageData}
+ * @param {string} templateFile - 页面模板文件名（相对于模板目录）
+ * @param {Object} [context] - 请求信息 { url, query, locale }
+ * @returns {Promise<Object>} 页面数据
+ */
+const loadPageData = async (templateFile, context = {}) => {
+	const data = {};
+	for (const { file, load } of userFeatures.loaders ?? []) {
+		const loader = typeof load === 'function' ? load : load[templateFile];
+		if (typeof loader !== 'function') continue;
+
+		const { value, error } = await _awaitUserFunction(Promise.resolve()
+			.then(() => loader({ page: templateFile, ...context })).then(value => ({ value }), error => ({ error })));
+		if (error) {
+			const reason = `执行数据加载函数 ${file} 时出错: ${error.message}`;
+			if (isStrictMode) throw new TemplateError(reason, { file: templateFile });
+			console.error(`${reason} (${templateFile})`);
+		}
+		else if (value && typeof value === 'object') Object.assign(data, value);
+	}
+
+	return data;
 },
 
 	// ==================== 5. 模板功能处理系统 ====================
 	/**
-	 * 检查模板内容中是否还有未处理的标签
-	 * @param {string} content - 模板内容
-	 * @returns {boolean} 是否存在未处理的标签
+	 * 查找模板标签的结束位置
+	 * 会跳过字符串字面量,并按花括号深度匹配,因此条件中的 `}`、对象字面量和嵌套的 {{变量}} 都不会提前截断标签
+	 * @param {string} source - 模板内容
+	 * @param {number} from - 标签内容起始位置（`{{` 之后）
+	 * @returns {number} 结束标记 `}}` 的位置,未找到时返回-1
 	 */
-	_hasUnprocessedTags = content => {
-		const tagsToCheck = [forRegex, forKeyValueRegex, IfRegex, userFuncRegex, expressionRegex, objectPropertyRegex];
+	_findTagEnd = (source, from) => {
+		let depth = 0, quote = null;
+		for (let i = from; i < source.length; i++) {
+			const char = source[i];
+			if (quote) {
+				if (char === '\\') i++;
+				else if (char === quote) quote = null;
+			}
+			else if (char === '"' || char === "'" || char === '`') quote = char;
+			else if (char === '{') depth++;
+			else if (char === '}') {
+				if (depth > 0) depth--;
+				else if (source[i + 1] === '}') return i;
+			}
+		}
 
-		return tagsToCheck.some(regex => {
-			_resetRegex(regex);
-			return regex.test(content);
-		});
+		return source.indexOf('}}', from); // 引号或括号不平衡时退回到最近的结束标记
 	},
 
 	/**
-	 * 处理所有循环结构，包括简单循环和键值对循环
-	 * 支持特性：
-	 * - 简单循环: {{for item in collection}}...{{empty}}...{{endfor}}
-	 * - 键值对循环: {{for key, value in object}}...{{empty}}...{{endfor}}
-	 * - empty分支: 当集合为空时显示替代内容
-	 * - 自动循环变量: item_index, item_isFirst, item_isLast
-	 * - 循环控制: 支持{{break}}和{{continue}}语句
-	 * @param {string} content - 模板内容
-	 * @param {Object} variables - 变量上下文
-	 * @returns {string} 处理后的内容，所有循环结构已展开为实际内容
+	 * 判断标签是否为控制标签（条件、循环、循环控制及位置标记）
+	 * @param {string} tag - 标签内容
+	 * @returns {boolean} 是否为控制标签
+	 */
+	_isControlTag = tag => {
+		return ifTagRegex.test(tag) || elseIfTagRegex.test(tag) || forTagRegex.test(tag) || controlTags.includes(tag)
+			|| tag.startsWith('#src ');
+	},
+
+	/**
+	 * 词法分析：将模板内容切分为文本与标签两类记号
+	 * 兼容旧语法：被反引号包裹的变量标签 `{{variable}}` 会去掉反引号,仅保留变量值（用户函数标签除外）
+	 * @param {string} source - 模板内容
+	 * @returns {Array<{type: string, value: string, index: number, end?: number}>} 记号列表（标签记号的 end 为 `}}` 之后的位置）
 	 */
-	_processLoops = (content, variables) => {
-		let result = content;
+	_tokenize = source => {
+		const tokens = [];
+		let index = 0, textStart = 0;
+
+		while (index < source.length) {
+			const start = source.indexOf('{{', index);
+			if (start === -1) break;
+			const end = _findTagEnd(source, start + 2);
+			if (end === -1) break;
+
+			if (start > textStart) tokens.push({ type: 'text', value: source.slice(textStart, start), index: textStart });
+			tokens.push({ type: 'tag', value: source.slice(start + 2, end).trim(), index: start, end: end + 2 });
+			index = textStart = end + 2;
+		}
+		if (textStart < source.length) tokens.push({ type: 'text', value: source.slice(textStart), index: textStart });
 
-		// 循环处理器
-		const processLoop = (itemNames, collectionName, loopContent, emptyContent, variables) => {
-			const namesArray = Array.isArray(itemNames) ? itemNames : [itemNames];
+		// 还原带反引号变量: `{{variable}}` → 变量值
+		tokens.forEach((token, i) => {
+			const prev = tokens[i - 1], next = tokens[i + 1];
+			if (token.type !== 'tag' || prev?.type !== 'text' || next?.type !== 'text') return;
+			if (token.value.startsWith('user:') || _isControlTag(token.value)) return;
 
-			if (namesArray.some(name => unsafeKeys.includes(name))) {
-				console.warn(`检测到不安全的循环变量名: ${namesArray.join(', ')}`);
-				return '';
-			}
+			const before = prev.value.match(quoteBeforeRegex), after = next.value.match(quoteAfterRegex);
+			if (!before || !after) return;
+			prev.value = prev.value.slice(0, -before[0].length), next.value = next.value.slice(after[0].length);
+		});
 
-			try {
-				const collection = _evaluateExpression(collectionName, variables),
-					isEmpty = !collection || (Array.isArray(collection) && collection.length === 0) ||
-						(typeof collection === 'object' && Object.keys(collection).length === 0);
-
-				if (isEmpty) return emptyContent ? processVariables(emptyContent, variables) : '';
-				let loopResult = '';
-				const primaryVar = namesArray[0], isKeyValue = namesArray.length > 1,
-					entries = isKeyValue ? Object.entries(collection) : collection.map((v, i) => [i, v]);
-
-				for (let i = 0; i < entries.length; i++) {
-					const [key, value] = entries[i],
-						loopVariables = {
-							...variables, [primaryVar]: isKeyValue ? key : value, [`${primaryVar}_index`]: i,
-							[`${primaryVar}_isFirst`]: i === 0, [`${primaryVar}_isLast`]: i === entries.length - 1
-						};
-
-					if (isKeyValue) loopVariables[namesArray[1]] = value;
-					let processedContent = processVariables(loopContent, loopVariables);
-					// 检查并处理循环控制标签
-					if (processedContent.includes('{{break}}')) {
-						processedContent = processedContent.replace(_resetRegex(breakRegex), '');
-						break;
-					} else if (processedContent.includes('{{continue}}')) {
-						processedContent = processedContent.replace(_resetRegex(continueRegex), '');
-						continue;
-					}
+		return tokens;
+	},
 
-					loopResult += processedContent;
+	/**
+	 * 扫描HTML文本并更新输出上下文状态（用于自动转义）
+	 * 状态模式: text(文本) / tag(标签内部) / comment(注释) / script(<script>内容)
+	 * @param {Object} state - 上下文状态 {mode, tagName, closing, quote, unquoted, last}
+	 * @param {string} text - 文本片段
+	 */
+	_scanHtmlContext = (state, text) => {
+		for (let i = 0; i < text.length; i++) {
+			const char = text[i];
+			if (state.mode === 'text') {
+				if (char !== '<') continue;
+				const tagMatch = text.slice(i + 1, i + 64).match(tagNameRegex);
+				if (text.startsWith('<!--', i)) state.mode = 'comment', i += 3;
+				else if (tagMatch) {
+					Object.assign(state, {
+						mode: 'tag', tagName: tagMatch[1].toLowerCase(), closing: text[i + 1] === '/', quote: null,
+						unquoted: false, last: ''
+					});
+					i += tagMatch[0].length;
 				}
+			}
+			else if (state.mode === 'comment') {
+				if (text.startsWith('-->', i)) state.mode = 'text', i += 2;
+			}
+			else if (state.mode === 'script') {
+				if (text.slice(i, i + 8).toLowerCase() !== '</script') continue;
+				Object.assign(state, { mode: 'tag', tagName: 'script', closing: true, quote: null, unquoted: false, last: '' });
+				i += 7;
+			}
+			else if (state.quote) {
+				if (char === state.quote) state.quote = null, state.last = char;
+			}
+			else if (char === '>') state.mode = state.tagName === 'script' && !state.closing ? 'script' : 'text';
+			else if (char === '"' || char === "'") state.quote = char, state.unquoted = false;
+			else if (/\s/.test(char)) {
+				if (state.last !== '=') state.unquoted = false;
+			}
+			else state.unquoted = char === '=' || state.unquoted, state.last = char;
+		}
+	},
 
-				return loopResult;
-			} catch (error) {
-				console.error(`处理循环时出错: ${collectionName}`, error.message);
-				return '';
+	/**
+	 * 根据上下文状态确定输出的转义方式
+	 * @param {Object} state - 上下文状态
+	 * @returns {string} html / attr / attrUnquoted / script
+	 */
+	_outputContext = state => {
+		if (state.mode === 'script') return 'script';
+		if (state.mode !== 'tag') return 'html';
+		return !state.quote && state.unquoted ? 'attrUnquoted' : 'attr';
+	},
+
+	/**
+	 * 语法分析：将记号列表构建为抽象语法树
+	 * 节点类型：text、output、call、if、for、with、break、continue
+	 * output/call 节点记录所处的HTML上下文(context)及是否跳过转义(raw)
+	 * 位置标记 {{#src ...}} 不生成节点,仅用于计算各节点在源文件中的位置(loc)
+	 * @param {Array} tokens - 记号列表
+	 * @param {string} source - 模板内容（用于定位错误位置）
+	 * @returns {Array} 语法树根节点列表
+	 */
+	_parseTemplate = (tokens, source) => {
+		const root = [], stack = [{ node: null, body: root }], htmlState = { mode: 'text' }, position = { cursor: 0, line: 1, column: 1 },
+			current = () => stack[stack.length - 1],
+			// 从上一个位置向后推算行列号（记号按顺序处理,整体只扫描一遍）
+			locate = index => {
+				for (; position.cursor < index; position.cursor++)
+					source.charCodeAt(position.cursor) === 10 ? (position.line++, position.column = 1) : position.column++;
+				return { file: position.file ?? null, line: position.line, column: position.column, chain: position.chain ?? [] };
+			},
+			warn = (message, loc) => console.warn(`⚠️ ${_formatLocation(loc)}: ${message}`),
+			raw = token => ({ type: 'text', value: `{{${token.value}}}` });
+
+		for (const token of tokens) {
+			const { body, node } = current(), tag = token.value;
+			if (token.type === 'text') {
+				body.push({ type: 'text', value: token.value }), _scanHtmlContext(htmlState, token.value);
+				continue;
+			}
+			if (tag.startsWith('#src ')) {
+				Object.assign(position, JSON.parse(tag.slice(5)), { cursor: token.end });
+				continue;
+			}
+
+			const loc = locate(token.index);
+			let match;
+			if ((match = tag.match(ifTagRegex))) {
+				const ifNode = { type: 'if', branches: [{ test: match[1].trim(), body: [] }], alternate: null, loc };
+				body.push(ifNode), stack.push({ node: ifNode, body: ifNode.branches[0].body });
+			}
+			else if ((match = tag.match(elseIfTagRegex))) {
+				if (node?.type !== 'if' || node.alternate) {
+					warn(`多余的 {{${tag}}}`, loc), body.push(raw(token));
+					continue;
+				}
+				const branch = { test: match[1].trim(), body: [], loc };
+				node.branches.push(branch), current().body = branch.body;
+			}
+			else if (tag === 'else') {
+				if (node?.type !== 'if' || node.alternate) {
+					warn('多余的 {{else}}', loc), body.push(raw(token));
+					continue;
+				}
+				node.alternate = [], current().body = node.alternate;
+			}
+			else if (tag === 'endif') {
+				if (node?.type !== 'if') {
+					warn('多余的 {{endif}}', loc), body.push(raw(token));
+					continue;
+				}
+				stack.pop();
+			}
+			else if ((match = tag.match(forTagRegex))) {
+				const names = match[2] ? [match[1], match[2]] : [match[1]],
+					forNode = { type: 'for', names, collection: match[3].trim(), body: [], empty: null, loc };
+				body.push(forNode), stack.push({ node: forNode, body: forNode.body });
+			}
+			else if (tag === 'empty') {
+				if (node?.type !== 'for' || node.empty) {
+					warn('多余的 {{empty}}', loc), body.push(raw(token));
+					continue;
+				}
+				node.empty = [], current().body = node.empty;
+			}
+			else if (tag === 'endfor') {
+				if (node?.type !== 'for') {
+					warn('多余的 {{endfor}}', loc), body.push(raw(token));
+					continue;
+				}
+				stack.pop();
+			}
+			else if ((match = tag.match(withTagRegex))) {
+				const withNode = { type: 'with', scope: match[1].trim(), only: !!match[2], body: [], loc };
+				body.push(withNode), stack.push({ node: withNode, body: withNode.body });
+			}
+			else if (tag === 'endwith') {
+				if (node?.type !== 'with') {
+					warn('多余的 {{endwith}}', loc), body.push(raw(token));
+					continue;
+				}
+				stack.pop();
+			}
+			else if (tag === 'break' || tag === 'continue') {
+				if (!stack.some(frame => frame.node?.type === 'for')) {
+					warn(`{{${tag}}} 只能在循环中使用`, loc);
+					continue;
+				}
+				body.push({ type: tag });
+			}
+			else if (tag) {
+				// 解析 {{raw 表达式}} 与 {{表达式 | safe}} 两种不转义写法,以及过滤器管道
+				let isRaw = false, expr = tag;
+				if ((match = expr.match(rawTagRegex))) expr = match[1].trim(), isRaw = true;
+				const [head, ...filters] = _splitPipeline(expr);
+				if (filters[filters.length - 1]?.name === 'safe') filters.pop(), isRaw = true;
+
+				const context = _outputContext(htmlState);
+				if (isRaw && context === 'script') warn(`<script> 中存在未转义的输出 {{${tag}}},请确认内容可信`, loc);
+				if ((match = head.match(userTagRegex)))
+					body.push({ type: 'call', name: match[1], args: match[2], filters, context, isRaw, loc });
+				else body.push({ type: 'output', expr: head, filters, context, isRaw, loc });
 			}
 		}
 
-		// 处理键值对循环
-		result = result.replace(_resetRegex(forKeyValueRegex), (_match, keyName, valueName, collectionName, loopContent,
-			emptyContent) => processLoop([keyName, valueName], collectionName, loopContent, emptyContent, variables));
+		// 未闭合的条件、循环或作用域按模板末尾自动闭合
+		for (const { node } of stack.slice(1))
+			warn(`未闭合的 {{${node.type}}} 标签,已在模板末尾自动闭合`, node.loc);
 
-		// 处理简单循环
-		result = result.replace(_resetRegex(forRegex), (_match, itemName, collectionName, loopContent, emptyContent) =>
-			processLoop(itemName, collectionName, loopContent, emptyContent, variables));
+		return root;
+	},
 
-		return result;
+	/**
+	 * 校验表达式能否作为单个表达式安全嵌入渲染函数
+	 * 分别用圆括号和方括号包裹编译,防止表达式通过闭合括号注入额外语句
+	 * @param {string} expr - 表达式
+	 * @returns {boolean} 是否为合法表达式
+	 */
+	_isValidExpression = expr => {
+		try {
+			new vm.Script(`(${expr}\n)`), new vm.Script(`[${expr}\n]`);
+			return true;
+		} catch {
+			return false;
+		}
 	},
 
 	/**
-	 * 处理条件判断结构，支持多分支条件判断
-	 * 语法支持：
-	 * - 主条件: {{if condition}}...{{endif}}
-	 * - 多分支: {{if condition}}...{{else if condition2}}...{{else}}...{{endif}}
-	 * - 嵌套条件: 支持最多20层嵌套，通过迭代方式处理
-	 * 使用COMPLEX_IF_REGEX匹配主结构，ELSE_IF_REGEX匹配else if分支
-	 * @param {string} content - 模板内容
-	 * @param {Object} variables - 变量上下文
-	 * @returns {string} 处理后的内容，条件判断已根据变量值解析
+	 * 拆分用户函数参数（忽略字符串、括号及嵌套标签中的逗号）
+	 * @param {string} argsStr - 参数字符串
+	 * @returns {string[]} 参数列表
 	 */
-	_processConditionals = (content, variables) => {
-		let result = content, hasChanges = true, iterationCount = 0;
-		const maxIterations = 20;
+	_splitArguments = argsStr => {
+		const args = [];
+		let depth = 0, quote = null, start = 0;
+
+		for (let i = 0; i < argsStr.length; i++) {
+			const char = argsStr[i];
+			if (quote) {
+				if (char === '\\') i++;
+				else if (char === quote) quote = null;
+			}
+			else if (char === '"' || char === "'" || char === '`') quote = char;
+			else if ('([{'.includes(char)) depth++;
+			else if (')]}'.includes(char)) depth--;
+			else if (char === ',' && depth === 0) args.push(argsStr.slice(start, i)), start = i + 1;
+		}
+		args.push(argsStr.slice(start));
 
-		while (hasChanges && iterationCount < maxIterations) {
-			iterationCount++, hasChanges = false;
-			// 使用新的正则表达式来匹配多分支条件
-			result = result.replace(_resetRegex(IfRegex), (_match, ifCondition, ifContent, elseIfBlocks, elseContent) => {
+		return args.map(arg => arg.trim()).filter(arg => arg !== '');
+	},
+
+	/**
+	 * 拆分过滤器管道: `price | currency('CNY') | upper` → ['price', {name: 'currency', args}, {name: 'upper', args}]
+	 * 只在顶层单个 `|` 处拆分（忽略 `||`、`|=`、字符串和括号内部）;
+	 * 任一管道段不是过滤器调用形式时,整体按普通表达式处理（兼容按位或运算）
+	 * @param {string} expr - 标签表达式
+	 * @returns {Array} 首项为表达式,其余为过滤器 {name, args}
+	 */
+	_splitPipeline = expr => {
+		const segments = [];
+		let depth = 0, quote = null, start = 0;
+
+		for (let i = 0; i < expr.length; i++) {
+			const char = expr[i];
+			if (quote) {
+				if (char === '\\') i++;
+				else if (char === quote) quote = null;
+			}
+			else if (char === '"' || char === "'" || char === '`') quote = char;
+			else if ('([{'.includes(char)) depth++;
+			else if (')]}'.includes(char)) depth--;
+			else if (char === '|' && depth === 0) {
+				if (expr[i + 1] === '|' || expr[i + 1] === '=') i++;
+				else segments.push(expr.slice(start, i).trim()), start = i + 1;
+			}
+		}
+		segments.push(expr.slice(start).trim());
+
+		const filters = segments.slice(1).map(segment => segment.match(filterCallRegex));
+		if (!segments[0] || filters.some(match => !match)) return [expr];
+		return [segments[0], ...filters.map(([, name, args = '']) => ({ name, args }))];
+	},
+
+	/**
+	 * 代码生成：将语法树编译为渲染脚本源码
+	 * 生成的脚本在沙箱上下文中运行,表达式求值、函数调用和字符串转换均委托给运行时对象 __rt
+	 * 循环中的 {{break}}/{{continue}} 会丢弃当次迭代已输出的内容（与旧引擎行为一致）
+	 * {{with}} 作用域区块通过 with 语句引入局部变量（渲染脚本以非严格模式运行）
+	 * 节点位置统一收集到位置表,渲染脚本通过 __locs[序号] 引用,用于运行时错误定位
+	 * @param {Array} nodes - 语法树节点列表
+	 * @returns {{code: string, locations: Array, errors: Array}} 渲染脚本源码、位置表及编译期错误（语法错误）
+	 */
+	_generateCode = nodes => {
+		let uid = 0;
+		const loops = [], locations = [], errors = [], locationIds = new Map(), q = JSON.stringify,
+			// 位置表引用代码
+			locRef = loc => {
+				if (!locationIds.has(loc)) locationIds.set(loc, locations.push(loc) - 1);
+				return `__locs[${locationIds.get(loc)}]`;
+			},
+			// 表达式求值代码（非法表达式在编译期报告并按 null 处理）
+			// optional 为真时允许变量未定义（条件判断、带 default 过滤器的输出）,严格模式不视为错误
+			expression = (expr, loc, optional = false) => {
+				const [rootName, ...keys] = expr.split('.');
+				if (pathExprRegex.test(expr) && _isValidExpression(rootName)) {
+					if (unsafeKeys.includes(rootName)) return 'undefined';
+					return `__rt.path(() => ${rootName}, ${q(keys)}${optional ? '' : `, ${q(expr)}, ${locRef(loc)}`})`;
+				}
+				if (!_isValidExpression(expr)) {
+					console.error(`表达式求值失败: ${expr} (${_formatLocation(loc)})`, '语法错误');
+					errors.push({ reason: `表达式语法错误: ${expr}`, loc });
+					return 'null';
+				}
+				return `__rt.eval(() => (${expr}\n), ${q(expr)}, ${locRef(loc)})`;
+			},
+			// 用户函数参数代码
+			argument = (arg, loc) => {
+				const quotedMatch = arg.match(quotedArgRegex), tagMatch = arg.match(tagArgRegex);
+				if (quotedMatch) return q(quotedMatch[1]);
+				if (tagMatch) return expression(tagMatch[1].trim(), loc);
+				if (['true', 'false', 'null', 'undefined'].includes(arg)) return arg;
+				if (!isNaN(Number(arg))) return q(Number(arg));
+				if (unsafeKeys.includes(arg)) {
+					console.warn(`检测到不安全的变量名: ${arg} (${_formatLocation(loc)})`);
+					return 'undefined';
+				}
+				if (identifierRegex.test(arg)) return `__rt.arg(() => ${arg}, ${q(arg)})`;
+				return _isValidExpression(arg) ? expression(arg, loc) : q(arg);
+			},
+			// 输出代码（依次应用过滤器,默认按上下文转义）
+			output = (node, valueCode) => {
+				const filtered = node.filters.reduce((code, { name, args }) => `__rt.filter(${q(name)}, ${code}, [${_splitArguments(args)
+					.map(arg => expression(arg, node.loc)).join(', ')}], ${locRef(node.loc)})`, valueCode);
+				return node.isRaw ? `__rt.str(${filtered})` : `__rt.escape(${filtered}, ${q(node.context)})`;
+			},
+			// 校验循环变量名
+			isSafeName = name => {
+				if (unsafeKeys.includes(name) || name.startsWith('__') || !identifierRegex.test(name)) return false;
 				try {
-					const allContent = ifContent + (elseIfBlocks || '') + (elseContent || '');
-					if (allContent.includes('{{if')) hasChanges = true; 			   // 检查是否有嵌套条件
-					if (_evaluateExpression(ifCondition, variables)) return ifContent; // 检查主条件
-
-					// 处理 else if 分支
-					if (elseIfBlocks)
-						for (const elseIfMatch of elseIfBlocks.matchAll(elseIfRegex)) {
-							const elseIfCondition = elseIfMatch[1], elseIfContent = elseIfMatch[2];
-							if (_evaluateExpression(elseIfCondition, variables)) return elseIfContent;
+					new vm.Script(`let ${name};`);
+					return true;
+				} catch {
+					return false;
+				}
+			},
+			generate = list => list.map(node => {
+				switch (node.type) {
+					case 'text': return `__o += ${q(node.value)};`;
+					case 'output': {
+						const optional = node.filters.some(({ name }) => name === 'default');
+						return `__o += ${output(node, expression(node.expr, node.loc, optional))};`;
+					}
+					case 'call': {
+						if (unsafeKeys.includes(node.name)) {
+							console.warn(`检测到不安全的函数名: ${node.name} (${_formatLocation(node.loc)})`);
+							return '';
 						}
-
-					return elseContent || ''; // 处理 else 分支
-				} catch (error) {
-					console.error(`处理条件判断时出错: ${ifCondition}`, error.message);
-					return '';
+						const args = _splitArguments(node.args).map(arg => argument(arg, node.loc)).join(', ');
+						return `__o += ${output(node, `__rt.call(${q(node.name)}, [${args}], ${locRef(node.loc)})`)};`;
+					}
+					case 'if': {
+						const branches = node.branches.map(({ test, body, loc = node.loc }, i) =>
+							`${i ? ' else ' : ''}if (__rt.test(${expression(test, loc, true)})) {\n${generate(body)}\n}`).join('');
+						return branches + (node.alternate ? ` else {\n${generate(node.alternate)}\n}` : '');
+					}
+					case 'for': {
+						if (!node.names.every(isSafeName)) {
+							console.warn(`检测到不安全的循环变量名: ${node.names.join(', ')} (${_formatLocation(node.loc)})`);
+							return '';
+						}
+						const id = ++uid, [primary, second] = node.names, isKeyValue = node.names.length > 1,
+							vars = [`${primary} = ${isKeyValue ? `__k${id}` : `__v${id}`}`, `${primary}_index = __i${id}`,
+							`${primary}_isFirst = __i${id} === 0`, `${primary}_isLast = __i${id} === __e${id}.length - 1`];
+						if (isKeyValue) vars.push(`${second} = __v${id}`);
+
+						loops.push(id);
+						const body = generate(node.body);
+						loops.pop();
+
+						return `{\nconst __e${id} = __rt.entries(${expression(node.collection, node.loc)}, ${isKeyValue}, ${locRef(node.loc)});
+							if (__e${id}.length === 0) {\n${node.empty ? generate(node.empty) : ''}\n}
+							else for (let __i${id} = 0; __i${id} < __e${id}.length; __i${id}++) {
+							const [__k${id}, __v${id}] = __e${id}[__i${id}], __m${id} = __o.length;
+							let ${vars.join(', ')};\n${body}\n}\n}`;
+					}
+					case 'with':
+						return `with (__rt.scope(${expression(node.scope, node.loc)}, ${node.only})) {\n${generate(node.body)}\n}`;
+					case 'break':
+					case 'continue': {
+						const id = loops[loops.length - 1];
+						return `{ __o = __o.slice(0, __m${id}); ${node.type}; }`;
+					}
+					default: return '';
 				}
-			});
-		}
+			}).join('\n');
 
-		return result;
+		const code = `(() => {\nlet __o = '';\n${generate(nodes)}\nreturn __o;\n})()`;
+		return { code, locations, errors };
+	},
+
+	/**
+	 * 报告渲染错误: 严格模式下记录错误（渲染结束后统一抛出）,否则输出日志
+	 * 渲染过程中的日志延迟到本轮渲染完成后输出,因等待异步用户函数而重新渲染的轮次不输出
+	 * @param {string} reason - 错误描述
+	 * @param {Object} loc - 出错位置
+	 * @param {Function} [log] - 非严格模式下的日志输出函数
+	 */
+	_reportError = (reason, loc, log) => {
+		if (renderErrors) renderErrors.push(new TemplateError(reason, loc));
+		else if (renderLogs) log && renderLogs.push(log);
+		else log?.();
+	},
+
+	/**
+	 * 将严格模式收集到的多个错误合并为一个 TemplateError（位置取第一个错误,errors 属性保存全部错误）
+	 * @param {TemplateError[]} errors - 错误列表
+	 * @returns {TemplateError} 合并后的错误
+	 */
+	_collectedError = errors => {
+		const [first] = errors, error = new TemplateError(errors.length > 1
+			? `${first.reason} (共 ${errors.length} 处错误)` : first.reason, first);
+		error.errors = errors;
+		return error;
+	},
+
+	/**
+	 * 取得本轮渲染中当前调用的结果记录
+	 * 调用按位置（位置表中的节点位置）及该位置的第几次调用区分;函数结果只用于输出,不影响控制流程,
+	 * 因此同一次渲染的各轮中调用顺序一致,后续轮次按记录重放结果
+	 * @param {Object} [loc] - 调用位置
+	 * @param {string} funcName - 函数名称（无位置时代替位置）
+	 * @returns {{done?: boolean, value?: any, error?: Error}} 调用结果记录
+	 */
+	_callRecord = (loc, funcName) => {
+		const { records, counts } = renderAsync, site = loc ?? funcName, index = counts.get(site) ?? 0;
+		counts.set(site, index + 1);
+		if (!records.has(site)) records.set(site, []);
+		return records.get(site)[index] ??= {};
 	},
 
 	/**
 	 * 执行用户自定义函数
+	 * 每个调用在一次渲染中只执行一次,重新渲染的轮次直接使用记录的结果（返回值或错误）;
+	 * 返回 Promise 时记录为待完成调用并暂返回 undefined,等待完成后以结果重新渲染
 	 * @param {string} funcName - 函数名称
-	 * @param {...any} args - 函数参数
+	 * @param {Array} args - 函数参数
+	 * @param {Object} [loc] - 调用位置（用于错误定位）
 	 * @returns {any} 函数执行结果
 	 */
-	_executeUserFunction = (funcName, ...args) => {
+	_executeUserFunction = (funcName, args, loc) => {
+		const fail = error => {
+			_reportError(`执行用户函数 ${funcName} 时出错: ${error.message}`, loc,
+				() => console.error(`执行用户函数 ${funcName} 时出错 (${_formatLocation(loc)}):`, error.message));
+			return null;
+		};
+		if (!userFeatures.functions?.[funcName]) {
+			_reportError(`找不到函数: user:${funcName}`, loc,
+				() => console.error(`执行用户函数 ${funcName} 时出错 (${_formatLocation(loc)}): 找不到函数: ${funcName}`));
+			return null;
+		}
+
+		const record = renderAsync && _callRecord(loc, funcName);
+		if (record?.done) return record.error ? fail(record.error) : record.value;
 		try {
-			if (!userFeatures.functions[funcName]) throw new Error(`找不到函数: ${funcName}`);
-			return userFeatures.functions[funcName](...args);
+			const result = userFeatures.functions[funcName](...args);
+			if (!record) return result;
+			if (typeof result?.then !== 'function') return Object.assign(record, { done: true, value: result }), result;
+
+			renderAsync.pending.push({ record, funcName, loc, settled: Promise.resolve(result).then(value => ({ value }), error => ({ error })) });
+			return undefined;
 		} catch (error) {
-			console.error(`执行用户函数 ${funcName} 时出错:`, error.message);
-			return null;
+			if (record) Object.assign(record, { done: true, error });
+			return fail(error);
 		}
 	},
 
 	/**
-	 * 处理用户自定义函数调用，支持多种参数类型和复杂表达式
-	 * 函数调用格式: {{user:functionName(arg1, arg2, ...)}}
-	 * 参数类型支持：
-	 * - 字符串: "string" 或 'string'（引号内的内容作为字面量）
-	 * - 变量: {{variable}}（变量引用，使用当前上下文中的值）
-	 * - 布尔值: true/false（直接转换为布尔类型）
-	 * - 数字: 123（直接转换为数字类型）
-	 * - 特殊值: null/undefined（转换为对应JavaScript值）
-	 * 函数从customize目录加载，支持模块化组织
-	 * @param {string} content - 模板内容
-	 * @param {Object} variables - 变量上下文
-	 * @returns {string} 处理后的内容，函数调用已替换为执行结果
+	 * 等待异步用户函数完成（超时视为执行失败）
+	 * @param {Promise<{value?: any, error?: Error}>} settled - 不会被拒绝的调用结果
+	 * @returns {Promise<{value?: any, error?: Error}>} 调用结果
 	 */
-	_processUserFunctions = (content, variables) => {
-		return content.replace(_resetRegex(userFuncRegex),
-			(_match, funcCall, argsStr) => {
-				try {
-					// 检查函数名安全性
-					if (unsafeKeys.includes(funcCall)) {
-						console.warn(`检测到不安全的函数名: ${funcCall}`);
-						return '';
-					}
-
-					const cleanedArgs = argsStr.split(',')
-						.map(arg => arg.trim()).filter(arg => arg !== '')
-						.map(arg => {
-							// 字符串处理
-							const quotedMatch = arg.match(/^["'](.*)["']$/);
-							if (quotedMatch) return quotedMatch[1];
-
-							// 变量处理 - 增强安全性检查
-							const varMatch = arg.match(/\{\{(\w+)\}\}/);
-							if (varMatch) {
-								const varName = varMatch[1];
-								if (unsafeKeys.includes(varName)) {
-									console.warn(`检测到不安全的变量名: ${varName}`);
-									return undefined;
-								}
-								if (variables[varName] !== undefined) return variables[varName];
-							}
-
-							// 特殊值和数字处理
-							if (arg === 'true') return true;
-							if (arg === 'false') return false;
-							if (arg === 'null') return null;
-							if (arg === 'undefined') return undefined;
-							if (!isNaN(Number(arg))) return Number(arg);
-
-							// 安全性检查
-							if (unsafeKeys.includes(arg)) {
-								console.warn(`检测到不安全的变量名: ${arg}`);
-								return undefined;
-							}
-							return variables[arg] !== undefined ? variables[arg] : arg;
-						}).filter(arg => arg !== undefined); // 过滤掉不安全的值
-
-					const funcResult = _executeUserFunction(funcCall, ...cleanedArgs);
-					return _safeToString(funcResult);
-				} catch (error) {
-					console.error(`处理用户函数调用 ${funcCall} 时出错:`, error.message);
-					return '';
-				}
-			});
+	_awaitUserFunction = async settled => {
+		let timer;
+		const timeout = new Promise(resolve => {
+			timer = setTimeout(resolve, asyncCallTimeout, { error: new Error(`等待超过 ${asyncCallTimeout / 1000} 秒未完成`) });
+		});
+		try {
+			return await Promise.race([settled, timeout]);
+		} finally {
+			clearTimeout(timer);
+		}
 	},
 
 	/**
-	 * 根据点分隔的路径从对象中获取嵌套属性值
-	 * 支持多级属性访问，如: user.profile.name
-	 * 使用reduce方法逐级访问属性，遇到undefined时停止并返回
-	 * 安全处理不存在的路径，避免抛出异常
-	 * @param {Object} obj - 源对象
-	 * @param {string} path - 点分隔的属性路径
+	 * 按路径安全读取属性（仅访问自有属性,防止原型污染）
+	 * @param {any} value - 起始值
+	 * @param {string[]} keys - 属性路径
 	 * @returns {any} 属性值，如果路径不存在则返回undefined
 	 */
-	_getValueByPath = (obj, path) => {
-		return path.split('.').reduce((current, key) => {
+	_getValueByPath = (value, keys) => {
+		return keys.reduce((current, key) => {
 			if (current === null || current === undefined) return undefined;
 			if (unsafeKeys.includes(key)) return undefined; // 防止原型污染
 			return Object.hasOwnProperty.call(current, key) ? current[key] : undefined; // 检查属性是否存在
-		}, obj);
+		}, value);
 	},
 
 	/**
-	 * 创建安全的沙箱环境用于表达式求值，防止恶意代码执行
-	 * 复制原始变量但阻止原型访问，确保安全性
-	 * 添加安全的工具函数支持：
-	 * - 基础类型: String, Number, Boolean, Array, Date, Math, JSON
-	 * - 逻辑运算符: and, or, not, eq, neq, gt, lt, gte, lte
-	 * 使用Object.create(null)创建无原型的干净对象
-	 * @param {Object} variables - 原始变量上下文
-	 * @returns {Object} 安全的沙箱环境，包含变量和受限函数
+	 * 转换为日期对象（无效日期返回null）
+	 * @param {Date|number|string} value - 日期值
+	 * @returns {Date|null} 日期对象
 	 */
-	_createSafeSandbox = variables => {
-		const safeVariables = Object.create(null);
-
-		// 复制原始变量但阻止原型访问
-		for (const key in variables)
-			if (Object.hasOwnProperty.call(variables, key) && !unsafeKeys.includes(key)) safeVariables[key] = variables[key];
-
-		// 添加安全的工具函数
-		const safeFunctions = {
-			String, Number, Boolean, Array, Date, Math, JSON,
-			// 添加逻辑运算符支持
-			and: (a, b) => a && b, or: (a, b) => a || b, not: a => !a, eq: (a, b) => a === b, neq: (a, b) => a !== b,
-			gt: (a, b) => a > b, lt: (a, b) => a < b, gte: (a, b) => a >= b, lte: (a, b) => a <= b
-		};
-
-		return { ...safeVariables, ...safeFunctions };
+	_toDate = value => {
+		const date = value instanceof Date ? value : new Date(value);
+		return isNaN(date.getTime()) ? null : date;
 	},
 
 	/**
-	 * 表达式求值函数,在安全沙箱环境中执行JavaScript表达式
-	 * 使用vm模块创建安全上下文,避免使用eval
-	 * 将沙箱环境中的变量和函数作为参数传入执行上下文
-	 * 支持完整的JavaScript表达式语法，包括:
-	 * - 算术运算: +, -, *, /, %
-	 * - 比较运算: ==, !=, ===, !==, >, <, >=, <=
-	 * - 逻辑运算: &&, ||, !
-	 * - 条件运算: ?:
-	 * - 函数调用: func(arg1, arg2)
-	 * - 属性访问: obj.property
-	 * @param {string} expr - 待求值的JavaScript表达式
-	 * @param {Object} variables - 变量上下文
-	 * @returns {any} 表达式求值结果，求值失败时返回null
+	 * 内置过滤器,用法: {{值 | 过滤器(参数...) | 过滤器}}
+	 * - date(format='date', locale='zh-CN'): 日期格式化,format 可为 date / time / datetime / iso 或 Intl.DateTimeFormat 选项
+	 * - number(digits, locale='zh-CN'): 数字格式化,digits 为小数位数或 Intl.NumberFormat 选项
+	 * - currency(code='CNY', locale='zh-CN'): 货币格式化
+	 * - truncate(length=50, suffix='...'): 截断字符串
+	 * - json(indent): 转为JSON字符串
+	 * - default(fallback): 值为 null / undefined / 空字符串时使用默认值
+	 * - join(separator=', '): 连接数组
+	 * - slugify: 转为URL友好的短横线格式
+	 * - escape: HTML转义（结果不再被自动转义）
+	 * - safe: 标记为可信内容,跳过自动转义
+	 * - upper / lower: 大小写转换
 	 */
-	_evaluateExpression = (expr, variables) => {
-		try {
-			// 创建安全沙箱
-			const context = vm.createContext({
-				..._createSafeSandbox(variables), process: undefined, global: undefined, console: Object.create(null),
-				setTimeout: undefined, setInterval: undefined, setImmediate: undefined, Buffer: undefined, require: undefined
-			}),
-				result = vm.runInContext(`(${expr})`, context, { timeout: 1500, displayErrors: false }); // 执行表达式
-
-			return result;
-		} catch (error) {
-			console.error(`表达式求值失败: ${expr}`, error.message);
-			return null;
-		}
-	},
+	_builtinFilters = Object.freeze({
+		date: (value, format = 'date', locale = 'zh-CN') => {
+			const date = _toDate(value);
+			if (!date) return value;
+			if (format === 'iso') return date.toISOString();
+			const options = typeof format === 'object' ? format : dateFormats[format];
+			if (!options) throw new Error(`不支持的日期格式: ${format}`);
+			return new Intl.DateTimeFormat(locale, options).format(date);
+		},
+		number: (value, digits, locale = 'zh-CN') => {
+			const options = typeof digits === 'object' ? digits
+				: digits === undefined ? {} : { minimumFractionDigits: digits, maximumFractionDigits: digits };
+			return isNaN(Number(value)) ? value : new Intl.NumberFormat(locale, options).format(Number(value));
+		},
+		currency: (value, code = 'CNY', locale = 'zh-CN') => isNaN(Number(value)) ? value
+			: new Intl.NumberFormat(locale, { style: 'currency', currency: code }).format(Number(value)),
+		truncate: (value, length = 50, suffix = '...') => {
+			const string = _safeToString(value);
+			return string.length > length ? string.slice(0, Math.max(0, length - suffix.length)) + suffix : string;
+		},
+		json: (value, indent) => JSON.stringify(value, null, indent),
+		default: (value, fallback = '') => value === null || value === undefined || value === '' ? fallback : value,
+		join: (value, separator = ', ') => Array.isArray(value) ? value.map(_safeToString).join(separator) : value,
+		slugify: value => _safeToString(value).normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+			.replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-+|-+$/g, ''),
+		escape: value => new SafeString(_escapeHtml(_safeToString(value))),
+		safe: value => new SafeString(_safeToString(value)),
+		upper: value => _safeToString(value).toUpperCase(),
+		lower: value => _safeToString(value).toLowerCase()
+	}),
 
 	/**
-	 * 处理对象属性访问、简单变量替换和复杂表达式求值
-	 * 使用evaluateExpression函数在安全沙箱中执行表达式
-	 * 功能包括：
-	 * - 还原带反引号变量: `{{variable}}` → {{variable}}
-	 * - 对象属性访问: {{object.property}}支持多级属性访问
-	 * - 简单变量替换: {{variable}}替换为变量值
-	 * - 跳过特殊标签: 用户函数,循环,控制和判断
-	 * 表达式支持特性：
-	 * - 数学运算: {{1 + 2 * 3}}
-	 * - 逻辑运算: {{a && b || c}}
-	 * - 比较运算: {{value > 10}}
-	 * - 三元运算符: {{condition ? value1 : value2}}
-	 * - 函数调用: {{Math.max(a, b)}}
-	 * 使用OBJECT_PROPERTY_REGEX匹配对象属性访问模式
-	 * 使用getValueByPath函数解析多级属性路径
-	 * @param {string} content - 模板内容
-	 * @param {Object} variables - 变量上下文
-	 * @returns {string} 处理后的内容，简单变量和对象属性已替换
+	 * 渲染运行时：编译后的渲染脚本通过 __rt 调用这些方法
+	 * - eval: 表达式求值,失败时记录错误并返回 null
+	 * - path: 变量及点分隔属性访问,变量不存在时返回 undefined（严格模式下传入位置时记为错误）
+	 * - arg: 用户函数的裸参数,变量不存在时按字符串字面量处理
+	 * - test: 条件判断取值
+	 * - call: 执行用户自定义函数
+	 * - entries: 将循环集合统一为 [键, 值] 列表
+	 * - scope: 构建 {{with}} 区块的局部变量对象; isolated 为真时（only）屏蔽外层变量,仅保留安全工具函数
+	 * - filter: 执行过滤器（用户过滤器优先于内置过滤器）,失败时记录错误并原样返回输入值
+	 * - str: 输出值转字符串
+	 * - escape: 输出值转字符串并按上下文转义（html / attr / attrUnquoted / script）
 	 */
-	_processVariablesAndExpressions = (content, variables) => {
-		let result = content;
-		result = result.replace(_resetRegex(quotedVarRegex), (_match, inner) => `{{${inner}}}`); // 处理带反引号变量
-
-		// 处理对象属性访问
-		result = result.replace(_resetRegex(objectPropertyRegex), (_match, path) => {
+	_renderRuntime = Object.freeze({
+		eval: (fn, expr, loc) => {
+			renderLocation = loc;
 			try {
-				const value = _getValueByPath(variables, path);
-				return _safeToString(value);
+				return fn();
 			} catch (error) {
-				console.warn(`处理对象属性访问 ${path} 时出错:`, error.message);
-				return '';
+				_reportError(`表达式求值失败: ${expr}: ${error.message}`, loc,
+					() => console.error(`表达式求值失败: ${expr} (${_formatLocation(loc)})`, error.message));
+				return null;
 			}
-		});
+		},
+		path: (fn, keys, expr, loc) => {
+			let value;
+			try {
+				value = _getValueByPath(fn(), keys);
+			} catch {
+				value = undefined;
+			}
+			if (value === undefined && loc) _reportError(`未定义的变量: ${expr}`, loc);
+			return value;
+		},
+		arg: (fn, name) => {
+			try {
+				const value = fn();
+				return value !== undefined ? value : name;
+			} catch {
+				return name;
+			}
+		},
+		test: value => Boolean(value),
+		call: (funcName, args, loc) => (renderLocation = loc, _executeUserFunction(funcName, args, loc)),
+		entries: (collection, isKeyValue, loc) => {
+			renderLocation = loc;
+			if (!collection || typeof collection !== 'object' && typeof collection !== 'string') return [];
+			if (isKeyValue) return Object.entries(collection);
+			const values = Array.isArray(collection) ? collection
+				: typeof collection[Symbol.iterator] === 'function' ? Array.from(collection) : Object.values(collection);
+			return values.map((value, i) => [i, value]);
+		},
+		scope: (value, isolated) => {
+			const locals = Object.create(null);
+			if (value && typeof value === 'object') {
+				for (const key of Object.keys(value))
+					if (!unsafeKeys.includes(key) && !key.startsWith('__')) locals[key] = value[key];
+			}
+			else if (value !== null && value !== undefined) console.warn('⚠️ 包含参数必须是对象，已忽略:', _safeToString(value));
+			if (!isolated) return locals;
 
-		// 处理简单变量替换
-		Object.entries(variables).forEach(([key, value]) => {
-			if (unsafeKeys.includes(key)) return;
+			return new Proxy(locals, {
+				has: (target, key) => typeof key === 'string' && !key.startsWith('__') && (key in target || !(key in _safeFunctions)),
+				get: (target, key) => typeof key === 'string' ? target[key] : undefined
+			});
+		},
+		filter: (name, value, args, loc) => {
 			try {
-				const stringValue = _safeToString(value), regex = new RegExp(`{{\\s*${_escapeRegExp(key)}\\s*}}`, 'g');
-				result = result.replace(regex, stringValue);
+				const filter = userFeatures.filters?.[name] ?? _builtinFilters[name];
+				if (!filter) throw new Error(`找不到过滤器: ${name}`);
+				return filter(value instanceof SafeString ? value.value : value, ...args);
 			} catch (error) {
-				console.warn(`处理变量 ${key} 时出错:`, error.message);
+				_reportError(`执行过滤器 ${name} 时出错: ${error.message}`, loc,
+					() => console.error(`执行过滤器 ${name} 时出错 (${_formatLocation(loc)}):`, error.message));
+				return value;
 			}
-		});
+		},
+		str: value => _safeToString(value),
+		escape: (value, context) => {
+			if (value instanceof SafeString) return value.value;
+			return context === 'script' ? _escapeScript(value) : _escapeHtml(_safeToString(value), context === 'attrUnquoted');
+		}
+	}),
 
-		// 处理复杂表达式求值
-		result = result.replace(_resetRegex(expressionRegex), (match, expression) => {
-			if (!expression.trim()) return '';			    // 跳过空表达式
-			if (expression.includes('user:')) return match; // 跳过已经被处理的用户函数调用
+	/**
+	 * 沙箱中可用的安全工具函数：
+	 * - 基础类型: String, Number, Boolean, Array, Date, Math, JSON
+	 * - 逻辑运算符: and, or, not, eq, neq, gt, lt, gte, lte
+	 */
+	_safeFunctions = Object.freeze({
+		String, Number, Boolean, Array, Date, Math, JSON,
+		// 添加逻辑运算符支持
+		and: (a, b) => a && b, or: (a, b) => a || b, not: a => !a, eq: (a, b) => a === b, neq: (a, b) => a !== b,
+		gt: (a, b) => a > b, lt: (a, b) => a < b, gte: (a, b) => a >= b, lte: (a, b) => a <= b
+	}),
 
-			// 跳过条件判断标签、循环标签以及循环控制标签
-			const trimmedExpr = expression.trim();
-			if (trimmedExpr.startsWith('if ') || trimmedExpr === 'else' || trimmedExpr === 'endif' ||
-				trimmedExpr.startsWith('for ') || trimmedExpr === 'endfor' || trimmedExpr === 'empty' ||
-				trimmedExpr === 'break' || trimmedExpr === 'continue') return match;
+	/**
+	 * 创建安全的沙箱环境用于表达式求值，防止恶意代码执行
+	 * 复制原始变量但阻止原型访问，确保安全性，并添加安全的工具函数
+	 * 使用Object.create(null)创建无原型的干净对象
+	 * @param {Object} variables - 原始变量上下文
+	 * @returns {Object} 安全的沙箱环境，包含变量和受限函数
+	 */
+	_createSafeSandbox = variables => {
+		const safeVariables = Object.create(null);
 
-			try {
-				// 尝试直接求值表达式
-				const value = _evaluateExpression(expression.trim(), variables);
-				return _safeToString(value);
-			} catch (error) {
-				console.warn(`表达式求值失败: ${expression}`, error.message);
-				return '';
-			}
-		});
+		// 复制原始变量但阻止原型访问
+		for (const key in variables)
+			if (Object.hasOwnProperty.call(variables, key) && !unsafeKeys.includes(key)) safeVariables[key] = variables[key];
 
-		return result;
+		return { ...safeVariables, ..._safeFunctions };
 	},
 
-	// 模块处理函数数组（所有依赖函数已定义，顺序安全）
-	processingPhases = [_processLoops, _processConditionals, _processUserFunctions, _processVariablesAndExpressions],
-
 	/**
-	 * 迭代式模板处理器
-	 * 按数组顺序多次处理模板，直到没有变化或达到最大迭代次数
-	 * @param {string} content - 模板内容
-	 * @param {Object} variables - 变量上下文
-	 * @param {number} maxIterations - 最大迭代次数:10
-	 * @returns {string} 处理后的内容
-	 */
-	_processIteratively = (content, variables, maxIterations = 10) => {
-		let result = content, previousResult, iteration = 0;
-		do {
-			previousResult = result;
-			for (const handler of processingPhases) result = handler(result, variables); // 处理模板
-			iteration++;
-		} while (result !== previousResult && iteration < maxIterations && _hasUnprocessedTags(result));
-
-		if (iteration >= maxIterations) console.warn(`模板处理达到最大迭代次数(${maxIterations}),可能包含无限循环或复杂嵌套`);
-		return result;
+	 * 编译模板为渲染函数（按模板内容缓存）
+	 * 流程：词法分析 → 语法树 → 渲染脚本 → vm.Script 预编译
+	 * 渲染时在使用vm模块创建的安全上下文中一次性执行整个脚本,避免使用eval,并对每轮渲染启用超时保护
+	 * 用户函数返回 Promise 时,等待本轮全部异步调用完成后以其结果重新渲染,直到不再产生新的异步调用
+	 * 渲染中断（如超时）时抛出 TemplateError,位置为最后执行到的表达式、函数调用或循环
+	 * @param {string} source - 模板内容
+	 * @returns {Function} 渲染函数 async (variables) => string
+	 */
+	_compileTemplate = source => {
+		const cached = compiledTemplates.get(source);
+		if (cached) return cached;
+
+		const { code, locations, errors } = _generateCode(_parseTemplate(_tokenize(source), source)),
+			script = new vm.Script(code, { filename: 'template.vm' }),
+			compileErrors = errors.map(({ reason, loc }) => new TemplateError(reason, loc)),
+			// 单轮同步渲染（模块级渲染状态只在同步执行期间设置,并发渲染互不干扰）
+			renderPass = (variables, records) => {
+				// 创建安全沙箱
+				const context = vm.createContext({
+					..._createSafeSandbox(variables), process: undefined, global: undefined, console: Object.create(null),
+					setTimeout: undefined, setInterval: undefined, setImmediate: undefined, Buffer: undefined, require: undefined
+				});
+				Object.defineProperty(context, '__rt', { value: _renderRuntime });
+				Object.defineProperty(context, '__locs', { value: locations });
+
+				const pending = [];
+				renderLocation = null, renderErrors = isStrictMode ? [...compileErrors] : null, renderLogs = [];
+				renderAsync = { records, counts: new Map(), pending };
+				try {
+					const output = script.runInContext(context, { timeout: 1500, displayErrors: false });
+					if (pending.length) return { pending }; // 存在未完成的异步调用,丢弃本轮输出、错误及日志
+					renderLogs.forEach(log => log());
+					if (renderErrors?.length) throw _collectedError(renderErrors); // 严格模式收集到的错误在渲染结束后统一抛出
+					return { output, pending };
+				} catch (error) {
+					if (error instanceof TemplateError) throw error;
+					throw new TemplateError(`模板渲染失败: ${error.message}`, renderLocation ?? {});
+				} finally {
+					renderErrors = null, renderLogs = null, renderAsync = null;
+				}
+			},
+			render = async variables => {
+				const records = new Map(); // 调用位置 → 各次调用的结果记录,本次渲染的各轮共用
+				for (let pass = 1; ; pass++) {
+					const { output, pending } = renderPass(variables, records);
+					if (!pending.length) return output;
+					if (pass >= maxAsyncPasses) {
+						const [{ funcName, loc }] = pending;
+						throw new TemplateError(`异步用户函数 ${funcName} 重新渲染超过 ${maxAsyncPasses} 轮`, loc ?? {});
+					}
+
+					// 并行等待本轮所有异步调用,结果供下一轮渲染直接使用
+					await Promise.all(pending.map(async ({ record, settled }) =>
+						Object.assign(record, { done: true }, await _awaitUserFunction(settled))));
+				}
+			};
+
+		// 超出缓存上限时淘汰最早编译的模板
+		if (compiledTemplates.size >= maxCompiledTemplates) compiledTemplates.delete(compiledTemplates.keys().next().value);
+		compiledTemplates.set(source, render);
+		return render;
 	};
 
 /**
- * 迭代式变量处理主入口函数;
- * 多次扫描模板内容,直到没有未处理的标签或达到最大迭代次数
+ * 设置严格模式: 未定义变量、未知的 user: 函数、过滤器及表达式执行失败均视为错误,
+ * 渲染结束后以 TemplateError 抛出（errors 属性包含本次渲染的全部出错位置）
+ * >查看定义:@see {@link setStrictMode}
+ * @param {boolean} strict - 是否启用严格模式
+ */
+const setStrictMode = strict => {
+	isStrictMode = !!strict;
+};
+
+/**
+ * 变量处理主入口函数;
+ * 单次扫描模板内容,编译为渲染函数后执行(编译结果按模板缓存),异步用户函数的结果在输出前全部完成
  * >查看定义:@see {@link processVariables}
  * @param {string} content - 待处理的模板内容
- * @param {Object} requestVariables - 请求级变量,与用户变量合并后使用
- * @returns {string} 处理后的内容,所有动态部分已被替换为实际值
+ * @param {Object} requestVariables - 请求级变量（含页面数据加载函数的结果）,与用户变量及全局数据 data 合并后使用
+ * @returns {Promise<string>} 处理后的内容,所有动态部分已被替换为实际值
  */
-const processVariables = (content, requestVariables = {}) => {
-	const allVariables = { ...userFeatures.variables, ...requestVariables };
-	return _processIteratively(content, allVariables); // 使用迭代式处理替代线性管道
+const processVariables = async (content, requestVariables = {}) => {
+	const allVariables = { ...userFeatures.variables, ...(userFeatures.data && { data: userFeatures.data }), ...requestVariables };
+	return _compileTemplate(content)(allVariables); // 单次编译渲染替代旧的多轮正则替换
 },
 
 	// ==================== 6. 模板结构验证 ====================
@@ -839,7 +1797,7 @@ const processVariables = (content, requestVariables = {}) => {
 
 // ==================== 7. 模板文件操作 ====================
 /**
- * 获取模板目录下所有可用的HTML文件路径（排除base.html）
+ * 获取模板目录下所有可用的HTML及Markdown(.md)文件路径（排除base.html及组件目录）
  * >查看定义:@see {@link getAvailableTemplates}
  * @returns {Promise<string[]>} 过滤后HTML文件路径数组
  */
@@ -849,8 +1807,10 @@ const getAvailableTemplates = async () => {
 			const results = [], items = await fsPromises.readdir(dir);
 			for (const item of items) {
 				const fullPath = path.join(dir, item), stat = await fsPromises.stat(fullPath);
-				if (stat.isDirectory()) results.push(...(await getAllHtmlFiles(fullPath)));
-				else if (item !== 'base.html' && path.extname(item).toLowerCase() === '.html') {
+				if (stat.isDirectory()) {
+					if (fullPath !== path.join(templatesAbsDir, componentsDir)) results.push(...(await getAllHtmlFiles(fullPath))); // 组件目录不作为页面
+				}
+				else if (item !== 'base.html' && ['.html', '.md'].includes(path.extname(item).toLowerCase())) {
 					const relativePath = path.relative(templatesAbsDir, fullPath);
 					results.push(relativePath.replaceAll('\\', '/'));
 				}
@@ -865,6 +1825,177 @@ const getAvailableTemplates = async () => {
 	}
 },
 
+	/**
+	 * 读取动态页面的数据集合
+	 * - 不含 / 时为用户变量路径（如 products、variables.team.members）或全局数据路径（如 data.products）,数组按顺序展开,对象按键展开
+	 * - 含 / 时为相对于项目根目录的文件夹（如 customize/products/）,每个 .json 文件为一项（内容为数组时每个元素为一项）,
+	 *   每个 .md 文件以头部数据为字段,正文原文为 body 字段,渲染后的HTML为 content 字段,标题目录为 toc 字段
+	 * @param {string} source - 集合来源
+	 * @returns {Promise<Array<{item: any, key?: string}>>} 集合项及其默认参数值（对象键或文件名）
+	 */
+	_loadCollection = async source => {
+		if (!source.includes('/')) {
+			const [root, ...keys] = source.split('.'), value = root === 'data' && userFeatures.data
+				? _getValueByPath(userFeatures.data, keys) : _getValueByPath(userFeatures.variables ?? {}, source.replace(/^variables\./, '').split('.'));
+			if (Array.isArray(value)) return value.map(item => ({ item }));
+			if (value && typeof value === 'object') return Object.entries(value).map(([key, item]) => ({ key, item }));
+			throw new Error(`集合 ${source} 不存在或不是数组/对象`);
+		}
+
+		const dir = path.join(CWD, source);
+		if (!_isSafePath(dir, CWD)) throw new Error(`⛔ 集合目录不安全: ${source}`);
+		const files = (await fsPromises.readdir(dir)).filter(file => /\.(json|md)$/i.test(file)).sort(), items = [],
+			dependencies = dependencyTracker.getStore(), relative = file => path.relative(templatesAbsDir, file).replaceAll('\\', '/');
+		dependencies?.add(`${relative(dir)}/`); // 记录集合目录（以 / 结尾,文件增删时失效）
+		for (const file of files) {
+			dependencies?.add(relative(path.join(dir, file)));
+			const text = await fsPromises.readFile(path.join(dir, file), 'utf8'), key = path.basename(file, path.extname(file));
+			if (path.extname(file).toLowerCase() === '.md') {
+				const { data, body } = parseFrontMatter(text), { html, toc } = renderMarkdown(body);
+				items.push({ key, item: { body, content: html, toc, ...data } }); // 头部数据同名字段优先
+				continue;
+			}
+			try {
+				const data = JSON.parse(text);
+				items.push(...(Array.isArray(data) ? data.map(item => ({ item })) : [{ key, item: data }]));
+			} catch (error) {
+				throw new Error(`集合文件 ${path.join(source, file)} 解析失败: ${error.message}`);
+			}
+		}
+		return items;
+	},
+
+	/**
+	 * 计算集合项对应的路径参数值: 同名字段 > 对象键或文件名 > 标题/名称转换的短横线格式 > 序号
+	 * @param {any} item - 集合项
+	 * @param {string} name - 参数名
+	 * @param {string} [key] - 对象键或文件名
+	 * @param {number} index - 集合项序号
+	 * @returns {string} 参数值（路径分隔符替换为 -）
+	 */
+	_collectionParam = (item, name, key, index) => {
+		const title = typeof item === 'object' ? item?.title ?? item?.name : item,
+			value = (typeof item === 'object' ? item?.[name] : undefined) ?? key
+				?? (title !== undefined && _builtinFilters.slugify(title) || index + 1);
+		return String(value).replace(/[\/\\]+/g, '-');
+	},
+
+	/**
+	 * 读取模板中集合或分页声明引用的数据集合（读取失败时以声明所在位置抛出 TemplateError）
+	 * @param {string} templateFile - 模板文件名
+	 * @param {string} content - 模板内容
+	 * @param {RegExpMatchArray} directive - 声明匹配结果（第 1 组为集合来源）
+	 * @returns {Promise<Array<{item: any, key?: string}>>} 集合项
+	 */
+	_loadDirectiveCollection = async (templateFile, content, directive) => {
+		try {
+			return await _loadCollection(directive[1]);
+		} catch (error) {
+			throw new TemplateError(error.message, _locate(content, directive.index, templateFile));
+		}
+	},
+
+	/**
+	 * 按分页声明 <!-- @paginate 集合, size: 每页数量 --> 生成分页页面
+	 * 第 1 页为模板本身（规范地址）,第 n 页为 目录/page/n.html（index.html 以所在目录为基准）
+	 * 渲染时提供 pagination 变量: items（本页集合项）、current、total、size、totalItems、
+	 * first / last / prev / next（页面地址,不存在时为 null）、pages（全部页码）及 range（当前页附近的页码）
+	 * @param {string} templateFile - 模板文件名
+	 * @param {string} content - 模板内容
+	 * @param {RegExpMatchArray} directive - 分页声明匹配结果
+	 * @returns {Promise<Array<{template: string, page: string, params: Object, variables: Object}>>} 分页页面列表
+	 */
+	_paginatePages = async (templateFile, content, directive) => {
+		const items = (await _loadDirectiveCollection(templateFile, content, directive)).map(({ item }) => item),
+			size = Math.max(1, parseInt(directive[2]) || defaultPageSize), total = Math.max(1, Math.ceil(items.length / size)),
+			base = templateFile.replace(/\.html$/i, '').replace(/(^|\/)index$/, ''),
+			pageFile = number => number === 1 ? templateFile : `${base ? `${base}/` : ''}page/${number}.html`,
+			pages = Array.from({ length: total }, (_, i) => ({ number: i + 1, url: `/${pageFile(i + 1)}` }));
+
+		return pages.map(({ number, url }) => {
+			const start = Math.max(1, Math.min(number - Math.floor(pageRangeSize / 2), total - pageRangeSize + 1)),
+				numbered = pages.map(page => ({ ...page, current: page.number === number })),
+				pagination = {
+					items: items.slice((number - 1) * size, number * size), current: number, total, size, totalItems: items.length,
+					first: pages[0].url, last: pages[total - 1].url, prev: pages[number - 2]?.url ?? null, next: pages[number]?.url ?? null,
+					pages: numbered, range: numbered.slice(start - 1, start - 1 + pageRangeSize), url
+				};
+			return { template: templateFile, page: pageFile(number), params: { page: number }, variables: { pagination } };
+		});
+	};
+
+/**
+ * 判断模板是否为动态页面模板（路径中含有 [参数] 段,如 products/[slug].html）
+ * >查看定义:@see {@link isDynamicTemplate}
+ * @param {string} templateFile - 模板文件名（相对于模板目录）
+ * @returns {boolean} 是否为动态页面模板
+ */
+const isDynamicTemplate = templateFile => {
+	return templateFile.search(dynamicSegmentRegex) !== -1;
+};
+
+/**
+ * 展开模板对应的全部输出页面
+ * - 动态页面模板: 按集合声明 <!-- @collection 集合 [as 变量名] --> 为每个集合项生成一个页面,页面路径由集合项替换模板路径中的
+ *   [参数] 段得到,渲染时集合项以变量名（默认 item）提供,路径参数以 params 提供
+ * - 含分页声明 <!-- @paginate 集合, size: 每页数量 --> 的模板: 每页生成一个页面,渲染时提供 pagination 变量
+ * - Markdown 页面（guide.md）: 输出为 guide.html,渲染时头部数据作为变量提供,标题目录以 toc 变量提供
+ * - 其他模板: 仅模板本身
+ * >查看定义:@see {@link expandDynamicPages}
+ * @param {string} templateFile - 模板文件名（如 products/[slug].html）
+ * @returns {Promise<Array<{template: string, page: string, params: Object, variables: Object}>>} 展开后的页面列表
+ * @throws {TemplateError} 动态页面缺少集合声明或集合读取失败时抛出
+ */
+const expandDynamicPages = async templateFile => {
+	const content = await fsPromises.readFile(path.join(templatesAbsDir, templateFile), 'utf8');
+	if (markdownExtRegex.test(templateFile)) {
+		const { data, body } = parseFrontMatter(content), { toc } = renderMarkdown(body);
+		return [{ template: templateFile, page: _pageFile(templateFile), params: {}, variables: { ...data, toc } }];
+	}
+	if (!isDynamicTemplate(templateFile)) {
+		const paginate = content.match(paginateDirectiveRegex);
+		return paginate ? _paginatePages(templateFile, content, paginate) : [{ template: templateFile, page: templateFile, params: {}, variables: {} }];
+	}
+
+	const directive = content.match(collectionDirectiveRegex);
+	if (!directive) throw new TemplateError('动态页面缺少集合声明 <!-- @collection 集合 as 变量名 -->', { file: templateFile });
+	if (paginateDirectiveRegex.test(content)) console.warn(`⚠️ 动态页面不支持分页声明，已忽略: ${templateFile}`);
+
+	const alias = directive[2] ?? 'item', entries = await _loadDirectiveCollection(templateFile, content, directive), pages = new Map();
+	entries.forEach(({ item, key }, index) => {
+		const params = {}, page = templateFile.replace(_resetRegex(dynamicSegmentRegex),
+			(_, name) => params[name] = _collectionParam(item, name, key, index));
+		if (!_isSafePath(path.join(templatesAbsDir, page), templatesAbsDir)) console.warn(`⛔ 动态页面路径不安全，已跳过: ${page} (${templateFile})`);
+		else if (pages.has(page)) console.warn(`⚠️ 动态页面路径重复，已跳过: ${page} (${templateFile})`);
+		else pages.set(page, { template: templateFile, page, params, variables: { [alias]: item, params } });
+	});
+	return [...pages.values()];
+};
+
+/**
+ * 查找请求页面对应的页面: 普通模板（含分页第 1 页）、Markdown 页面、分页页面（目录/page/n.html）及动态页面
+ * 按路径筛选可能的模板后展开查找
+ * >查看定义:@see {@link findDynamicPage}
+ * @param {string[]} cachedPages - 模板列表
+ * @param {string} page - 请求的页面路径（如 products/widget.html、products/page/2.html）
+ * @returns {Promise<{template: string, page: string, params: Object, variables: Object}|null>} 页面,未找到时返回 null
+ */
+const findDynamicPage = async (cachedPages, page) => {
+	const paged = page.match(paginatedPageRegex), candidates = cachedPages.filter(templateFile => {
+		if (isDynamicTemplate(templateFile)) {
+			return new RegExp(`^${templateFile.split(dynamicSegmentRegex)
+				.map((part, i) => i % 2 ? '[^/]+' : part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('')}$`).test(page);
+		}
+		return _pageFile(templateFile) === page || paged && [`${paged[1] ?? 'index'}.html`, paged[1] && `${paged[1]}/index.html`].includes(templateFile);
+	});
+
+	for (const templateFile of candidates) {
+		const found = (await expandDynamicPages(templateFile)).find(entry => entry.page === page);
+		if (found) return found;
+	}
+	return null;
+},
+
 	// ==================== 8. 模板渲染引擎核心 ====================
 	/**
 	 * 确保HTML文档类型声明位于文件开头
@@ -872,7 +2003,45 @@ const getAvailableTemplates = async () => {
 	 * @returns {string} 标准化文档
 	 */
 	_ensureDoctypeFirst = html => {
-		return html.trim().toLowerCase().startsWith('<!doctype') ? html : `<!DOCTYPE html>\n${html}`;
+		return _stripSourceMarkers(html).trim().toLowerCase().startsWith('<!doctype') ? html : `<!DOCTYPE html>\n${html}`;
+	},
+
+	/**
+	 * 区块合并算法 - 用子模板区块替换父模板中同名区块（按出现顺序一一对应）,保留区块标签以便继续向下合并
+	 * - 子模板区块中的 [super] 替换为父模板对应区块的内容
+	 * - 父模板区块未被覆盖时,继续在其内部查找可被覆盖的嵌套区块
+	 * @param {string} parentContent - 父模板
+	 * @param {string} childContent - 子模板（已移除继承指令）
+	 * @returns {string} 合并后的模板（仍包含区块标签）
+	 */
+	_mergeBlocks = (parentContent, childContent) => {
+		const childBlocks = _findBlockPositions(childContent), counters = {},
+			merge = content => {
+				const blocks = Object.entries(_findBlockPositions(content))
+					.flatMap(([name, list]) => list.map(block => ({ name, ...block })))
+					.sort((a, b) => a.startIndex - b.startIndex);
+				let result = '', lastIndex = 0;
+
+				for (const { name, startIndex, endIndex, innerStartIndex, innerContent } of blocks) {
+					const index = counters[name] = (counters[name] ?? -1) + 1, childBlock = childBlocks[name]?.[index],
+						parentInner = () => merge(_sourceMarker(_locate(content, innerStartIndex)) + innerContent);
+					if (!childBlock) {
+						result += `${content.slice(lastIndex, startIndex)}[!${name}]${parentInner()}[~${name}]`, lastIndex = endIndex;
+						continue;
+					}
+
+					// 子模板区块内容及其后内容分别标记来源位置
+					const childStart = childBlock.innerStartIndex,
+						inner = childBlock.innerContent.replace(_resetRegex(superRegex), (match, offset) =>
+							parentInner() + _sourceMarker(_locate(childContent, childStart + offset + match.length)));
+					result += `${content.slice(lastIndex, startIndex)}[!${name}]${_sourceMarker(_locate(childContent, childStart))}${inner}`
+						+ `[~${name}]${_sourceMarker(_locate(content, endIndex))}`, lastIndex = endIndex;
+				}
+
+				return result + content.slice(lastIndex);
+			};
+
+		return merge(parentContent);
 	},
 
 	/**
@@ -882,38 +2051,92 @@ const getAvailableTemplates = async () => {
 	 * @returns {string} 合成后的HTML
 	 */
 	_renderTemplateContent = (baseContent, templateContent) => {
-		const baseBlocks = _findBlockPositions(baseContent), templateBlocks = _findBlockPositions(templateContent),
-			replacements = [];
-		let finalHtml = baseContent;
+		return _ensureDoctypeFirst(_cleanTemplateTags(_mergeBlocks(baseContent, templateContent)));
+	},
+
+	/**
+	 * 将 Markdown 页面转换为模板: 正文渲染为HTML放入布局的 content 区块,头部数据中的 title、description、keywords 填入同名区块
+	 * 布局由头部数据 layout 指定（默认 /base.html,相对路径相对于页面所在目录）,为 none 时不继承布局
+	 * @param {string} templateFile - 页面文件名（相对于模板目录）
+	 * @param {string} text - 文件内容
+	 * @returns {string} 模板内容（正文各块前带有指向 .md 文件行号的位置标记）
+	 */
+	_markdownTemplate = (templateFile, text) => {
+		const { data, body, bodyLine } = parseFrontMatter(text), layout = data.layout ?? '/base.html',
+			{ html, toc } = renderMarkdown(body, { startLine: bodyLine, marker: line => _sourceMarker({ file: templateFile, line, column: 1, chain: [] }) });
+		// 标题锚点及目录在模板渲染前按原文生成,标题中的模板标签不会被替换
+		for (const { text: heading } of toc) {
+			if (!heading.includes('{{') || warnedMarkdownHeadings.has(`${templateFile}\n${heading}`)) continue;
+			warnedMarkdownHeadings.add(`${templateFile}\n${heading}`), console.warn(`⚠️ Markdown 标题不应包含模板标签,锚点及目录按原文生成: ${templateFile} "${heading}"`);
+		}
+		if (layout === 'none' || layout === false) return html;
 
-		// 收集所有需要替换的区块
-		for (const [name, templateBlockArray] of Object.entries(templateBlocks)) {
-			const baseBlockArray = baseBlocks[name] || [], minLength = Math.min(templateBlockArray.length, baseBlockArray.length);
+		const blocks = ['title', 'description', 'keywords'].filter(name => data[name] !== undefined)
+			.map(name => {
+				const value = `{{${name}${Array.isArray(data[name]) ? ' | join' : ''}}}`; // 列表值（如 keywords: [a, b]）以逗号连接
+				return name === 'title' ? `[!title]${value}[~title]` : `[!${name}]"${value}"[~${name}]`;
+			});
+		return `[extends ${layout}]\n${blocks.join('\n')}\n[!content]\n${html}\n[~content]\n`;
+	},
 
-			for (let i = 0; i < minLength; i++) {
-				const { startIndex, endIndex } = baseBlockArray[i];
-				replacements.push({ innerContent: templateBlockArray[i].innerContent, startIndex, endIndex });
+	/**
+	 * 解析模板继承链（页面 → 布局 → ... → 基础模板）,检测循环继承
+	 * @param {string} templateFile - 模板文件名（相对于模板目录）
+	 * @returns {Promise<Array<{file: string, content: string}>>} 继承链,首项为页面本身,
+	 * content 已移除继承指令并以位置标记开头（标记所属文件、起始行及继承来源）
+	 * @throws {TemplateError} 循环继承、基模板路径不安全或不存在时抛出,位置为 [extends] 指令所在处
+	 */
+	_resolveExtendsChain = async templateFile => {
+		const chain = [], visited = [];
+		let currentFile = templateFile, currentPath = path.join(templatesAbsDir, templateFile);
+		dependencyTracker.getStore()?.add(templateFile.replaceAll('\\', '/')); // 页面本身（编译模式下页面需单独输出,不写入包含文件集合）
+
+		while (true) {
+			const files = chain.map(({ file }) => file), directiveLocation = { file: files.at(-1), line: 1, column: 1, chain: files.slice(0, -1) };
+			if (visited.includes(currentPath))
+				throw new TemplateError(`模板继承存在循环引用: ${[...files, currentFile].join(' -> ')}`, directiveLocation);
+			visited.push(currentPath);
+
+			let content = await fsPromises.readFile(currentPath, 'utf8'); // 读取模板内容
+			// Markdown 页面转换为模板；移除页面的集合及分页声明（保留所在行）
+			if (currentFile === templateFile) content = markdownExtRegex.test(templateFile) ? _markdownTemplate(templateFile, content)
+				: content.replace(collectionDirectiveRegex, '').replace(paginateDirectiveRegex, '');
+			const extendsMatch = content.match(_resetRegex(extendsRegex)), // 匹配[extends]指令（允许位于集合、分页声明之后）
+				marker = line => _sourceMarker({ file: currentFile, line, column: 1, chain: files });
+			if (!extendsMatch) {
+				chain.push({ file: currentFile, content: marker(1) + content });
+				return chain;
 			}
-		}
+			// 移除整行（包括指令和注释）
+			chain.push({ file: currentFile, content: marker(extendsMatch[0].split('\n').length) + content.slice(extendsMatch[0].length) });
+
+			const baseTemplateFile = extendsMatch[1].trim(), basePath = path.isAbsolute(baseTemplateFile)
+				? path.join(templatesAbsDir, baseTemplateFile) : path.join(path.dirname(currentPath), baseTemplateFile),
+				extendsLocation = { file: currentFile, line: 1, column: 1, chain: files };
+			if (!_isSafePath(basePath, templatesAbsDir)) throw new TemplateError(`⛔ 基模板路径不安全: ${baseTemplateFile}`, extendsLocation);
 
-		replacements.sort((a, b) => b.startIndex - a.startIndex); // 按索引从大到小排序，避免替换时影响后续索引
-		// 执行替换
-		for (const { startIndex, innerContent, endIndex } of replacements)
-			finalHtml = finalHtml.slice(0, startIndex) + innerContent + finalHtml.slice(endIndex);
+			// 检查基模板是否存在
+			try {
+				await fsPromises.access(basePath);
+			} catch (error) {
+				throw new TemplateError(`基模板文件不存在: ${baseTemplateFile}`, extendsLocation);
+			}
 
-		return _ensureDoctypeFirst(_cleanTemplateTags(finalHtml));
+			currentFile = path.relative(templatesAbsDir, basePath).replaceAll('\\', '/'), currentPath = basePath;
+			_recordDependency(currentFile); // 记录依赖（布局模板不单独输出）
+		}
 	};
 
 /**
- * 模板文件结构验证入口
+ * 模板文件结构验证入口（Markdown 页面验证转换后的模板,代码块中的标签不参与验证）
  * >查看定义:@see {@link validateTemplateFile}
  * @param {string} fileName - 目标文件
  * @param {boolean} [isDev=false] - 开发模式标识
  * @throws {Error} 校验失败时抛出异常
  */
 const validateTemplateFile = async (fileName, isDev = false) => {
-	const filePath = path.join(templatesAbsDir, fileName), content = await fsPromises.readFile(filePath, 'utf8'),
-		errors = _validateTemplateStructure(content);
+	const filePath = path.join(templatesAbsDir, fileName), text = await fsPromises.readFile(filePath, 'utf8'),
+		content = markdownExtRegex.test(fileName) ? _markdownTemplate(fileName, text) : text, errors = _validateTemplateStructure(content);
 
 	if (errors.length > 0) {
 		const errorMsg = `模板 ${fileName} 结构错误:\n${errors.join('\n')}`;
@@ -923,40 +2146,30 @@ const validateTemplateFile = async (fileName, isDev = false) => {
 }
 
 /**
- * 模板渲染函数,处理模板继承关系
+ * 模板渲染函数,处理多级模板继承关系
  * >查看定义:@see {@link renderTemplate}
  * @param {string} templateFile - 模板文件名
  * @returns {Promise<string>} 渲染后的HTML内容（不包含变量替换）
  * 核心流程：
- * 1. 检测[extends]指令
- * 2. 剥离继承指令行
- * 3. 加载基模板并合并内容
+ * 1. 沿[extends]指令解析继承链并检测循环继承
+ * 2. 剥离各级继承指令行
+ * 3. 从最顶层基模板开始逐级向下合并区块（支持[super]引用父区块内容）
  * 4. 返回合成后的模板
  */
 const renderTemplate = async templateFile => {
-	const templatePath = path.join(templatesAbsDir, templateFile),
-		templateContent = await fsPromises.readFile(templatePath, 'utf8'), // 读取模板内容
-		extendsMatch = templateContent.match(_resetRegex(extendsRegex));   // 匹配[extends]指令
-
-	if (!extendsMatch) return _renderTemplateContent(templateContent, '');
-	const remainingContent = templateContent.slice(extendsMatch[0].length), // 移除整行（包括指令和注释）
-		baseTemplateFile = extendsMatch[1].trim(), basePath = path.isAbsolute(baseTemplateFile)
-			? path.join(templatesAbsDir, baseTemplateFile) : path.join(path.dirname(templatePath), baseTemplateFile);
+	const chain = await _resolveExtendsChain(templateFile), [page] = chain;
+	if (chain.length === 1) return _renderTemplateContent(page.content, '');
 
-	// 检查基模板是否存在
-	try {
-		await fsPromises.access(basePath);
-	} catch (error) {
-		throw new Error(`基模板文件不存在: ${baseTemplateFile} (在 ${templateFile} 中引用)`);
-	}
-	const baseContent = await fsPromises.readFile(basePath, 'utf8');
-	return _renderTemplateContent(baseContent, remainingContent); // 执行模板合成
+	let merged = chain[chain.length - 1].content;
+	for (let i = chain.length - 2; i > 0; i--) merged = _mergeBlocks(merged, chain[i].content); // 逐级合并布局模板
+	return _renderTemplateContent(merged, page.content); // 执行模板合成
 }
 
 
 // ==================== 9. 模块功能导出 ====================
 export {
-	path, fsPromises, CWD, templatesDir, templatesAbsDir, staticDir, customizeDir, accountDir, defaultPort, writtenFilesToIgnore,
-	getAvailableTemplates, findEntryFile, validateTemplateFile, renderTemplate, processIncludes, setCompilationMode,
-	getIncludedFiles, processVariables, loadUserFeatures, monitorFileWrites
+	path, fsPromises, CWD, templatesDir, templatesAbsDir, staticDir, customizeDir, accountDir, componentsDir, dataDir, defaultPort,
+	writtenFilesToIgnore, TemplateError, getAvailableTemplates, findEntryFile, validateTemplateFile, renderTemplate,
+	processIncludes, processComponents, setCompilationMode, setStrictMode, getIncludedFiles, trackDependencies, processVariables,
+	loadUserFeatures, loadDataFiles, loadPageData, isDynamicTemplate, expandDynamicPages, findDynamicPage, monitorFileWrites
 };
\ No newline at end of file